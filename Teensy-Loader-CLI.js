@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * Teensy-Loader-CLI.js
+ *
+ * Command line front end for Teensy-Loader.js on Node.js, using node-hid and
+ * serialport through Teensy-Loader-Node.js. Flashing goes through the same
+ * FirmwareFile and TeensyFlasher code as the web page.
+ *
+ * Usage:
+ *   teensy-loader list
+ *   teensy-loader flash <file> [--board <id>] [--base-address <addr>] [--soft-reboot] [--port <path>] [--wait <s>] [--verify] [--monitor] [--baud <n>]
+ *   teensy-loader flash <file> --all [--jobs <n>] [--retries <n>] [--board <id>] [--base-address <addr>]
+ *   teensy-loader erase [--board <id>] [--soft-reboot] [--port <path>] [--wait <s>]
+ *   teensy-loader monitor [--port <path>] [--baud <n>]
+ */
+
+import { realpathSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    BatchFlasher,
+    FirmwareFile,
+    TeensyFlasher,
+    SerialPortManager,
+    TEENSY_BOARD_PROFILES,
+    formatBatchSummary,
+    getBoardProfile,
+    getBoardProfileForDevice
+} from './Teensy-Loader.js';
+import { createNodeTransport } from './Teensy-Loader-Node.js';
+
+/**
+ * HalfKay bootloaders always enumerate as 16C0:0478, whatever the board.
+ */
+const HALFKAY_FILTERS = [{ vendorId: 0x16c0, productId: 0x0478 }];
+
+const USAGE = `Usage:
+  teensy-loader list
+      List Teensy boards in bootloader mode and Teensy serial ports.
+
+  teensy-loader flash <file> [options]
+      Flash a .hex, .ehex, .elf or .bin file.
+      --board <id>       Board profile (${TEENSY_BOARD_PROFILES.map(p => p.id).join(', ')}).
+                         Defaults to the board reported by the bootloader.
+      --base-address <addr>
+                         Load address of a .bin file, e.g. 0x60000000 (default: start
+                         of the board's flash). Ignored for other formats.
+      --soft-reboot      Reboot the running sketch into the bootloader over serial first.
+      --port <path>      Serial port used by --soft-reboot, --verify and --monitor.
+      --wait <seconds>   How long to wait for the bootloader (default 30).
+      --verify           Ask the new program for the CRC-32 of its flash ("CRC32? <start> <length>")
+                         over serial and compare it with the file. Exits with an error on mismatch.
+      --recover <n>      Restart an interrupted transfer from a clean erase up to n times
+                         once the board is back in the bootloader (default 2).
+      --monitor          Print the new program's serial output after flashing.
+      --baud <n>         Baud rate for --verify and --monitor (default 115200).
+
+  teensy-loader flash <file> --all [--jobs <n>] [--retries <n>] [--board <id>] [--base-address <addr>]
+      Flash every Teensy currently in bootloader mode and print a summary table.
+      --jobs <n>         Boards flashed at the same time (default 4).
+      --retries <n>      Extra attempts for a board that failed (default 1).
+
+  teensy-loader erase [--board <id>] [--soft-reboot] [--port <path>] [--wait <s>]
+      Erase the board's flash. It stays in bootloader mode afterwards.
+
+  teensy-loader monitor [--port <path>] [--baud <n>]
+      Print serial output from a Teensy until Ctrl+C.
+`;
+
+////////////////////////////////////////////////////////////////////////////////
+// Helpers
+////////////////////////////////////////////////////////////////////////////////
+
+function hex(n, width = 4) {
+    return `0x${n.toString(16).padStart(width, '0')}`;
+}
+
+/**
+ * Parses --base-address (decimal or 0x hex); null when it isn't given.
+ * @returns {number|null}
+ */
+export function parseBaseAddress(text) {
+    if (text === undefined || text === null) return null;
+    if (!/^(?:0x[0-9a-f]+|\d+)$/i.test(text.trim())) {
+        throw new Error(`Invalid --base-address '${text}', expected a number such as 0x60000000.`);
+    }
+    return Number(text.trim());
+}
+
+/**
+ * Reads a firmware file and builds its blocks for `board`, with the .bin load
+ * address from --base-address.
+ * @returns {Promise<object>} - see FirmwareFile.buildBlocks
+ */
+export async function loadFirmware(file, board, options = {}) {
+    const data = new Uint8Array(await readFile(file));
+    const baseAddress = parseBaseAddress(options['base-address']);
+    return new FirmwareFile(data, basename(file), board).buildBlocks(baseAddress === null ? {} : { baseAddress });
+}
+
+/**
+ * Polls the HID transport until a HalfKay device shows up.
+ * @returns {Promise<object|null>}
+ */
+async function findBootloader(hid, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const devices = await hid.requestDevice({ filters: HALFKAY_FILTERS });
+        if (devices.length > 0) return devices[0];
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return null;
+}
+
+/**
+ * Gets a HalfKay device, by soft reboot over serial or by waiting for the
+ * program button, and resolves its board profile (--board wins).
+ * @returns {Promise<{ device: object, board: object }>}
+ */
+async function openBootloader(flasher, transport, options) {
+    const waitMs = Number(options.wait || 30) * 1000;
+
+    let device;
+    if (options['soft-reboot']) {
+        const port = await transport.serial.requestPort({ path: options.port || null });
+        console.error(`Rebooting ${port.path} into the bootloader...`);
+        device = await flasher.enterBootloader(new SerialPortManager(transport), { port, timeout: waitMs });
+    } else {
+        console.error('Waiting for a Teensy in bootloader mode (press the program button)...');
+        device = await findBootloader(transport.hid, waitMs);
+    }
+    if (!device) {
+        throw new Error('No Teensy bootloader found.');
+    }
+
+    const detected = getBoardProfileForDevice(device);
+    let board = detected;
+    if (options.board) {
+        board = getBoardProfile(options.board);
+        if (!board) throw new Error(`Unknown board '${options.board}'.`);
+        if (detected && detected.id !== board.id) {
+            console.error(`Warning: bootloader reports ${detected.name}, using ${board.name}.`);
+        }
+    }
+    if (!board) {
+        throw new Error('Could not identify the board, pass --board.');
+    }
+    return { device, board };
+}
+
+/**
+ * Creates the HID transport, adding serial when available (required if needSerial).
+ */
+async function createTransport(needSerial) {
+    const transport = await createNodeTransport({ serial: false });
+    try {
+        transport.serial = (await createNodeTransport({ hid: false })).serial;
+    } catch (err) {
+        if (needSerial) throw err;
+    }
+    return transport;
+}
+
+/**
+ * Opens a serial port and prints its lines until Ctrl+C.
+ */
+async function monitor(transport, port, baudRate) {
+    const serialManager = new SerialPortManager(transport);
+    serialManager.onData = line => console.log(line);
+    await serialManager.openSerialPort({ baudRate }, port);
+    console.error(`Monitoring ${port.path} at ${baudRate} baud, Ctrl+C to stop.`);
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    await serialManager.closeSerialPort().catch(() => { });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Commands
+////////////////////////////////////////////////////////////////////////////////
+
+async function listCommand() {
+    const transport = await createNodeTransport({ serial: false });
+    const devices = await transport.hid.requestDevice({ filters: HALFKAY_FILTERS });
+
+    console.log('Bootloader (HalfKay) devices:');
+    if (devices.length === 0) console.log('  none');
+    for (const device of devices) {
+        const board = getBoardProfileForDevice(device);
+        console.log(`  ${device.path}  ${board ? `${board.name} (${board.id})` : 'unknown board'}`);
+    }
+
+    let serial = null;
+    try {
+        serial = (await createNodeTransport({ hid: false })).serial;
+    } catch (err) {
+        console.log(`Serial ports: unavailable (${err.message})`);
+        return;
+    }
+    const ports = (await serial.getPorts()).filter(p => p.getInfo().usbVendorId === 0x16c0);
+    console.log('Teensy serial ports:');
+    if (ports.length === 0) console.log('  none');
+    for (const port of ports) {
+        const { usbProductId } = port.getInfo();
+        console.log(`  ${port.path}  product ${hex(usbProductId)}${port.serialNumber ? `  serial ${port.serialNumber}` : ''}`);
+    }
+}
+
+async function flashCommand(file, options) {
+    parseBaseAddress(options['base-address']);
+    const transport = await createTransport(options['soft-reboot'] || options.verify || options.monitor);
+    const flasher = new TeensyFlasher(transport);
+
+    // 1) Get a bootloader device and its board
+    const { device, board } = await openBootloader(flasher, transport, options);
+
+    // 2) Build and flash
+    const blocks = await loadFirmware(file, board, options);
+    for (const warning of blocks.validation.warnings) {
+        console.error(`Warning: ${warning.message}`);
+    }
+
+    console.error(`Flashing ${basename(file)} to ${board.name}...`);
+    const result = await flasher.flashFirmware(blocks, device, null, {
+        recoveryAttempts: Number(options.recover ?? 2),
+        recoveryTimeout: Number(options.wait || 30) * 1000,
+        onEvent: event => {
+            if (event.type === 'block' && process.stderr.isTTY) {
+                const percent = Math.round(event.blocksSent * 100 / event.totalBlocks);
+                process.stderr.write(`\r  ${percent}%  ${event.bytesSent}/${event.totalBytes} bytes`);
+            } else if (event.type === 'phase' && event.phase === 'reboot' && process.stderr.isTTY) {
+                process.stderr.write('\n');
+            } else if (event.type === 'retry') {
+                console.error(`  retry ${event.attempt} at ${hex(event.address, 8)}: ${event.error}`);
+            } else if (event.type === 'recovery') {
+                console.error(`\n  transfer interrupted (${event.reason}), restarting from a clean erase...`);
+            }
+        }
+    });
+    console.error(result.outcome === 'timed-out'
+        ? 'Flash complete, but the board did not reappear.'
+        : 'Flash complete.');
+
+    // 3) Optionally check and watch the new program
+    if (options.verify || options.monitor) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    if (options.verify) {
+        const port = await transport.serial.requestPort({ path: options.port || null });
+        const serialManager = new SerialPortManager(transport);
+        await serialManager.openSerialPort({ baudRate: Number(options.baud || 115200) }, port);
+        let result;
+        try {
+            result = await flasher.verifyFirmware(blocks, serialManager);
+        } finally {
+            await serialManager.closeSerialPort().catch(() => { });
+        }
+        if (!result.verified) {
+            throw new Error(`Verification failed: expected CRC-32 ${hex(result.expected, 8)}, `
+                + `board reported ${result.reported === null ? 'none' : hex(result.reported, 8)} ("${result.response}").`);
+        }
+        console.error(`Verified: CRC-32 ${hex(result.expected, 8)} over ${result.length} bytes.`);
+    }
+    if (options.monitor) {
+        const port = await transport.serial.requestPort({ path: options.port || null });
+        await monitor(transport, port, Number(options.baud || 115200));
+    }
+}
+
+async function flashAllCommand(file, options) {
+    const baseAddress = parseBaseAddress(options['base-address']);
+    const transport = await createNodeTransport({ serial: false });
+    const batch = new BatchFlasher(new TeensyFlasher(transport));
+    const devices = await batch.findDevices();
+    if (devices.length === 0) {
+        throw new Error('No Teensy bootloader found.');
+    }
+    let board = null;
+    if (options.board) {
+        board = getBoardProfile(options.board);
+        if (!board) throw new Error(`Unknown board '${options.board}'.`);
+    }
+
+    console.error(`Flashing ${basename(file)} to ${devices.length} boards...`);
+    const summary = await batch.flashAll(
+        { fileData: new Uint8Array(await readFile(file)), filename: basename(file) },
+        devices,
+        {
+            board,
+            buildOptions: baseAddress === null ? {} : { baseAddress },
+            concurrency: Number(options.jobs || 4),
+            retries: Number(options.retries ?? 1),
+            onUpdate: state => {
+                if (['done', 'failed', 'retrying'].includes(state.status)) {
+                    console.error(`  #${state.index + 1} ${state.status}${state.error ? `: ${state.error}` : ''}`);
+                }
+            }
+        });
+
+    console.log(formatBatchSummary(summary));
+    if (summary.failed > 0) {
+        throw new Error(`${summary.failed} of ${devices.length} boards failed.`);
+    }
+}
+
+async function eraseCommand(options) {
+    const transport = await createTransport(options['soft-reboot']);
+    const flasher = new TeensyFlasher(transport);
+    const { device, board } = await openBootloader(flasher, transport, options);
+
+    console.error(`Erasing ${board.name}...`);
+    await flasher.eraseFirmware(device, { board });
+    console.error('Erase complete.');
+}
+
+async function monitorCommand(options) {
+    const transport = await createNodeTransport({ hid: false });
+    const port = await transport.serial.requestPort({ path: options.port || null });
+    await monitor(transport, port, Number(options.baud || 115200));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Main
+////////////////////////////////////////////////////////////////////////////////
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            board: { type: 'string' },
+            port: { type: 'string' },
+            baud: { type: 'string' },
+            wait: { type: 'string' },
+            jobs: { type: 'string' },
+            retries: { type: 'string' },
+            recover: { type: 'string' },
+            'base-address': { type: 'string' },
+            'soft-reboot': { type: 'boolean' },
+            all: { type: 'boolean' },
+            verify: { type: 'boolean' },
+            monitor: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const [command, ...args] = positionals;
+
+    if (values.help || !command || command === 'help') {
+        console.log(USAGE);
+        return;
+    }
+
+    switch (command) {
+        case 'list':
+            return listCommand();
+        case 'flash':
+            if (!args[0]) throw new Error('flash needs a firmware file.');
+            return values.all ? flashAllCommand(args[0], values) : flashCommand(args[0], values);
+        case 'erase':
+            return eraseCommand(values);
+        case 'monitor':
+            return monitorCommand(values);
+        default:
+            throw new Error(`Unknown command '${command}'.\n\n${USAGE}`);
+    }
+}
+
+// Only run when started as a program (npm's bin link included), not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    main(process.argv.slice(2)).then(
+        () => process.exit(0),
+        err => {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+    );
+}
@@ -0,0 +1,568 @@
+/**
+ * Teensy-Loader-Element.js
+ *
+ * <teensy-flasher>: a drop-in firmware updater built on FirmwareFile,
+ * TeensyFlasher, TeensyDeviceManager and SerialPortManager.
+ *
+ *   <script type="module" src="Teensy-Loader-Element.js"></script>
+ *   <teensy-flasher firmware-url="releases/manifest.json" boards="teensy40 teensy41" monitor>
+ *       <span slot="title">Update your controller</span>
+ *       Press the button on the board if it is not found.
+ *   </teensy-flasher>
+ *
+ * Attributes:
+ *  - firmware-url: .hex / .ehex / .bin / .elf file, or release manifest (.json) whose
+ *                  build for the selected board is used. Without it the user picks or drops a file.
+ *  - sha256:       expected SHA-256 of the file at firmware-url
+ *  - accept:       file types the picker and drop zone take (default ".hex,.ehex,.bin,.elf")
+ *  - boards:       board ids that may be flashed, separated by spaces or commas (default: all)
+ *  - baud-rate:    baud rate the monitor opens the program's serial port with (default 115200)
+ *  - monitor:      show the program's serial output after flashing
+ *  - recover:      times an interrupted transfer is restarted from a clean erase (default 2)
+ *  - disabled:     disables all controls
+ *
+ * The element reflects its state in a `state` attribute (idle, ready, flashing,
+ * done, error) and sets `dragging` while a file is dragged over it.
+ *
+ * Slots: "title" (heading), the default slot (instructions) and "footer".
+ * Parts: drop-zone, file-name, select-button, reboot-button, flash-button,
+ * cancel-button, progress, status, serial-output. Colours can also be set with
+ * --teensy-flasher-accent, --teensy-flasher-background and --teensy-flasher-text.
+ *
+ * Events (CustomEvents that bubble out of the shadow root, with this detail):
+ *  - teensy-firmware-load   { filename, size, source }
+ *  - teensy-device-select   { device }   (TeensyDeviceManager entry)
+ *  - teensy-flash-start     { board, filename }
+ *  - teensy-flash-progress  { progress, event }   (event: TeensyFlasher onEvent event)
+ *  - teensy-flash-success   { board, filename, result }
+ *  - teensy-flash-error     { error, reason }     (reason from FlashInterruptedError, else null)
+ */
+
+import {
+    FirmwareFile,
+    FlashInterruptedError,
+    HALFKAY_USAGE_PAGE,
+    SerialPortManager,
+    TEENSY_BOARD_PROFILES,
+    TeensyDeviceManager,
+    TeensyFlasher
+} from './Teensy-Loader.js';
+
+////////////////////////////////////////////////////////////////////////////////
+// Utility Functions
+////////////////////////////////////////////////////////////////////////////////
+
+const DEFAULT_ACCEPT = '.hex,.ehex,.bin,.elf';
+const FILE_PROMPT = 'Drop a firmware file here or click to choose one';
+
+/**
+ * Splits an attribute list ("teensy40 teensy41" or "teensy40,teensy41").
+ * @private
+ */
+function splitList(value) {
+    return (value || '').split(/[\s,]+/).map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a file name matches an `accept` list of extensions (MIME types are ignored).
+ * @private
+ */
+function acceptsFile(name, accept) {
+    const extensions = splitList(accept).filter(item => item.startsWith('.'));
+    const lower = name.toLowerCase();
+    return extensions.length === 0 || extensions.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Whether a URL points to a release manifest rather than a firmware file.
+ * @private
+ */
+function isManifestUrl(url) {
+    return url.split(/[?#]/)[0].toLowerCase().endsWith('.json');
+}
+
+const TEMPLATE = `
+<style>
+    :host {
+        display: block;
+        font-family: inherit;
+        color: var(--teensy-flasher-text, inherit);
+        background: var(--teensy-flasher-background, transparent);
+        border: 1px solid color-mix(in srgb, currentColor 25%, transparent);
+        border-radius: 6px;
+        padding: 12px;
+    }
+    :host([hidden]) { display: none; }
+    h3 { margin: 0 0 8px; font-size: 1.1em; }
+    [part="drop-zone"] {
+        border: 2px dashed color-mix(in srgb, currentColor 35%, transparent);
+        border-radius: 4px;
+        padding: 16px;
+        text-align: center;
+        cursor: pointer;
+    }
+    :host([dragging]) [part="drop-zone"] { border-color: var(--teensy-flasher-accent, #bc6b8f); }
+    .buttons { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+    button {
+        font: inherit;
+        padding: 6px 12px;
+        border: none;
+        border-radius: 4px;
+        color: #fff;
+        background: var(--teensy-flasher-accent, #bc6b8f);
+        cursor: pointer;
+    }
+    button:disabled { opacity: 0.5; cursor: default; }
+    progress { width: 100%; margin-top: 10px; }
+    [part="status"] { margin-top: 6px; white-space: pre-wrap; }
+    :host([state="error"]) [part="status"] { color: #d9534f; }
+    [part="serial-output"] {
+        max-height: 200px;
+        overflow: auto;
+        margin: 8px 0 0;
+        padding: 6px;
+        font-size: 0.85em;
+        background: color-mix(in srgb, currentColor 8%, transparent);
+    }
+    [hidden] { display: none !important; }
+</style>
+<h3><slot name="title">Firmware Update</slot></h3>
+<div><slot></slot></div>
+<div part="drop-zone" tabindex="0">
+    <span part="file-name">${FILE_PROMPT}</span>
+    <input type="file" hidden />
+</div>
+<div class="buttons">
+    <button part="reboot-button" data-action="reboot">Reboot Running Teensy</button>
+    <button part="select-button" data-action="select">Select Teensy</button>
+    <button part="flash-button" data-action="flash" disabled>Flash</button>
+    <button part="cancel-button" data-action="cancel" hidden>Cancel</button>
+</div>
+<progress part="progress" value="0" max="1" hidden></progress>
+<div part="status" role="status" aria-live="polite"></div>
+<pre part="serial-output" hidden></pre>
+<slot name="footer"></slot>
+`;
+
+////////////////////////////////////////////////////////////////////////////////
+// TeensyFlasherElement
+////////////////////////////////////////////////////////////////////////////////
+
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class { };
+
+export class TeensyFlasherElement extends BaseElement {
+    static get observedAttributes() {
+        return ['firmware-url', 'sha256', 'accept', 'boards', 'monitor', 'disabled'];
+    }
+
+    constructor() {
+        super();
+        this.flasher = new TeensyFlasher();
+        this.deviceManager = new TeensyDeviceManager();
+        this.serialManager = new SerialPortManager();
+        this.firmware = null;      // FirmwareFile of a picked, dropped or downloaded file
+        this.firmwareLoads = 0;    // bumped per file or firmware-url load; older downloads are dropped
+        this.device = null;        // TeensyDeviceManager entry of the selected board
+        this.abort = null;
+        this.busy = false;
+
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = TEMPLATE;
+        this.parts = {};
+        for (const element of this.shadowRoot.querySelectorAll('[part]')) {
+            this.parts[element.getAttribute('part')] = element;
+        }
+        this.fileInput = this.shadowRoot.querySelector('input[type="file"]');
+
+        this.serialManager.onData = line => this.appendSerialOutput(line);
+        this.deviceManager.onEvent = event => this.handleDeviceEvent(event);
+        this.wireEvents();
+    }
+
+    connectedCallback() {
+        if (!this.hasAttribute('state')) this.setState('idle');
+        this.fileInput.accept = this.accept;
+        this.deviceManager.start().catch(err => console.warn('<teensy-flasher>: device discovery unavailable:', err));
+        this.loadFirmwareUrl();
+        this.updateControls();
+    }
+
+    disconnectedCallback() {
+        this.deviceManager.stop();
+        if (this.abort) this.abort.abort();
+        if (this.serialManager.serialPort) this.serialManager.closeSerialPort().catch(() => { });
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected) return;
+        if (name === 'firmware-url' || name === 'sha256') this.loadFirmwareUrl();
+        if (name === 'accept') this.fileInput.accept = this.accept;
+        this.updateControls();
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Attributes
+    ////////////////////////////////////////////////////////////////////////////
+
+    get firmwareUrl() {
+        return this.getAttribute('firmware-url');
+    }
+
+    get accept() {
+        return this.getAttribute('accept') || DEFAULT_ACCEPT;
+    }
+
+    /**
+     * Profiles of the boards this element may flash.
+     * @returns {object[]}
+     */
+    get allowedBoards() {
+        const ids = splitList(this.getAttribute('boards'));
+        return ids.length ? TEENSY_BOARD_PROFILES.filter(p => ids.includes(p.id)) : TEENSY_BOARD_PROFILES;
+    }
+
+    get baudRate() {
+        return Number(this.getAttribute('baud-rate')) || 115200;
+    }
+
+    get disabled() {
+        return this.hasAttribute('disabled');
+    }
+
+    set disabled(value) {
+        this.toggleAttribute('disabled', Boolean(value));
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Actions
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Uses a file picked by the user (File or { name, data }).
+     * @param {File|{ name: string, data: Uint8Array }} file
+     * @returns {Promise<FirmwareFile|null>} - null if the type is not accepted
+     */
+    async loadFile(file) {
+        if (!acceptsFile(file.name, this.accept)) {
+            this.setStatus(`${file.name} is not a supported firmware file (${this.accept}).`, 'error');
+            return null;
+        }
+        const load = ++this.firmwareLoads;
+        const data = file.data || new Uint8Array(await file.arrayBuffer());
+        if (load === this.firmwareLoads) this.setFirmware(new FirmwareFile(data, file.name));
+        return this.firmware;
+    }
+
+    /**
+     * Asks the user for a Teensy in bootloader mode, limited to the allowed boards.
+     * @returns {Promise<object|null>} - TeensyDeviceManager entry
+     */
+    async selectDevice() {
+        const filters = this.allowedBoards.map(p => ({ vendorId: 0x16c0, usagePage: HALFKAY_USAGE_PAGE, usage: p.usage }));
+        try {
+            const [entry] = await this.deviceManager.requestDevice(filters);
+            if (entry) this.useDevice(entry);
+            return entry || null;
+        } catch (err) {
+            this.setStatus(`Could not select a Teensy: ${err.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Reboots a running sketch into the bootloader over its serial port (134 baud).
+     * @returns {Promise<object|null>} - entry of the bootloader, if it was found
+     */
+    async rebootToBootloader() {
+        try {
+            this.setStatus('Rebooting the Teensy into its bootloader...');
+            const hidDevice = await this.flasher.enterBootloader(this.serialManager);
+            const entry = hidDevice ? this.deviceManager.findByInterface(hidDevice) : null;
+            if (entry) {
+                this.useDevice(entry);
+            } else {
+                this.setStatus('Reboot requested. Click "Select Teensy" to pick the board in bootloader mode.');
+            }
+            return entry;
+        } catch (err) {
+            this.setStatus(`Reboot failed: ${err.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Flashes the loaded (or firmware-url) image onto the selected board.
+     * @returns {Promise<object|null>} - the flashFirmware result, or null on failure
+     */
+    async flash() {
+        if (this.busy || !this.device || !this.device.hidDevice) return null;
+        const board = this.device.board;
+        if (!board || !this.allowedBoards.some(p => p.id === board.id)) {
+            this.fail(new Error(`${board ? board.name : 'This board'} is not supported by this firmware.`));
+            return null;
+        }
+
+        this.busy = true;
+        this.abort = new AbortController();
+        this.parts.progress.value = 0;
+        this.parts.progress.hidden = false;
+        this.setState('flashing');
+        this.updateControls();
+
+        let filename = this.firmware ? this.firmware.filename : this.firmwareUrl;
+        try {
+            const firmware = await this.firmwareFor(board);
+            filename = firmware.filename;
+            this.emit('teensy-flash-start', { board, filename });
+            const blocks = await firmware.buildBlocks();
+            if (this.serialManager.serialPort) await this.serialManager.closeSerialPort();
+
+            const result = await this.flasher.flashFirmware(blocks, this.device.hidDevice, null, {
+                signal: this.abort.signal,
+                recoveryAttempts: Number(this.getAttribute('recover') ?? 2),
+                serialManager: this.hasAttribute('monitor') ? this.serialManager : null,
+                serialOptions: { baudRate: this.baudRate },
+                onEvent: event => this.handleFlashEvent(event)
+            });
+
+            this.parts.progress.value = 1;
+            this.setStatus(result.outcome === 'timed-out'
+                ? 'Update complete. If the board does not start, press its reset button.'
+                : 'Update complete.', 'done');
+            this.emit('teensy-flash-success', { board, filename, result });
+            return result;
+        } catch (err) {
+            this.fail(err);
+            return null;
+        } finally {
+            this.busy = false;
+            this.abort = null;
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Stops a running flash between blocks.
+     */
+    cancel() {
+        if (this.abort) this.abort.abort();
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Internals
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * @private
+     */
+    wireEvents() {
+        const dropZone = this.parts['drop-zone'];
+        dropZone.addEventListener('click', () => !this.disabled && this.fileInput.click());
+        dropZone.addEventListener('keydown', event => {
+            if ((event.key === 'Enter' || event.key === ' ') && !this.disabled) this.fileInput.click();
+        });
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length) this.loadFile(this.fileInput.files[0]).catch(err => this.fail(err));
+            this.fileInput.value = '';
+        });
+
+        // Files can be dropped anywhere on the element
+        this.addEventListener('dragover', event => {
+            if (this.disabled || this.busy) return;
+            event.preventDefault();
+            this.toggleAttribute('dragging', true);
+        });
+        this.addEventListener('dragleave', event => {
+            if (!this.contains(event.relatedTarget)) this.removeAttribute('dragging');
+        });
+        this.addEventListener('drop', event => {
+            event.preventDefault();
+            this.removeAttribute('dragging');
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (file && !this.disabled && !this.busy) this.loadFile(file).catch(err => this.fail(err));
+        });
+
+        this.shadowRoot.querySelector('.buttons').addEventListener('click', event => {
+            const action = event.target.dataset && event.target.dataset.action;
+            if (action === 'reboot') this.rebootToBootloader();
+            else if (action === 'select') this.selectDevice();
+            else if (action === 'flash') this.flash();
+            else if (action === 'cancel') this.cancel();
+        });
+    }
+
+    /**
+     * Downloads firmware-url unless it is a manifest (resolved per board when flashing).
+     * The previous image is dropped first, so a changed, removed or failing URL never
+     * leaves old firmware behind, and a download that finishes after a newer one
+     * started is ignored.
+     * @private
+     */
+    async loadFirmwareUrl() {
+        const load = ++this.firmwareLoads;
+        const url = this.firmwareUrl;
+        this.clearFirmware();
+        if (!url || isManifestUrl(url)) {
+            if (url) this.setStatus('Select your Teensy; the matching firmware is downloaded when you flash.');
+            return;
+        }
+        try {
+            this.setStatus('Downloading firmware...');
+            const sha256 = this.getAttribute('sha256') || undefined;
+            const firmware = await FirmwareFile.fromUrl(new URL(url, document.baseURI).href, { sha256 });
+            if (load === this.firmwareLoads) this.setFirmware(firmware);
+        } catch (err) {
+            if (load === this.firmwareLoads) this.fail(err);
+        }
+    }
+
+    /**
+     * The image to flash onto `board`: the loaded file, or the manifest's build for it.
+     * @private
+     */
+    async firmwareFor(board) {
+        if (this.firmware) return new FirmwareFile(this.firmware.fileData, this.firmware.filename, board);
+        if (this.firmwareUrl && isManifestUrl(this.firmwareUrl)) {
+            this.setStatus('Downloading firmware...');
+            const firmware = await FirmwareFile.fromManifest(new URL(this.firmwareUrl, document.baseURI).href, board);
+            this.emit('teensy-firmware-load', { filename: firmware.filename, size: firmware.fileData.length, source: firmware.source });
+            return firmware;
+        }
+        throw new Error('Choose a firmware file first.');
+    }
+
+    /**
+     * @private
+     */
+    setFirmware(firmware) {
+        this.firmware = firmware;
+        this.parts['file-name'].textContent = `${firmware.filename} (${firmware.fileData.length} bytes)`;
+        this.emit('teensy-firmware-load', { filename: firmware.filename, size: firmware.fileData.length, source: firmware.source });
+        this.setStatus(this.device ? 'Ready to flash.' : 'Firmware loaded. Now select your Teensy.', this.device ? 'ready' : 'idle');
+        this.updateControls();
+    }
+
+    /**
+     * @private
+     */
+    clearFirmware() {
+        this.firmware = null;
+        this.parts['file-name'].textContent = FILE_PROMPT;
+        this.updateControls();
+    }
+
+    /**
+     * @private
+     */
+    useDevice(entry) {
+        this.device = entry;
+        this.emit('teensy-device-select', { device: entry });
+        const supported = entry.board && this.allowedBoards.some(p => p.id === entry.board.id);
+        if (!supported) {
+            this.setStatus(`${entry.label} is not supported by this firmware.`, 'error');
+        } else {
+            this.setStatus(`${entry.label} selected.`, this.canFlash() ? 'ready' : 'idle');
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Keeps the selection when the board re-enumerates, and picks up a single
+     * allowed board that enters the bootloader.
+     * @private
+     */
+    handleDeviceEvent({ type, device }) {
+        if (type === 'disconnect' && this.device && this.device.key === device.key) {
+            this.device = null;
+        } else if (type === 'connect' && device.mode === 'bootloader' && !this.device && !this.busy
+            && device.board && this.allowedBoards.some(p => p.id === device.board.id)) {
+            this.useDevice(device);
+        }
+        this.updateControls();
+    }
+
+    /**
+     * @private
+     */
+    handleFlashEvent(event) {
+        if (event.type === 'block') {
+            const progress = event.blocksSent / event.totalBlocks;
+            this.parts.progress.value = progress;
+            this.setStatus(`Flashing... ${Math.round(progress * 100)}%`);
+            this.emit('teensy-flash-progress', { progress, event });
+        } else if (event.type === 'phase') {
+            this.setStatus(event.phase === 'erase' ? 'Erasing...' : `Flashing... (${event.phase})`);
+        } else if (event.type === 'recovery') {
+            this.setStatus(`The transfer was interrupted (${event.reason}). Restarting...`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    fail(error) {
+        const cancelled = error.name === 'AbortError';
+        this.setStatus(cancelled ? 'Flashing cancelled. Flash again to finish the update.' : error.message, 'error');
+        this.emit('teensy-flash-error', {
+            error,
+            reason: error instanceof FlashInterruptedError ? error.reason : (cancelled ? 'cancelled' : null)
+        });
+    }
+
+    /**
+     * @private
+     */
+    appendSerialOutput(line) {
+        if (typeof line !== 'string') return;
+        const output = this.parts['serial-output'];
+        output.hidden = false;
+        output.textContent = (output.textContent + line + '\n').slice(-20000);
+        output.scrollTop = output.scrollHeight;
+    }
+
+    /**
+     * @private
+     */
+    canFlash() {
+        const hasFirmware = Boolean(this.firmware) || Boolean(this.firmwareUrl && isManifestUrl(this.firmwareUrl));
+        return hasFirmware && Boolean(this.device && this.device.hidDevice);
+    }
+
+    /**
+     * @private
+     */
+    updateControls() {
+        const disabled = this.disabled || this.busy;
+        this.parts['select-button'].disabled = disabled;
+        this.parts['reboot-button'].disabled = disabled;
+        this.parts['flash-button'].disabled = disabled || !this.canFlash();
+        this.parts['cancel-button'].hidden = !this.busy;
+        this.parts['drop-zone'].setAttribute('aria-disabled', String(disabled));
+    }
+
+    /**
+     * @private
+     */
+    setStatus(text, state = null) {
+        this.parts.status.textContent = text;
+        if (state) this.setState(state);
+    }
+
+    /**
+     * @private
+     */
+    setState(state) {
+        this.setAttribute('state', state);
+    }
+
+    /**
+     * @private
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('teensy-flasher')) {
+    customElements.define('teensy-flasher', TeensyFlasherElement);
+}
@@ -0,0 +1,426 @@
+/**
+ * Teensy-Loader-Node.js
+ *
+ * Node.js transports for Teensy-Loader.js, so FirmwareFile, TeensyFlasher and
+ * SerialPortManager run unchanged outside the browser.
+ *
+ * Classes:
+ *  - NodeHidDevice: Wraps a node-hid device in the WebHID HIDDevice interface.
+ *  - NodeHidTransport: A navigator.hid replacement backed by node-hid.
+ *  - NodeSerialPort: Wraps a serialport port in the Web Serial SerialPort interface.
+ *  - NodeSerialTransport: A navigator.serial replacement backed by serialport.
+ *
+ * node-hid and serialport are loaded on demand, so this file can be imported
+ * without them; createNodeTransport() throws if they are not installed.
+ *
+ * Hotplug 'connect' / 'disconnect' events are produced by polling the device
+ * lists while at least one listener is registered.
+ */
+
+////////////////////////////////////////////////////////////////////////////////
+// Utility Functions
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Check if a device matches a WebHID / Web Serial style filter list.
+ * An empty or missing list matches everything. A device that doesn't report a
+ * filtered property (e.g. a serial port without a USB vendor ID) does not match.
+ * @private
+ * @param {{ vendorId?: number, productId?: number, usagePage?: number, usage?: number }} info
+ * @param {Array<object>} [filters]
+ */
+function matchesFilters(info, filters) {
+    if (!filters || filters.length === 0) return true;
+    return filters.some(f => Object.keys(f).every(key => info[key] !== undefined && info[key] === f[key]));
+}
+
+/**
+ * Loads an optional dependency, with a readable error if it is missing.
+ * @private
+ */
+async function loadOptional(name) {
+    try {
+        return await import(name);
+    } catch (err) {
+        throw new Error(`The '${name}' package is required for this (npm install ${name}).`);
+    }
+}
+
+/**
+ * EventTarget that polls a list function while listeners are registered and
+ * dispatches 'connect' / 'disconnect' events for entries that appear or vanish.
+ *
+ * Polling compares against the entries of the last listing (snapshot()), taken
+ * synchronously when the first listener is added, so a device that goes away
+ * before the first poll still gets its 'disconnect'. Without an earlier listing
+ * the first poll only records the baseline.
+ * @private
+ */
+class PollingEventTarget extends EventTarget {
+    constructor(pollInterval) {
+        super();
+        this.pollInterval = pollInterval;
+        this.listenerCount = 0;
+        this.pollTimer = null;
+        this.known = null;
+    }
+
+    addEventListener(type, listener, options) {
+        super.addEventListener(type, listener, options);
+        this.listenerCount++;
+        if (!this.pollTimer) this.startPolling();
+    }
+
+    removeEventListener(type, listener, options) {
+        super.removeEventListener(type, listener, options);
+        this.listenerCount = Math.max(0, this.listenerCount - 1);
+        if (this.listenerCount === 0) this.stopPolling();
+    }
+
+    startPolling() {
+        const tick = async () => {
+            try {
+                await this.poll();
+            } catch (err) {
+                // The bus may be re-enumerating; try again next tick
+            }
+            if (this.listenerCount > 0) {
+                this.pollTimer = setTimeout(tick, this.pollInterval);
+                if (this.pollTimer.unref) this.pollTimer.unref();
+            }
+        };
+        this.known = this.snapshot();
+        this.pollTimer = setTimeout(tick, 0);
+        if (this.pollTimer.unref) this.pollTimer.unref();
+    }
+
+    /**
+     * Entries of the last listing as Map<key, object>, or null if nothing was listed yet.
+     */
+    snapshot() {
+        return null;
+    }
+
+    stopPolling() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.known = null;
+    }
+
+    /**
+     * Compares the current list (Map<key, object>) with the last one and
+     * dispatches events; `property` is 'device' for HID and 'port' for serial.
+     */
+    diff(current, property) {
+        if (this.known) {
+            for (const [key, item] of current) {
+                if (!this.known.has(key)) this.dispatch('connect', property, item);
+            }
+            for (const [key, item] of this.known) {
+                if (!current.has(key)) this.dispatch('disconnect', property, item);
+            }
+        }
+        this.known = current;
+    }
+
+    dispatch(type, property, item) {
+        const event = new Event(type);
+        event[property] = item;
+        this.dispatchEvent(event);
+    }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// HID
+////////////////////////////////////////////////////////////////////////////////
+
+export class NodeHidDevice {
+    /**
+     * @param {object} HID - The node-hid module
+     * @param {object} info - Entry from HID.devicesAsync()
+     */
+    constructor(HID, info) {
+        this.HID = HID;
+        this.path = info.path;
+        this.vendorId = info.vendorId;
+        this.productId = info.productId;
+        this.productName = info.product || '';
+        this.serialNumber = info.serialNumber || '';
+        this.collections = info.usagePage !== undefined
+            ? [{ usagePage: info.usagePage, usage: info.usage }]
+            : [];
+        this.handle = null;
+    }
+
+    get opened() {
+        return this.handle !== null;
+    }
+
+    async open() {
+        if (this.handle) return;
+        this.handle = await this.HID.HIDAsync.open(this.path);
+    }
+
+    async close() {
+        if (!this.handle) return;
+        const handle = this.handle;
+        this.handle = null;
+        await handle.close();
+    }
+
+    /**
+     * Same as WebHID: `data` excludes the report ID, which node-hid wants as the first byte.
+     * @param {number} reportId
+     * @param {Uint8Array} data
+     */
+    async sendReport(reportId, data) {
+        if (!this.handle) {
+            throw new Error('Device is not open.');
+        }
+        const buffer = Buffer.alloc(data.length + 1);
+        buffer[0] = reportId;
+        buffer.set(data, 1);
+        await this.handle.write(buffer);
+    }
+}
+
+export class NodeHidTransport extends PollingEventTarget {
+    /**
+     * @param {object} HID - The node-hid module
+     * @param {{ pollInterval?: number }} [options]
+     */
+    constructor(HID, { pollInterval = 250 } = {}) {
+        super(pollInterval);
+        this.HID = HID;
+        this.devices = new Map(); // path => NodeHidDevice, so events hand out stable objects
+        this.listed = false;
+    }
+
+    /**
+     * Lists attached devices. Unlike the browser there is no permission model,
+     * so every device node-hid can see is returned.
+     * @returns {Promise<NodeHidDevice[]>}
+     */
+    async getDevices() {
+        const infos = await this.HID.devicesAsync();
+        const seen = new Map();
+        for (const info of infos) {
+            if (!info.path || seen.has(info.path)) continue;
+            let device = this.devices.get(info.path);
+            if (!device) {
+                device = new NodeHidDevice(this.HID, info);
+                this.devices.set(info.path, device);
+            }
+            seen.set(info.path, device);
+        }
+        for (const path of this.devices.keys()) {
+            if (!seen.has(path)) this.devices.delete(path);
+        }
+        this.listed = true;
+        return [...seen.values()];
+    }
+
+    /**
+     * Non-interactive requestDevice: returns every attached device matching the filters.
+     * @param {{ filters?: Array<object> }} [options]
+     * @returns {Promise<NodeHidDevice[]>}
+     */
+    async requestDevice({ filters = [] } = {}) {
+        const devices = await this.getDevices();
+        return devices.filter(d => matchesFilters({
+            vendorId: d.vendorId,
+            productId: d.productId,
+            usagePage: d.collections.length ? d.collections[0].usagePage : undefined,
+            usage: d.collections.length ? d.collections[0].usage : undefined
+        }, filters));
+    }
+
+    async poll() {
+        const devices = await this.getDevices();
+        this.diff(new Map(devices.map(d => [d.path, d])), 'device');
+    }
+
+    snapshot() {
+        return this.listed ? new Map(this.devices) : null;
+    }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Serial
+////////////////////////////////////////////////////////////////////////////////
+
+export class NodeSerialPort {
+    /**
+     * @param {Function} SerialPort - The SerialPort class from the serialport package
+     * @param {object} info - Entry from SerialPort.list()
+     */
+    constructor(SerialPort, info) {
+        this.SerialPort = SerialPort;
+        this.path = info.path;
+        this.info = {
+            usbVendorId: info.vendorId ? parseInt(info.vendorId, 16) : undefined,
+            usbProductId: info.productId ? parseInt(info.productId, 16) : undefined
+        };
+        this.serialNumber = info.serialNumber || '';
+        this.port = null;
+        this.readable = null;
+        this.writable = null;
+    }
+
+    getInfo() {
+        return { ...this.info };
+    }
+
+    /**
+     * Opens the port and exposes it through WHATWG `readable` / `writable` streams.
+     * @param {{ baudRate: number }} options
+     */
+    async open({ baudRate, dataBits = 8, stopBits = 1, parity = 'none' }) {
+        if (this.port) {
+            throw new Error('Port is already open.');
+        }
+        const port = new this.SerialPort({
+            path: this.path, baudRate, dataBits, stopBits, parity, autoOpen: false
+        });
+        await new Promise((resolve, reject) => port.open(err => (err ? reject(err) : resolve())));
+        this.port = port;
+
+        this.readable = new ReadableStream({
+            start(controller) {
+                port.on('data', chunk => controller.enqueue(new Uint8Array(chunk)));
+                port.on('close', () => {
+                    try { controller.close(); } catch (err) { /* already closed */ }
+                });
+                port.on('error', err => controller.error(err));
+            },
+            cancel() {
+                port.removeAllListeners('data');
+            }
+        });
+
+        this.writable = new WritableStream({
+            write(chunk) {
+                return new Promise((resolve, reject) => {
+                    port.write(Buffer.from(chunk), err => (err ? reject(err) : port.drain(resolve)));
+                });
+            }
+        });
+    }
+
+    /**
+     * Same as Web Serial setSignals: { dataTerminalReady, requestToSend, break }.
+     */
+    async setSignals(signals) {
+        if (!this.port) {
+            throw new Error('Port is not open.');
+        }
+        const options = {};
+        if (signals.dataTerminalReady !== undefined) options.dtr = signals.dataTerminalReady;
+        if (signals.requestToSend !== undefined) options.rts = signals.requestToSend;
+        if (signals.break !== undefined) options.brk = signals.break;
+        await new Promise((resolve, reject) => this.port.set(options, err => (err ? reject(err) : resolve())));
+    }
+
+    async close() {
+        if (!this.port) return;
+        const port = this.port;
+        this.port = null;
+        this.readable = null;
+        this.writable = null;
+        if (!port.isOpen) return;
+        await new Promise((resolve, reject) => port.close(err => (err ? reject(err) : resolve())));
+    }
+}
+
+export class NodeSerialTransport extends PollingEventTarget {
+    /**
+     * @param {Function} SerialPort - The SerialPort class from the serialport package
+     * @param {{ pollInterval?: number }} [options]
+     */
+    constructor(SerialPort, { pollInterval = 250 } = {}) {
+        super(pollInterval);
+        this.SerialPort = SerialPort;
+        this.ports = new Map(); // path => NodeSerialPort
+        this.listed = false;
+    }
+
+    /**
+     * Lists attached serial ports.
+     * @returns {Promise<NodeSerialPort[]>}
+     */
+    async getPorts() {
+        const infos = await this.SerialPort.list();
+        const seen = new Map();
+        for (const info of infos) {
+            let port = this.ports.get(info.path);
+            if (!port) {
+                port = new NodeSerialPort(this.SerialPort, info);
+                this.ports.set(info.path, port);
+            }
+            seen.set(info.path, port);
+        }
+        for (const path of this.ports.keys()) {
+            if (!seen.has(path)) this.ports.delete(path);
+        }
+        this.listed = true;
+        return [...seen.values()];
+    }
+
+    /**
+     * Non-interactive requestPort: returns the first port matching the filters
+     * ({ usbVendorId, usbProductId }), or the port at `path` if given.
+     * Without filters or a path, the first Teensy (vendor 0x16C0) port is returned.
+     * @param {{ filters?: Array<object>, path?: string }} [options]
+     * @returns {Promise<NodeSerialPort>}
+     */
+    async requestPort({ filters = [{ usbVendorId: 0x16c0 }], path = null } = {}) {
+        const ports = await this.getPorts();
+        const port = path
+            ? ports.find(p => p.path === path)
+            : ports.find(p => matchesFilters(p.getInfo(), filters));
+        if (!port) {
+            throw new Error(path ? `Serial port ${path} not found.` : 'No matching serial port found.');
+        }
+        return port;
+    }
+
+    async poll() {
+        const ports = await this.getPorts();
+        this.diff(new Map(ports.map(p => [p.path, p])), 'port');
+    }
+
+    snapshot() {
+        return this.listed ? new Map(this.ports) : null;
+    }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Transport
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates Node transports for TeensyFlasher / SerialPortManager:
+ *
+ *   const transport = await createNodeTransport();
+ *   const flasher = new TeensyFlasher(transport);
+ *   const serialManager = new SerialPortManager(transport);
+ *
+ * @param {{ hid?: boolean, serial?: boolean, pollInterval?: number }} [options]
+ *   Set hid / serial to false to skip loading that package.
+ * @returns {Promise<{ hid: NodeHidTransport|null, serial: NodeSerialTransport|null }>}
+ */
+export async function createNodeTransport({ hid = true, serial = true, pollInterval = 250 } = {}) {
+    let hidTransport = null;
+    let serialTransport = null;
+
+    if (hid) {
+        const mod = await loadOptional('node-hid');
+        hidTransport = new NodeHidTransport(mod.default || mod, { pollInterval });
+    }
+    if (serial) {
+        const mod = await loadOptional('serialport');
+        serialTransport = new NodeSerialTransport(mod.SerialPort || mod.default.SerialPort, { pollInterval });
+    }
+
+    return { hid: hidTransport, serial: serialTransport };
+}
@@ -4,15 +4,37 @@
  * A small JavaScript library for working with multiple Teensy boards via WebHID and Serial.
  * 
  * Classes:
- *  - FirmwareFile: Manages local firmware data (hex or bin).
+ *  - FirmwareFile: Manages firmware data (hex, ehex, bin or elf) from a local file,
+ *    a URL or a release manifest (FirmwareFile.fromUrl / fromManifest).
+ *  - FirmwareCache: IndexedDB store of downloaded firmware for offline use.
  *  - TeensyFlasher: Attempts to flash firmware blocks to a Teensy device over WebHID.
- *  - SerialPortManager: Opens/closes a serial port and handles incoming data.
+ *  - BatchFlasher: Flashes one firmware file to many HalfKay devices concurrently.
+ *  - TeensyDeviceManager: Tracks granted Teensy HID / serial devices across hotplug
+ *    and bootloader reboots, matched by serial number, with their board model.
+ *  - SerialPortManager: Opens/closes a serial port, reads text lines or binary chunks, and writes.
+ *  - SerialLog: Bounded, timestamped log of serial traffic and flash events with export.
+ *  - TelemetryParser: Pulls named numeric series out of Serial Plotter style lines.
  * 
+ * Transports:
+ *  - In the browser, WebHID (navigator.hid) and Web Serial (navigator.serial) are used.
+ *  - TeensyFlasher and SerialPortManager also accept objects shaped like those APIs,
+ *    which is how Teensy-Loader-Node.js runs the same code on node-hid / serialport.
+ *
  * Updates:
- *  - Supports .hex or .bin on 3.x and 4.x.
+ *  - Supports .hex or .bin on every board; .bin images load at a given base address
+ *    (default: start of the board's flash).
  *  - Supports .ehex only on Teensy 4.x (mimics official loader with two-part parse).
  *  - Splits EHEX into main program (flash) + loader utility (RAM).
+ *  - Reads ELF32 little-endian images (.elf) from their PT_LOAD segments.
+ *  - Writes Intel HEX / EHEX, merges hex files and converts hex to bin.
+ *  - Patches per-device data (serial numbers, MACs, strings, structs) into built
+ *    blocks at an address, ELF symbol or marker, and recomputes checksums.
  *  - Sends both sets of data to the device, using addresses in flash or RAM.
+ *  - Classifies transfers that stop part way (FlashInterruptedError) and restarts
+ *    them from a clean erase once the board is back in the bootloader.
+ *  - Board profiles (TEENSY_BOARD_PROFILES) describe block size, header layout,
+ *    flash size, address offset and erase delay for Teensy 2.0, 2.0++, LC,
+ *    3.x, 4.x and MicroMod.
  */
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -28,21 +50,46 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Rejects with an error named 'TimeoutError' if `promise` hasn't settled after `ms`.
+ * @private
+ * @param {Promise<T>} promise
+ * @param {number|null} ms - no limit when null
+ * @param {string} what - used in the error message
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withTimeout(promise, ms, what) {
+    if (ms === null || ms === undefined) return promise;
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`${what} timed out after ${ms} ms`);
+            err.name = 'TimeoutError';
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Sends a HID report to a Teensy device, with retries.
  * @private
  * @param {HIDDevice} device - The HID device
  * @param {Uint8Array} data - Data buffer to send
  * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {(attempt: number, error: Error) => void} [onRetry] - Called after each failed attempt
+ * @param {number} [timeout] - ms a single sendReport may take before it counts as failed
  * @returns {Promise<boolean>} - True if sent successfully, false otherwise
  */
-async function sendReportWithRetries(device, data, maxRetries = 5) {
+async function sendReportWithRetries(device, data, maxRetries = 5, onRetry = null, timeout = null) {
     for (let attempt = 0; attempt < maxRetries; attempt++) {
         try {
-            await device.sendReport(0, data);
+            await withTimeout(device.sendReport(0, data), timeout, 'sendReport');
             return true;
         } catch (err) {
             console.warn(`sendReport attempt ${attempt + 1} failed:`, err);
+            if (onRetry) onRetry(attempt + 1, err);
             await sleep(100);
         }
     }
@@ -50,34 +97,420 @@ async function sendReportWithRetries(device, data, maxRetries = 5) {
 }
 
 /**
- * Returns a recommended flash offset for each Teensy productId.
+ * Creates the error thrown when an AbortSignal stops an operation.
+ * @private
+ * @param {AbortSignal} signal
+ */
+function abortError(signal) {
+    if (signal && signal.reason instanceof Error) return signal.reason;
+    const err = new Error('Operation aborted');
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * PJRC USB vendor ID, shared by HalfKay bootloaders and Teensyduino sketches.
+ * @private
+ */
+const TEENSY_VENDOR_ID = 0x16c0;
+
+/**
+ * Turns a USB serial number into the decimal form Teensyduino sketches report.
+ * HalfKay reports the chip serial number in hex; sketches print it in decimal,
+ * multiplied by ten when it is below 10000000. Returns null for empty values.
  *
- * - Teensy 4.x boards => 0x60000000
- * - Teensy 3.x boards => 0x00000000
+ * @param {string|null|undefined} serialNumber
+ * @param {boolean} [bootloader=false] - the value came from a HalfKay device
+ * @returns {string|null}
+ */
+export function normalizeTeensySerialNumber(serialNumber, bootloader = false) {
+    const text = serialNumber === null || serialNumber === undefined ? '' : String(serialNumber).trim();
+    if (!text) return null;
+    if (bootloader && /^(?:0x)?[0-9a-f]{1,8}$/i.test(text)) {
+        let number = parseInt(text.replace(/^0x/i, ''), 16);
+        if (number < 10000000) number *= 10;
+        return String(number);
+    }
+    return text;
+}
+
+/**
+ * USB serial number of a serial port: the `serialNumber` property of the Node
+ * adapter's ports, or getInfo().serialNumber where a browser provides it.
  * @private
  */
-function getAddressOffset(productId) {
-    switch (productId) {
-        case 0x0478: // Teensy 4.0
-        case 0x0479: // Teensy 4.1
-            return 0x60000000;
-        default:
-            return 0x00000000;
+function portSerialNumber(port) {
+    if (port.serialNumber) return port.serialNumber;
+    const info = port.getInfo ? port.getInfo() : {};
+    return info.serialNumber || null;
+}
+
+/**
+ * Returns the browser's WebHID API (navigator.hid), or null outside the browser.
+ * @private
+ */
+function browserHid() {
+    return typeof navigator !== 'undefined' && navigator.hid ? navigator.hid : null;
+}
+
+/**
+ * Returns the browser's Web Serial API (navigator.serial), or null outside the browser.
+ * @private
+ */
+function browserSerial() {
+    return typeof navigator !== 'undefined' && navigator.serial ? navigator.serial : null;
+}
+
+/**
+ * Watches the HID / serial transports for a board leaving the bootloader.
+ * Must be called before the reboot report is sent so no event is missed.
+ *
+ * Outcomes:
+ *  - 'rebooted'  => this HalfKay device disconnected, or the serial port of this
+ *                   board appeared (same USB serial number)
+ *  - 'timed-out' => nothing was seen within the timeout
+ *  - 'unknown'   => neither an HID nor a serial transport is available
+ *
+ * Other boards' devices and ports are ignored, so several boards can be watched
+ * at once. Browsers don't expose serial numbers; there the outcome comes from the
+ * HID disconnect alone, and with waitForSerial the first Teensy port (vendor 16C0)
+ * that connects after it is returned as the board's port.
+ *
+ * @private
+ * @param {HIDDevice} device - The HalfKay device being flashed
+ * @param {{ timeout?: number, waitForSerial?: boolean, hid?: HID, serial?: Serial }} [options]
+ *   waitForSerial keeps waiting after the HID disconnect for this board's serial port.
+ *   hid / serial default to navigator.hid / navigator.serial.
+ * @returns {{ result: Promise<{ outcome: string, serialPort: SerialPort|null }>, cancel: () => void }}
+ */
+function watchForReboot(device, { timeout = 5000, waitForSerial = false, hid = browserHid(), serial = browserSerial() } = {}) {
+    let resolveResult;
+    const result = new Promise(resolve => { resolveResult = resolve; });
+    const serialNumber = normalizeTeensySerialNumber(device.serialNumber, true);
+    let disconnected = false;
+    let finished = false;
+    let timer = null;
+
+    function finish(outcome, serialPort = null) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        if (hid) hid.removeEventListener('disconnect', onHidDisconnect);
+        if (serial) serial.removeEventListener('connect', onSerialConnect);
+        resolveResult({ outcome, serialPort });
+    }
+
+    function onHidDisconnect(event) {
+        if (event.device !== device) return;
+        disconnected = true;
+        if (!waitForSerial || !serial) finish('rebooted');
+    }
+
+    function onSerialConnect(event) {
+        const port = event.port || event.target;
+        if (!port) return;
+        if (serialNumber) {
+            if (normalizeTeensySerialNumber(portSerialNumber(port)) === serialNumber) finish('rebooted', port);
+            return;
+        }
+        const info = port.getInfo ? port.getInfo() : {};
+        if (disconnected && !portSerialNumber(port) && info.usbVendorId === TEENSY_VENDOR_ID) finish('rebooted', port);
+    }
+
+    if (!hid && !serial) {
+        finish('unknown');
+    } else {
+        if (hid) hid.addEventListener('disconnect', onHidDisconnect);
+        if (serial) serial.addEventListener('connect', onSerialConnect);
+        timer = setTimeout(() => finish(disconnected ? 'rebooted' : 'timed-out'), timeout);
+    }
+
+    return { result, cancel: () => finish('unknown') };
+}
+
+/**
+ * Baud rate that tells a running Teensyduino sketch to reboot into HalfKay.
+ */
+export const TEENSY_REBOOT_BAUD = 134;
+
+/**
+ * Check if an HIDDevice is a Teensy in HalfKay bootloader mode.
+ * @private
+ */
+function isHalfKayDevice(device) {
+    if (!device || device.vendorId !== TEENSY_VENDOR_ID) return false;
+    if ((device.collections || []).some(c => c.usagePage === HALFKAY_USAGE_PAGE)) return true;
+    return device.productId === 0x0478;
+}
+
+/**
+ * Waits for a HalfKay device to appear on the HID transport, either through a
+ * 'connect' event or by polling getDevices(). In the browser only devices the
+ * user granted before are visible. `result` resolves null on timeout or cancel(),
+ * which also removes the listener and stops polling.
+ * @private
+ * @param {number} timeout - ms to wait
+ * @param {HID} [hid] - navigator.hid or a compatible transport
+ * @returns {{ result: Promise<HIDDevice|null>, cancel: () => void }}
+ */
+function waitForHalfKayDevice(timeout, hid = browserHid()) {
+    if (!hid) return { result: Promise.resolve(null), cancel: () => {} };
+
+    let finish;
+    const result = new Promise(resolve => {
+        let finished = false;
+        let pollTimer = null;
+
+        finish = device => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(pollTimer);
+            hid.removeEventListener('connect', onConnect);
+            resolve(device);
+        };
+
+        function onConnect(event) {
+            if (isHalfKayDevice(event.device)) finish(event.device);
+        }
+
+        async function poll() {
+            try {
+                const devices = await hid.getDevices();
+                const found = devices.find(isHalfKayDevice);
+                if (found) return finish(found);
+            } catch (err) {
+                // getDevices can fail while the USB bus re-enumerates; keep polling
+            }
+            if (!finished) pollTimer = setTimeout(poll, 250);
+        }
+
+        const timeoutTimer = setTimeout(() => finish(null), timeout);
+        hid.addEventListener('connect', onConnect);
+        poll();
+    });
+    return { result, cancel: () => finish(null) };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Board Profiles
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * HalfKay vendor-defined usage page. In bootloader mode every Teensy enumerates
+ * as 16C0:0478 and reports its board type through the usage of this collection.
+ */
+export const HALFKAY_USAGE_PAGE = 0xff9c;
+
+/**
+ * HalfKay bootloader protocol profiles, one per supported board.
+ *
+ * Each profile describes how firmware is laid out and sent to that board:
+ *  - usage:         HID usage of the HalfKay collection (board identifier)
+ *  - productIds:    product IDs this library has historically used for the board
+ *  - blockSize:     bytes of firmware carried by a single report
+ *  - headerSize:    bytes in front of the data (2 on AVR boards, 64 on ARM boards)
+ *  - addressBytes:  number of header bytes holding the block address
+ *  - addressShift:  right shift applied to the address before it is encoded
+ *                   (Teensy++ 2.0 sends address >> 8 to fit 128KB in two bytes)
+ *  - flashSize:     usable program flash in bytes
+ *  - addressOffset: address of program flash in the hex file (0x60000000 on Teensy 4.x)
+ *  - ramStart/End:  SRAM range on Kinetis boards, used to check the initial stack pointer
+ *  - stackTop:      initial stack pointer Teensyduino links Kinetis programs with
+ *  - vectorCount:   interrupt vectors in an AVR program's vector table
+ *  - flashChipSize: Teensy 4 flash chip size, as stated in the FlexSPI config block
+ *                   (the last three tell images for different boards of a family apart)
+ *  - eraseDelay:    milliseconds to wait after the first block while flash is erased
+ *  - blockDelay:    milliseconds to wait after every other block
+ *  - ehex:          whether the board accepts .ehex images
+ */
+export const TEENSY_BOARD_PROFILES = [
+    {
+        id: 'teensy2', name: 'Teensy 2.0', family: 'avr',
+        usage: 0x1b, productIds: [],
+        blockSize: 128, headerSize: 2, addressBytes: 2, addressShift: 0,
+        flashSize: 32256, addressOffset: 0x00000000,
+        ramStart: null, ramEnd: null,
+        stackTop: null, vectorCount: 43, flashChipSize: null,
+        eraseDelay: 500, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensypp2', name: 'Teensy++ 2.0', family: 'avr',
+        usage: 0x1c, productIds: [],
+        blockSize: 256, headerSize: 2, addressBytes: 2, addressShift: 8,
+        flashSize: 130048, addressOffset: 0x00000000,
+        ramStart: null, ramEnd: null,
+        stackTop: null, vectorCount: 38, flashChipSize: null,
+        eraseDelay: 500, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensy30', name: 'Teensy 3.0', family: 'kinetis',
+        usage: 0x1d, productIds: [0x0483],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 131072, addressOffset: 0x00000000,
+        ramStart: 0x1fffe000, ramEnd: 0x20002000,
+        stackTop: 0x20002000, vectorCount: null, flashChipSize: null,
+        eraseDelay: 1500, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensy32', name: 'Teensy 3.1 / 3.2', family: 'kinetis',
+        usage: 0x1e, productIds: [0x0484],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 262144, addressOffset: 0x00000000,
+        ramStart: 0x1fff8000, ramEnd: 0x20008000,
+        stackTop: 0x20008000, vectorCount: null, flashChipSize: null,
+        eraseDelay: 1500, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensy35', name: 'Teensy 3.5', family: 'kinetis',
+        usage: 0x1f, productIds: [0x0474],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 524288, addressOffset: 0x00000000,
+        ramStart: 0x1fff0000, ramEnd: 0x20030000,
+        stackTop: 0x2002fff8, vectorCount: null, flashChipSize: null,
+        eraseDelay: 1500, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensylc', name: 'Teensy LC', family: 'kinetis',
+        usage: 0x20, productIds: [],
+        blockSize: 512, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 63488, addressOffset: 0x00000000,
+        ramStart: 0x1ffff800, ramEnd: 0x20001800,
+        stackTop: 0x20001800, vectorCount: null, flashChipSize: null,
+        eraseDelay: 1000, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensy36', name: 'Teensy 3.6', family: 'kinetis',
+        usage: 0x22, productIds: [0x0477],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 1048576, addressOffset: 0x00000000,
+        ramStart: 0x1fff0000, ramEnd: 0x20030000,
+        stackTop: 0x20030000, vectorCount: null, flashChipSize: null,
+        eraseDelay: 1500, blockDelay: 5, ehex: false
+    },
+    {
+        id: 'teensy40', name: 'Teensy 4.0', family: 'imxrt',
+        usage: 0x24, productIds: [0x0478],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 2031616, addressOffset: 0x60000000,
+        ramStart: null, ramEnd: null,
+        stackTop: null, vectorCount: null, flashChipSize: 0x200000,
+        eraseDelay: 1500, blockDelay: 5, ehex: true
+    },
+    {
+        id: 'teensy41', name: 'Teensy 4.1', family: 'imxrt',
+        usage: 0x25, productIds: [0x0479],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 8126464, addressOffset: 0x60000000,
+        ramStart: null, ramEnd: null,
+        stackTop: null, vectorCount: null, flashChipSize: 0x800000,
+        eraseDelay: 1500, blockDelay: 5, ehex: true
+    },
+    {
+        id: 'teensymm', name: 'Teensy MicroMod', family: 'imxrt',
+        usage: 0x26, productIds: [],
+        blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+        flashSize: 16515072, addressOffset: 0x60000000,
+        ramStart: null, ramEnd: null,
+        stackTop: null, vectorCount: null, flashChipSize: 0x1000000,
+        eraseDelay: 1500, blockDelay: 5, ehex: true
+    },
+];
+
+/**
+ * Fallback used when the board cannot be identified. Matches the behaviour of
+ * earlier versions of this library: 1KB blocks behind a 64-byte header, no offset,
+ * and .ehex accepted.
+ */
+export const GENERIC_BOARD_PROFILE = {
+    id: 'generic', name: 'Unknown Teensy', family: 'unknown',
+    usage: null, productIds: [],
+    blockSize: 1024, headerSize: 64, addressBytes: 3, addressShift: 0,
+    flashSize: null, addressOffset: 0x00000000,
+    ramStart: null, ramEnd: null,
+    stackTop: null, vectorCount: null, flashChipSize: null,
+    eraseDelay: 1500, blockDelay: 5, ehex: true
+};
+
+/**
+ * Looks up a board profile.
+ *
+ * Accepts a profile object (returned as-is), a profile id string ('teensy41'),
+ * a HalfKay usage (0x25) or one of the legacy product IDs (0x0479).
+ *
+ * @param {object|string|number} board
+ * @returns {object|null} - The matching profile, or null if unknown
+ */
+export function getBoardProfile(board) {
+    if (board && typeof board === 'object') return board;
+    if (typeof board === 'string') {
+        const id = board.toLowerCase();
+        return TEENSY_BOARD_PROFILES.find(p => p.id === id) || null;
+    }
+    if (typeof board === 'number') {
+        return TEENSY_BOARD_PROFILES.find(p => p.usage === board)
+            || TEENSY_BOARD_PROFILES.find(p => p.productIds.includes(board))
+            || null;
+    }
+    return null;
+}
+
+/**
+ * Resolves the board profile for a HalfKay HIDDevice, preferring the usage of its
+ * vendor collection and falling back to the product ID.
+ *
+ * @param {HIDDevice} device
+ * @returns {object|null}
+ */
+export function getBoardProfileForDevice(device) {
+    if (!device) return null;
+    const collection = (device.collections || []).find(c => c.usagePage === HALFKAY_USAGE_PAGE);
+    if (collection) {
+        const profile = TEENSY_BOARD_PROFILES.find(p => p.usage === collection.usage);
+        if (profile) return profile;
+    }
+    return getBoardProfile(device.productId);
+}
+
+/**
+ * Builds a single HalfKay write report for one block according to the profile's
+ * header layout. Addresses inside program flash are sent relative to the
+ * profile's addressOffset; other addresses (e.g. RAM for EHEX loaders) are sent
+ * as-is, truncated to the header width.
+ * @private
+ * @param {object} profile
+ * @param {number} address - real memory address of the block
+ * @param {Uint8Array} data - block contents (at most profile.blockSize bytes)
+ * @returns {Uint8Array}
+ */
+function encodeBlockReport(profile, address, data) {
+    const report = new Uint8Array(profile.headerSize + profile.blockSize);
+
+    let headerAddr = address;
+    const flashEnd = profile.addressOffset + (profile.flashSize || 0);
+    if (address >= profile.addressOffset && (!profile.flashSize || address < flashEnd)) {
+        headerAddr = address - profile.addressOffset;
+    }
+    headerAddr = Math.floor(headerAddr / 2 ** profile.addressShift);
+
+    for (let i = 0; i < profile.addressBytes; i++) {
+        report[i] = Math.floor(headerAddr / 2 ** (8 * i)) & 0xff;
     }
+
+    report.set(data, profile.headerSize);
+    return report;
 }
 
 /**
- * Check if productId corresponds to a Teensy 3.x
+ * Builds the final "reboot" report (0xFF 0xFF 0xFF) sized for the profile.
  * @private
  */
-function isTeensy3x(productId) {
-    // Known 3.x PIDs
-    //  3.0 => 0x0483
-    //  3.1/3.2 => 0x0484
-    //  3.5 => 0x0474
-    //  3.6 => 0x0477
-    const threeXIds = [0x0483, 0x0484, 0x0474, 0x0477];
-    return threeXIds.includes(productId);
+function encodeRebootReport(profile) {
+    const report = new Uint8Array(profile.headerSize + profile.blockSize);
+    report[0] = 0xff;
+    report[1] = 0xff;
+    report[2] = 0xff;
+    return report;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -94,11 +527,11 @@ function isTeensy3x(productId) {
  * and `data` is the block’s contents (padded with 0xFF).
  *
  * @param {string} hexText - The raw ASCII text of Intel HEX lines
- * @param {number} blockSize - typically 1024 for Teensy
+ * @param {number} blockSize - the board profile's block size (1024 on most Teensy boards)
  * @param {number} offset - e.g. 0x60000000 for T4.x main flash, or 0x00000000 for RAM
  * @returns {Array<{ address: number, data: Uint8Array }>}
  */
-function parseSingleHexSession(hexText, blockSize, offset) {
+export function parseSingleHexSession(hexText, blockSize, offset) {
     const lines = hexText.split(/\r?\n/);
 
     // We store partial data in a Map<blockNumber, Uint8Array>.
@@ -253,7 +686,7 @@ function parseSingleHexSession(hexText, blockSize, offset) {
  * @param {number} offset
  * @returns {Array<{ address: number, data: Uint8Array }>}
  */
-function finalizeBlocks(blockMap, blockSize, offset) {
+export function finalizeBlocks(blockMap, blockSize, offset) {
     const result = [];
 
     for (const [blockNum, blockData] of blockMap.entries()) {
@@ -269,6 +702,45 @@ function finalizeBlocks(blockMap, blockSize, offset) {
     return result;
 }
 
+/**
+ * binaryToBlocks
+ * --------------
+ * Splits a raw binary image loaded at `baseAddress` into { address, data }
+ * blocks, the same shape parseSingleHexSession returns. Blocks are aligned to
+ * blockSize and padded with 0xFF, so baseAddress does not need to be aligned.
+ *
+ * @param {Uint8Array} binData
+ * @param {number} blockSize
+ * @param {number} baseAddress - real memory address of the first byte
+ * @returns {Array<{ address: number, data: Uint8Array }>}
+ */
+export function binaryToBlocks(binData, blockSize, baseAddress) {
+    const blockMap = new Map();
+    placeBytes(blockMap, blockSize, baseAddress, binData);
+    return finalizeBlocks(blockMap, blockSize, 0);
+}
+
+/**
+ * Copies bytes at a real address into a Map<blockNum, Uint8Array> of
+ * 0xFF-padded blocks (block numbers counted from address 0).
+ * @private
+ */
+function placeBytes(blockMap, blockSize, address, bytes) {
+    let addr = address;
+    let index = 0;
+
+    while (index < bytes.length) {
+        const blockNum = Math.floor(addr / blockSize);
+        const inBlock = addr % blockSize;
+        if (!blockMap.has(blockNum)) {
+            blockMap.set(blockNum, new Uint8Array(blockSize).fill(0xff));
+        }
+        const toCopy = Math.min(blockSize - inBlock, bytes.length - index);
+        blockMap.get(blockNum).set(bytes.subarray(index, index + toCopy), inBlock);
+        index += toCopy;
+        addr += toCopy;
+    }
+}
 
 /**
  * parseEhexFull:
@@ -278,13 +750,17 @@ function finalizeBlocks(blockMap, blockSize, offset) {
  *  This function splits the file at the *first* EOF, parse each half separately,
  *  and returns { mainBlocks, loaderBlocks }.
  * 
- *  The main portion uses offset=0x60000000 (typical for Teensy 4.x).
+ *  The main portion uses flashOffset (0x60000000 on Teensy 4.x).
  *  The loader portion is placed in RAM addresses, so offset=0x00000000 is used
  *  (the lines in the second portion presumably start with addresses ~0x2020_0000).
  * 
- * @private
+ * @param {Uint8Array} ehexData - The raw .ehex file
+ * @param {number} blockSize - the board profile's block size
+ * @param {number} [flashOffset] - address of program flash in the main portion
+ * @returns {Promise<{ mainBlocks: Array<{address:number, data:Uint8Array}>,
+ *                     loaderBlocks: Array<{address:number, data:Uint8Array}> }>}
  */
-async function parseEhexFull(ehexData, blockSize) {
+export async function parseEhexFull(ehexData, blockSize, flashOffset = 0x60000000) {
     const text = new TextDecoder().decode(ehexData);
 
     // Find the first EOF line: ":00000001FF"
@@ -295,7 +771,7 @@ async function parseEhexFull(ehexData, blockSize) {
     if (!match) {
         // If there's no first EOF, treat entire text as a single session
         // but it's not a valid EHEX per PJRC. Parse as one segment.
-        const mainBlocks = parseSingleHexSession(text, blockSize, 0x60000000);
+        const mainBlocks = parseSingleHexSession(text, blockSize, flashOffset);
         return { mainBlocks, loaderBlocks: [] };
     }
 
@@ -305,7 +781,7 @@ async function parseEhexFull(ehexData, blockSize) {
     const afterText = text.slice(firstEOFEnd);
 
     // parse main
-    const mainBlocks = parseSingleHexSession(mainText, blockSize, 0x60000000);
+    const mainBlocks = parseSingleHexSession(mainText, blockSize, flashOffset);
 
     // parse loader => offset=0, because those lines typically have addresses in RAM
     let loaderBlocks = [];
@@ -317,270 +793,3776 @@ async function parseEhexFull(ehexData, blockSize) {
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// FirmwareFile
+// Intel HEX Writing
 ////////////////////////////////////////////////////////////////////////////////
 
-export class FirmwareFile {
-    /**
-     * @param {Uint8Array} fileData - The file data
-     * @param {string} filename     - The file name
-     * @param {number} productId    - The Teensy product ID (0x0478, 0x0479, etc.)
-     */
-    constructor(fileData, filename, productId) {
-        this.fileData = fileData;
-        this.filename = filename.toLowerCase();
-        this.productId = productId || 0;
+/**
+ * Formats one Intel HEX record (without line ending), uppercase like PJRC's tools.
+ * @private
+ */
+function hexRecord(type, address, bytes = []) {
+    let sum = bytes.length + ((address >> 8) & 0xff) + (address & 0xff) + type;
+    let text = ':' + [bytes.length, (address >> 8) & 0xff, address & 0xff, type]
+        .map(b => b.toString(16).padStart(2, '0')).join('');
+    for (const b of bytes) {
+        sum += b;
+        text += b.toString(16).padStart(2, '0');
     }
+    text += ((0x100 - (sum & 0xff)) & 0xff).toString(16).padStart(2, '0');
+    return text.toUpperCase();
+}
 
-    /**
-     * Builds 1KB firmware blocks. 
-     * - For Teensy 3.x: we only allow .hex or .bin. .ehex => error.
-     * - For Teensy 4.x:
-     *    - .hex => single parse
-     *    - .ehex => parse in two segments
-     *    - .bin => raw blocks
-     *
-     * Returns: { mainBlocks: Uint8Array[], loaderBlocks: Uint8Array[] }
-     */
-    async buildBlocks() {
-        const PAGE_SIZE = 1024;
+/**
+ * Writes address ranges as Intel HEX text.
+ *
+ * Accepts block lists from the parsers / buildBlocks as well as arbitrary
+ * { address, data } segments. Extended Linear Address (04) records are emitted
+ * whenever the upper 16 address bits change, and no record crosses a 64 KB
+ * boundary. By default records holding only 0xFF are left out: the parsers
+ * (and erased flash) treat missing bytes as 0xFF anyway.
+ *
+ * @param {Array<{address:number, data:Uint8Array}>} segments
+ * @param {object} [options]
+ * @param {number} [options.recordLength=16] - data bytes per record (1-255)
+ * @param {boolean} [options.skipBlank=true] - leave out records that are all 0xFF
+ * @param {number} [options.startAddress] - adds a Start Linear Address (05) record
+ * @param {boolean} [options.eof=true] - end with the :00000001FF record
+ * @param {string} [options.lineEnding='\n']
+ * @returns {string}
+ */
+export function blocksToHex(segments, options = {}) {
+    const {
+        recordLength = 16,
+        skipBlank = true,
+        startAddress = null,
+        eof = true,
+        lineEnding = '\n'
+    } = options;
+    if (!Number.isInteger(recordLength) || recordLength < 1 || recordLength > 255) {
+        throw new Error(`Invalid record length ${recordLength}, must be 1-255.`);
+    }
 
-        const is3x = isTeensy3x(this.productId);
-        const is4x = !is3x; // or specifically check for 0x0478, 0x0479
+    const lines = [];
+    let upper = 0;
+    for (const segment of [...segments].sort((a, b) => a.address - b.address)) {
+        let address = segment.address;
+        let index = 0;
+        while (index < segment.data.length) {
+            // Stay inside the current 64 KB window
+            const toBoundary = 0x10000 - (address & 0xffff);
+            const count = Math.min(recordLength, segment.data.length - index, toBoundary);
+            const bytes = segment.data.subarray(index, index + count);
 
-        // If .ehex on 3.x => not supported
-        if (is3x && this.filename.endsWith('.ehex')) {
-            throw new Error(`EHEX not supported on Teensy 3.x (productId=0x${this.productId.toString(16)})`);
+            if (!skipBlank || bytes.some(b => b !== 0xff)) {
+                const high = Math.floor(address / 0x10000);
+                if (high !== upper) {
+                    lines.push(hexRecord(0x04, 0, [(high >> 8) & 0xff, high & 0xff]));
+                    upper = high;
+                }
+                lines.push(hexRecord(0x00, address & 0xffff, bytes));
+            }
+            address += count;
+            index += count;
         }
+    }
 
-        // .hex => single parse
-        if (this.filename.endsWith('.hex')) {
-            const offset = getAddressOffset(this.productId);
-            const text = new TextDecoder().decode(this.fileData);
-            const mainBlocks = parseSingleHexSession(text, PAGE_SIZE, offset);
-            return { mainBlocks, loaderBlocks: [] };
-        }
+    if (startAddress !== null) {
+        lines.push(hexRecord(0x05, 0, [24, 16, 8, 0].map(shift => (startAddress >>> shift) & 0xff)));
+    }
+    if (eof) {
+        lines.push(':00000001FF');
+    }
+    return lines.map(line => line + lineEnding).join('');
+}
+
+/**
+ * Writes a raw binary loaded at `baseAddress` as Intel HEX.
+ *
+ * @param {Uint8Array} binData
+ * @param {number} [baseAddress=0]
+ * @param {object} [options] - see blocksToHex
+ * @returns {string}
+ */
+export function binaryToHex(binData, baseAddress = 0, options = {}) {
+    return blocksToHex([{ address: baseAddress, data: binData }], options);
+}
+
+/**
+ * Assembles an EHEX file: the main (flash) image and the loader (RAM) image,
+ * each written as a hex session with its own EOF record (see parseEhexFull).
+ *
+ * @param {Array<{address:number, data:Uint8Array}>} mainBlocks
+ * @param {Array<{address:number, data:Uint8Array}>} loaderBlocks
+ * @param {object} [options] - see blocksToHex (startAddress applies to the main image)
+ * @returns {string}
+ */
+export function buildEhex(mainBlocks, loaderBlocks, options = {}) {
+    return blocksToHex(mainBlocks, options) + blocksToHex(loaderBlocks, { ...options, startAddress: null });
+}
+
+/**
+ * Reads one Intel HEX session (up to the first EOF record) into contiguous
+ * segments holding only the bytes the file defines, without block padding.
+ * Unlike parseSingleHexSession no offset is applied and nothing is dropped.
+ *
+ * @param {string} hexText
+ * @returns {{ segments: Array<{address:number, data:Uint8Array}>, startAddress: number|null }}
+ */
+export function parseHexSegments(hexText) {
+    const runs = [];            // { address, bytes: number[] } in file order
+    let current = null;
+    let baseAddress = 0;
+    let startAddress = null;
 
-        // .ehex => (Teensy 4.x only)
-        if (this.filename.endsWith('.ehex') && is4x) {
-            const { mainBlocks, loaderBlocks } = await parseEhexFull(this.fileData, PAGE_SIZE);
-            return { mainBlocks, loaderBlocks };
+    const lines = hexText.split(/\r?\n/);
+    for (let lineNum = 0; lineNum < lines.length; lineNum++) {
+        const line = lines[lineNum].trim();
+        if (!line) continue;
+        if (!line.startsWith(':')) {
+            throw new Error(`Invalid HEX line missing ':' (line ${lineNum + 1})`);
+        }
+        const bytes = [];
+        for (let i = 1; i < line.length; i += 2) {
+            bytes.push(parseInt(line.slice(i, i + 2), 16));
         }
+        const length = bytes[0];
+        if (line.length !== 11 + length * 2 || bytes.some(Number.isNaN)) {
+            throw new Error(`Line length mismatch at line ${lineNum + 1}`);
+        }
+        if ((bytes.reduce((a, b) => a + b, 0) & 0xff) !== 0) {
+            throw new Error(`Checksum error, line ${lineNum + 1}`);
+        }
+
+        const offset = (bytes[1] << 8) | bytes[2];
+        const type = bytes[3];
+        const payload = bytes.slice(4, 4 + length);
 
-        // .bin => raw binary, split into 1KB pages
-        const pages = [];
-        for (let i = 0; i < this.fileData.length; i += PAGE_SIZE) {
-            const chunk = this.fileData.slice(i, i + PAGE_SIZE);
-            if (chunk.length < PAGE_SIZE) {
-                const padded = new Uint8Array(PAGE_SIZE);
-                padded.fill(0xff);
-                padded.set(chunk, 0);
-                pages.push(padded);
+        if (type === 0x00) {
+            const address = baseAddress + offset;
+            if (current && current.address + current.bytes.length === address) {
+                current.bytes.push(...payload);
             } else {
-                pages.push(chunk);
+                current = { address, bytes: payload };
+                runs.push(current);
+            }
+        } else if (type === 0x01) {
+            break;
+        } else if (type === 0x02) {
+            baseAddress = ((payload[0] << 8) | payload[1]) << 4;
+        } else if (type === 0x04) {
+            baseAddress = ((payload[0] << 8) | payload[1]) * 0x10000;
+        } else if (type === 0x05 || type === 0x03) {
+            startAddress = type === 0x05
+                ? ((payload[0] << 24) | (payload[1] << 16) | (payload[2] << 8) | payload[3]) >>> 0
+                : (((payload[0] << 8) | payload[1]) << 4) + ((payload[2] << 8) | payload[3]);
+        }
+    }
+
+    const segments = mergeSegments([runs.map(run => ({ address: run.address, data: Uint8Array.from(run.bytes) }))],
+        { onOverlap: 'replace' });
+    return { segments, startAddress };
+}
+
+/**
+ * Combines segment lists into sorted, contiguous segments. Later lists win
+ * where they overlap, unless onOverlap is 'error'.
+ * @private
+ */
+function mergeSegments(lists, { onOverlap = 'error', names = [] } = {}) {
+    const placed = [];          // { address, end, data, source }
+    lists.forEach((segments, source) => {
+        for (const segment of segments) {
+            const end = segment.address + segment.data.length;
+            if (onOverlap === 'error') {
+                for (const other of placed) {
+                    const from = Math.max(other.address, segment.address);
+                    const to = Math.min(other.end, end);
+                    if (from >= to || other.source === source) continue;
+                    for (let addr = from; addr < to; addr++) {
+                        // Identical bytes (e.g. a shared header) are not a conflict
+                        if (other.data[addr - other.address] !== segment.data[addr - segment.address]) {
+                            const label = i => names[i] || `image ${i + 1}`;
+                            throw new Error(`${label(other.source)} and ${label(source)} overlap with different data `
+                                + `at 0x${from.toString(16)}-0x${(to - 1).toString(16)}`);
+                        }
+                    }
+                }
             }
+            placed.push({ address: segment.address, end, data: segment.data, source });
+        }
+    });
+
+    // Union of the ranges, then copy the data in order so later entries win
+    const ranges = [...placed].sort((a, b) => a.address - b.address);
+    const merged = [];
+    for (const p of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && p.address <= last.end) {
+            last.end = Math.max(last.end, p.end);
+        } else {
+            merged.push({ address: p.address, end: p.end });
         }
-        return { mainBlocks: pages, loaderBlocks: [] };
     }
+    const result = merged.map(m => ({ address: m.address, data: new Uint8Array(m.end - m.address).fill(0xff) }));
+    for (const p of placed) {
+        const target = result.find(r => p.address >= r.address && p.end <= r.address + r.data.length);
+        target.data.set(p.data, p.address - target.address);
+    }
+    return result;
+}
+
+/**
+ * Merges several hex files (e.g. bootloader + application + calibration data)
+ * into one set of segments. Overlapping bytes that differ are an error unless
+ * options.onOverlap is 'replace', in which case later files win.
+ *
+ * @param {Array<string|{name?: string, hex: string}>} images - hex texts, optionally named for errors
+ * @param {object} [options]
+ * @param {'error'|'replace'} [options.onOverlap='error']
+ * @returns {Array<{address:number, data:Uint8Array}>} - sorted, contiguous segments; write with blocksToHex
+ * @throws {Error} naming both files and the range if they overlap with different data
+ */
+export function mergeHexImages(images, options = {}) {
+    const { onOverlap = 'error' } = options;
+    const named = images.map(image => typeof image === 'string' ? { hex: image } : image);
+    return mergeSegments(named.map(image => parseHexSegments(image.hex).segments), {
+        onOverlap,
+        names: named.map(image => image.name)
+    });
+}
+
+/**
+ * Converts Intel HEX to a raw binary covering [start, end), gaps filled with 0xFF.
+ * By default the range spans the lowest to the highest address in the file.
+ *
+ * @param {string} hexText
+ * @param {object} [options]
+ * @param {number} [options.start] - first address of the binary
+ * @param {number} [options.end] - address after the last byte
+ * @returns {{ address: number, data: Uint8Array }}
+ */
+export function hexToBinary(hexText, options = {}) {
+    const { segments } = parseHexSegments(hexText);
+    if (segments.length === 0) {
+        return { address: options.start ?? 0, data: new Uint8Array(0) };
+    }
+    const last = segments[segments.length - 1];
+    const { start = segments[0].address, end = last.address + last.data.length } = options;
+    return { address: start, data: flattenBlocks(segments, start, end) };
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// TeensyFlasher
+// ELF Parsing
 ////////////////////////////////////////////////////////////////////////////////
 
-export class TeensyFlasher {
-    /**
-     * Flash the firmware onto the Teensy.
-     * 
-     * blocksObj.mainBlocks / blocksObj.loaderBlocks 
-     *   => arrays of { address, data } from parseSingleHexSession
-     * 
-     * @param {{ mainBlocks: Array<{address:number, data:Uint8Array}>, 
-     *           loaderBlocks: Array<{address:number, data:Uint8Array}>}} blocksObj
-     * @param {HIDDevice} device
-     * @param {(progress: number) => void} [progressCb]
-     */
-    async flashFirmware(blocksObj, device, progressCb) {
-        if (!progressCb) progressCb = () => { };
+const ELF_MACHINE_ARM = 40;
+const ELF_MACHINE_AVR = 83;
+const PT_LOAD = 1;
+const SHT_SYMTAB = 2;
+const SHT_STRTAB = 3;
+const SHT_NOBITS = 8;
+const SHF_WRITE = 0x1;
+const SHF_ALLOC = 0x2;
+const SHF_EXECINSTR = 0x4;
 
-        const { mainBlocks, loaderBlocks } = blocksObj;
+/**
+ * parseElf
+ * --------
+ * Reads an ELF32 little-endian image (ARM or AVR).
+ *
+ * Returns:
+ *  - machine:  'arm', 'avr' or the raw e_machine number
+ *  - entry:    entry point address
+ *  - segments: PT_LOAD program headers { paddr, vaddr, filesz, memsz, flags, data }
+ *              where data is the file contents (filesz bytes)
+ *  - sections: { name, type, flags, addr, size }
+ *  - symbols:  { name, value, size, type, bind, section, address } from .symtab;
+ *              address is where the symbol's bytes are in the image: value (Thumb bit
+ *              cleared for functions) moved from the run address (vaddr) to the load
+ *              address (paddr) of its PT_LOAD segment, so initialised RAM data maps to
+ *              its copy in flash. null for symbols without file data (.bss, absolute)
+ *  - sizes:    { text, data, bss } computed like binutils `size`
+ *
+ * @param {Uint8Array} elfData
+ * @returns {object}
+ */
+export function parseElf(elfData) {
+    const view = new DataView(elfData.buffer, elfData.byteOffset, elfData.byteLength);
 
-        // Attempt to open device
-        await device.open();
-        try {
-            // Count total blocks that need sending
-            const totalNeeded = this.countNeeded(mainBlocks) + this.countNeeded(loaderBlocks);
-            let doneCount = 0;
-
-            // 1) Send main (flash) blocks
-            await this.sendBlocks(mainBlocks, device, count => {
-                doneCount += count;
-                progressCb(doneCount / totalNeeded);
-            });
+    if (elfData.length < 52 || view.getUint32(0, false) !== 0x7f454c46) {
+        throw new Error('Not an ELF file');
+    }
+    if (elfData[4] !== 1) throw new Error('Only 32-bit ELF files are supported');
+    if (elfData[5] !== 1) throw new Error('Only little-endian ELF files are supported');
 
-            // 2) Send loader (RAM) blocks
-            if (loaderBlocks.length > 0) {
-                await this.sendBlocks(loaderBlocks, device, count => {
-                    doneCount += count;
-                    progressCb(doneCount / totalNeeded);
-                });
-            }
+    const u16 = offset => view.getUint16(offset, true);
+    const u32 = offset => view.getUint32(offset, true);
 
-            // 3) Final “magic” = 0xFF, 0xFF, 0xFF
-            const PAGE_SIZE = 1024;
-            const REPORT_SIZE = PAGE_SIZE + 64;
-            const finalReport = new Uint8Array(REPORT_SIZE);
-            finalReport[0] = 0xff;
-            finalReport[1] = 0xff;
-            finalReport[2] = 0xff;
-            await sendReportWithRetries(device, finalReport, 5);
+    const eMachine = u16(18);
+    const entry = u32(24);
+    const phoff = u32(28);
+    const shoff = u32(32);
+    const phentsize = u16(42);
+    const phnum = u16(44);
+    const shentsize = u16(46);
+    const shnum = u16(48);
+    const shstrndx = u16(50);
 
-            // small delay
-            await sleep(100);
-        } finally {
-            await device.close().catch(() => { });
-        }
+    function readString(tableOffset, index) {
+        let end = tableOffset + index;
+        while (end < elfData.length && elfData[end] !== 0) end++;
+        return new TextDecoder().decode(elfData.subarray(tableOffset + index, end));
     }
 
-    /**
-     * sendBlocks
-     * ----------
-     * Sends an array of { address, data } blocks via HID, skipping blocks that are fully 0xFF
-     * (except possibly the first).
-     *
-     * @private
-     * @param {Array<{ address:number, data:Uint8Array }>} blocks
-     * @param {HIDDevice} device
-     * @param {(count:number)=>void} incCb - increment progress
-     */
-    async sendBlocks(blocks, device, incCb) {
-        const PAGE_SIZE = 1024;
-        const REPORT_SIZE = PAGE_SIZE + 64;
-        const report = new Uint8Array(REPORT_SIZE);
+    // Program headers => loadable segments at their physical (load) address
+    const segments = [];
+    for (let i = 0; i < phnum; i++) {
+        const ph = phoff + i * phentsize;
+        if (u32(ph) !== PT_LOAD) continue;
+        const offset = u32(ph + 4);
+        const filesz = u32(ph + 16);
+        if (offset + filesz > elfData.length) {
+            throw new Error(`ELF segment ${i} extends past end of file`);
+        }
+        segments.push({
+            vaddr: u32(ph + 8),
+            paddr: u32(ph + 12),
+            filesz,
+            memsz: u32(ph + 20),
+            flags: u32(ph + 24),
+            data: elfData.subarray(offset, offset + filesz)
+        });
+    }
 
-        // Filter to needed blocks e.g. skip if block.data is all 0xFF
-        const needed = blocks.filter((b, i) => {
-            if (i === 0) return true; // always include first block
-            return !b.data.every(x => x === 0xff);
+    // Section headers
+    const rawSections = [];
+    for (let i = 0; i < shnum && shoff; i++) {
+        const sh = shoff + i * shentsize;
+        rawSections.push({
+            nameIndex: u32(sh),
+            type: u32(sh + 4),
+            flags: u32(sh + 8),
+            addr: u32(sh + 12),
+            offset: u32(sh + 16),
+            size: u32(sh + 20),
+            link: u32(sh + 24),
+            entsize: u32(sh + 36)
         });
+    }
+    const shstr = rawSections[shstrndx];
+    const sections = rawSections.map(sec => ({
+        name: shstr ? readString(shstr.offset, sec.nameIndex) : '',
+        type: sec.type,
+        flags: sec.flags,
+        addr: sec.addr,
+        size: sec.size
+    }));
 
-        let sentCount = 0;
-        for (const block of needed) {
-            report.fill(0);
+    // Symbols
+    const symbols = [];
+    rawSections.forEach((sec, index) => {
+        if (sec.type !== SHT_SYMTAB || !sec.entsize) return;
+        const strtab = rawSections[sec.link];
+        if (!strtab || strtab.type !== SHT_STRTAB || strtab.offset + strtab.size > elfData.length) {
+            throw new Error(`ELF symbol table (section ${index}) links to section ${sec.link}, which is not a string table`);
+        }
+        if (sec.offset + sec.size > elfData.length) {
+            throw new Error(`ELF symbol table (section ${index}) extends past end of file`);
+        }
+        for (let off = sec.offset; off + 16 <= sec.offset + sec.size; off += sec.entsize) {
+            const info = elfData[off + 12];
+            const shndx = u16(off + 14);
+            const name = readString(strtab.offset, u32(off));
+            if (!name) continue;
+            const value = u32(off + 4);
+            const type = ['notype', 'object', 'func', 'section', 'file'][info & 0xf] || info & 0xf;
+            // Thumb function addresses have bit 0 set
+            const start = type === 'func' ? (value & ~1) >>> 0 : value;
+            const segment = shndx !== 0 && shndx < 0xff00
+                ? segments.find(seg => start >= seg.vaddr && start < seg.vaddr + seg.filesz)
+                : null;
+            symbols.push({
+                name,
+                value,
+                size: u32(off + 8),
+                type,
+                bind: ['local', 'global', 'weak'][info >> 4] || info >> 4,
+                section: sections[shndx] ? sections[shndx].name : null,
+                address: segment ? (segment.paddr + (start - segment.vaddr)) >>> 0 : null
+            });
+        }
+    });
 
-            // Put the real address in the first 3 bytes (24-bit address)
-            const addr = block.address;
-            // If addresses exceed 24 bits, you might need a 4th byte 
-            // depending on how the Teensy bootloader is implemented.
-            report[0] = addr & 0xff;
-            report[1] = (addr >> 8) & 0xff;
-            report[2] = (addr >> 16) & 0xff;
+    // Berkeley-style sizes
+    const sizes = { text: 0, data: 0, bss: 0 };
+    for (const sec of sections) {
+        if (!(sec.flags & SHF_ALLOC)) continue;
+        if (sec.type === SHT_NOBITS) sizes.bss += sec.size;
+        else if ((sec.flags & SHF_WRITE) && !(sec.flags & SHF_EXECINSTR)) sizes.data += sec.size;
+        else sizes.text += sec.size;
+    }
 
-            // copy the data at offset 64
-            report.set(block.data, 64);
+    const machine = eMachine === ELF_MACHINE_ARM ? 'arm' : eMachine === ELF_MACHINE_AVR ? 'avr' : eMachine;
+    return { machine, entry, segments, sections, symbols, sizes };
+}
 
-            const success = await sendReportWithRetries(device, report, 5);
+/**
+ * elfToBlocks
+ * -----------
+ * Maps the PT_LOAD segments of a parsed ELF into { address, data } blocks at their
+ * physical (LMA) addresses, the same shape parseSingleHexSession returns.
+ * Segments without file data (.bss) are skipped, and so are AVR segments in the
+ * EEPROM / fuse address spaces (0x800000 and up), which objcopy also leaves out.
+ *
+ * @param {object} elf - result of parseElf
+ * @param {number} blockSize
+ * @returns {Array<{ address: number, data: Uint8Array }>}
+ */
+export function elfToBlocks(elf, blockSize) {
+    const blockMap = new Map();
+    for (const seg of elf.segments) {
+        if (seg.filesz === 0) continue;
+        if (elf.machine === 'avr' && seg.paddr >= 0x800000) continue;
+        placeBytes(blockMap, blockSize, seg.paddr, seg.data);
+    }
+    return finalizeBlocks(blockMap, blockSize, 0);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Firmware Validation
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Thrown by TeensyFlasher.flashFirmware when validation found fatal problems.
+ * `validation` holds the full { valid, errors, warnings } report.
+ */
+export class FirmwareValidationError extends Error {
+    constructor(validation) {
+        const summary = validation.errors.map(e => e.message).join('; ');
+        super(`Firmware rejected: ${summary}`);
+        this.name = 'FirmwareValidationError';
+        this.validation = validation;
+    }
+}
+
+/**
+ * Reads `length` bytes at a real memory address from a sorted block list.
+ * Returns null if any byte is not covered by a block.
+ * @private
+ */
+function readImageBytes(blocks, address, length) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        const addr = address + i;
+        const block = blocks.find(b => addr >= b.address && addr < b.address + b.data.length);
+        if (!block) return null;
+        out[i] = block.data[addr - block.address];
+    }
+    return out;
+}
+
+/**
+ * Bytes from `start` up to `end` as one array, 0xFF where no block has data.
+ * @private
+ */
+function readImageRange(blocks, start, end) {
+    const out = new Uint8Array(Math.max(0, end - start)).fill(0xff);
+    for (const block of blocks) {
+        const from = Math.max(start, block.address);
+        const to = Math.min(end, block.address + block.data.length);
+        if (from < to) out.set(block.data.subarray(from - block.address, to - block.address), from - start);
+    }
+    return out;
+}
+
+/**
+ * Reads a little-endian 32-bit word from a byte array.
+ * @private
+ */
+function readUint32LE(bytes, index) {
+    return (bytes[index] | (bytes[index + 1] << 8) | (bytes[index + 2] << 16) | (bytes[index + 3] << 24)) >>> 0;
+}
+
+/**
+ * Guesses which board family an image was built for from its vector table.
+ *  - 'imxrt'   => FlexSPI config block ("FCFB") at 0x60000000
+ *  - 'kinetis' => Cortex-M vector table at 0 (stack pointer in SRAM, Thumb reset vector)
+ *  - 'avr'     => jmp / rjmp instructions at 0
+ * @private
+ * @param {Array<{address:number, data:Uint8Array}>} blocks - blocks at real addresses
+ * @returns {string|null}
+ */
+function detectImageFamily(blocks) {
+    const fcfb = readImageBytes(blocks, 0x60000000, 4);
+    if (fcfb && String.fromCharCode(...fcfb) === 'FCFB') return 'imxrt';
+
+    const vectors = readImageBytes(blocks, 0x00000000, 8);
+    if (!vectors) return null;
+
+    const stackPointer = readUint32LE(vectors, 0);
+    const resetVector = readUint32LE(vectors, 4);
+    if (stackPointer >= 0x1fff0000 && stackPointer <= 0x20080000 && (resetVector & 1) === 1) {
+        return 'kinetis';
+    }
+
+    const firstWord = vectors[0] | (vectors[1] << 8);
+    if (firstWord === 0x940c || (firstWord & 0xf000) === 0xc000) return 'avr';
+
+    return null;
+}
+
+/**
+ * Reads the values that tell boards of one family apart (see TEENSY_BOARD_PROFILES):
+ *  - avr:     vectorCount, the 4-byte jmp / rjmp slots at the start of the image
+ *  - kinetis: stackTop, the initial stack pointer
+ *  - imxrt:   flashChipSize, the serial flash size in the FlexSPI config block
+ * Values that don't apply to the family are null.
+ * @private
+ */
+function readBoardSignature(blocks, family) {
+    const signature = { stackTop: null, vectorCount: null, flashChipSize: null };
+    if (family === 'avr') {
+        let count = 0;
+        for (let slot; (slot = readImageBytes(blocks, count * 4, 4)); count++) {
+            const word = slot[0] | (slot[1] << 8);
+            const isJmp = (word & 0xfe0e) === 0x940c;
+            const isRjmp = (word & 0xf000) === 0xc000 && slot[2] === 0 && slot[3] === 0;
+            if (!isJmp && !isRjmp) break;
+        }
+        signature.vectorCount = count;
+    } else if (family === 'kinetis') {
+        signature.stackTop = readUint32LE(readImageBytes(blocks, 0, 4), 0);
+    } else if (family === 'imxrt') {
+        const config = readImageBytes(blocks, 0x60000050, 4);
+        signature.flashChipSize = config ? readUint32LE(config, 0) : null;
+    }
+    return signature;
+}
+
+/**
+ * Reads the security structures of a Teensy 4 boot image and decides whether
+ * its program is encrypted (secure mode EHEX).
+ *
+ * The decision rests on the boot header, which the ROM has to read in the clear:
+ *  - keyBlocks: the BEE key / region blocks (EKIB / EPRDB) at 0x60000400 and
+ *    0x60000800 hold data; a plain build leaves them erased. Only an encrypted
+ *    image carries them.
+ *  - signature: the IVT points at a HAB command sequence file (CSF tag 0xD4).
+ *    Teensyduino reserves the CSF space in every Teensy 4.1 build but leaves it
+ *    zeroed; the secure build fills it. When the CSF carries a super root key
+ *    table, signature.srkTable gives its location (see FirmwareFile.inspect for
+ *    the key hash it targets).
+ * A signed image counts as encrypted when the code after the boot header (from
+ * 0x60002000) also has the entropy of AES output (> 7.5 bits per byte). Entropy
+ * alone never marks an image encrypted, since compressed payloads look the same.
+ *
+ * @param {Array<{address:number, data:Uint8Array}>} blocks - main image blocks
+ * @returns {{ encrypted: boolean|null, keyBlocks: boolean, signature: object|null,
+ *             entropy: number|null, sampleBytes: number }}
+ *          encrypted is null when the image has no IVT, or is signed but has too
+ *          little program data to tell
+ */
+export function detectEncryptedImage(blocks) {
+    const counts = new Array(256).fill(0);
+    let total = 0;
+    const { end } = imageExtent(blocks);
+    for (const block of blocks) {
+        for (let i = 0; i < block.data.length; i++) {
+            const address = block.address + i;
+            if (address < 0x60002000 || address >= end) continue;
+            counts[block.data[i]]++;
+            total++;
+        }
+    }
+    let entropy = null;
+    if (total >= 1024) {
+        entropy = 0;
+        for (const count of counts) {
+            if (count) entropy -= (count / total) * Math.log2(count / total);
+        }
+    }
+
+    const keyBlocks = [0x60000400, 0x60000800].some(address => {
+        const bytes = readImageBytes(blocks, address, 0x100);
+        return bytes !== null && bytes.some(x => x !== 0xff) && bytes.some(x => x !== 0x00);
+    });
+    const ivt = readImageBytes(blocks, 0x60001000, 32);
+    let signature = null;
+    if (ivt && ivt[0] === 0xd1) {
+        // The signed image, CSF included, ends where the boot data says
+        const bootData = readImageBytes(blocks, readUint32LE(ivt, 16), 8);
+        const imageEnd = bootData ? readUint32LE(bootData, 0) + readUint32LE(bootData, 4) : end;
+        signature = readHabSignature(blocks, readUint32LE(ivt, 24), Math.min(end, imageEnd));
+    }
+
+    let encrypted;
+    if (!ivt || ivt[0] !== 0xd1) encrypted = null;
+    else if (keyBlocks) encrypted = true;
+    else if (signature) encrypted = entropy === null ? null : entropy > 7.5;
+    else encrypted = false;
+
+    return { encrypted, keyBlocks, signature, entropy, sampleBytes: total };
+}
+
+/**
+ * Reads the HAB command sequence file (CSF) an IVT points at.
+ *
+ * HAB structures are big-endian: tag, 16-bit length, version. The super root
+ * key table (tag 0xD7) is found by scanning from the CSF to `end` (the image end
+ * from the boot data) for a table whose public key entries (tag 0xE1) exactly
+ * fill its length. The range is read into one buffer first.
+ *
+ * @private
+ * @returns {{ address: number, length: number, version: number,
+ *             srkTable: { address: number, length: number, keys: number }|null }|null}
+ *          null when the pointer is 0 or no CSF header is there
+ */
+function readHabSignature(blocks, address, end) {
+    const header = address ? readImageBytes(blocks, address, 4) : null;
+    if (!header || header[0] !== 0xd4) return null;
+    const signature = { address, length: (header[1] << 8) | header[2], version: header[3], srkTable: null };
+
+    const region = readImageRange(blocks, address, end);
+    for (let at = 0; at + 4 <= region.length && !signature.srkTable; at += 4) {
+        if (region[at] !== 0xd7 || (region[at + 3] & 0xf0) !== 0x40) continue;
+        const length = (region[at + 1] << 8) | region[at + 2];
+        if (length <= 4 || at + length > region.length) continue;
+        const body = region.subarray(at, at + length);
+        let keys = 0;
+        let offset = 4;
+        while (offset + 4 <= length && body[offset] === 0xe1) {
+            const keyLength = (body[offset + 1] << 8) | body[offset + 2];
+            if (keyLength < 4) break;
+            offset += keyLength;
+            keys++;
+        }
+        if (offset === length && keys > 0) signature.srkTable = { address: address + at, length, keys };
+    }
+    return signature;
+}
+
+/**
+ * Hash of a HAB super root key table as burned into the SRK_HASH fuses: SHA-256
+ * over the concatenated SHA-256 digests of each key entry.
+ * @private
+ */
+async function srkTableHash(table) {
+    const digests = [];
+    let offset = 4;
+    while (offset < table.length) {
+        const keyLength = (table[offset + 1] << 8) | table[offset + 2];
+        const digest = await sha256Hex(table.subarray(offset, offset + keyLength));
+        digests.push(Uint8Array.from(digest.match(/../g), byte => parseInt(byte, 16)));
+        offset += keyLength;
+    }
+    const joined = new Uint8Array(digests.length * 32);
+    digests.forEach((digest, i) => joined.set(digest, i * 32));
+    return sha256Hex(joined);
+}
+
+/**
+ * Checks a firmware image against a board profile before anything is sent.
+ *
+ * Each finding is { code, message, address? }. Errors are fatal, warnings are not:
+ *  - 'empty-image'             (error)   no data to flash
+ *  - 'address-out-of-range'    (error)   data outside the board's program flash
+ *  - 'image-too-large'         (error)   image ends past the board's flash size
+ *  - 'vector-table-mismatch'   (error)   image was built for another board: another family, a
+ *                                        stack pointer outside the board's SRAM, or the stack top,
+ *                                        AVR vector count or Teensy 4 flash chip size of another
+ *                                        board of the family
+ *  - 'missing-flexspi-config'  (error)   Teensy 4: no FlexSPI config block at 0x60000000
+ *  - 'missing-boot-data'       (error)   Teensy 4: no IVT / boot data at 0x60001000
+ *  - 'boot-data-length'        (warning) Teensy 4: boot data claims more than the flash size
+ *  - 'reset-vector-range'      (error)   ARM reset vector points outside the board's program flash
+ *  - 'unknown-image-family'    (warning) the vector table was not recognised
+ *  - 'unencrypted-image'       (error on a locked board, warning in secure mode) Teensy 4:
+ *                                        the boot header shows no encryption (see detectEncryptedImage)
+ *  - 'encrypted-image'         (warning) Teensy 4: the program looks encrypted but the board
+ *                                        is not marked as secure; it only runs with the matching key
+ *
+ * Boards without a flashSize / family (GENERIC_BOARD_PROFILE) skip those checks.
+ * Whether a Teensy 4 is in secure mode or locked can't be read over HalfKay; mark
+ * it on the profile: { ...getBoardProfile('teensy41'), secure: true, locked: true }.
+ *
+ * @param {Array<{address:number, data:Uint8Array}>} blocks - main image blocks at real addresses,
+ *        including any data below the profile's addressOffset
+ * @param {object} profile - board profile
+ * @returns {{ valid: boolean, errors: Array<object>, warnings: Array<object> }}
+ */
+export function validateFirmwareBlocks(blocks, profile) {
+    const errors = [];
+    const warnings = [];
+    const hex = n => `0x${n.toString(16)}`;
+
+    const used = blocks.filter(b => !b.data.every(x => x === 0xff));
+    if (used.length === 0) {
+        errors.push({ code: 'empty-image', message: 'Firmware image contains no data' });
+        return { valid: false, errors, warnings };
+    }
+
+    const flashStart = profile.addressOffset;
+    const flashEnd = profile.flashSize ? flashStart + profile.flashSize : Infinity;
+
+    // Addresses outside program flash
+    const outside = used.filter(b => b.address < flashStart || b.address >= flashEnd);
+    if (outside.length > 0) {
+        errors.push({
+            code: 'address-out-of-range',
+            address: outside[0].address,
+            message: `${outside.length} block(s) outside ${profile.name} flash `
+                + `(${hex(flashStart)}-${hex(flashEnd === Infinity ? flashStart : flashEnd - 1)}), first at ${hex(outside[0].address)}`
+        });
+    }
+
+    // Image end vs flash size
+    const inside = used.filter(b => b.address >= flashStart && b.address < flashEnd);
+    if (profile.flashSize && inside.length > 0) {
+        const last = inside[inside.length - 1];
+        const imageSize = last.address + last.data.length - flashStart;
+        if (imageSize > profile.flashSize) {
+            errors.push({
+                code: 'image-too-large',
+                address: last.address,
+                message: `Image is ${imageSize} bytes, ${profile.name} has ${profile.flashSize} bytes of flash`
+            });
+        }
+    }
+
+    // Vector table / board family
+    const family = detectImageFamily(used);
+    if (profile.family !== 'unknown') {
+        if (family && family !== profile.family) {
+            errors.push({
+                code: 'vector-table-mismatch',
+                message: `Image looks built for the ${family} family, but ${profile.name} is ${profile.family}`
+            });
+        } else if (!family && profile.family !== 'imxrt') {
+            warnings.push({ code: 'unknown-image-family', message: 'Could not recognise the image vector table' });
+        }
+    }
+
+    // Teensy 4 image header
+    if (profile.family === 'imxrt') {
+        if (family !== 'imxrt') {
+            errors.push({
+                code: 'missing-flexspi-config',
+                address: 0x60000000,
+                message: 'Teensy 4 image has no FlexSPI config block at 0x60000000'
+            });
+        }
+        const ivt = readImageBytes(used, 0x60001000, 32);
+        if (!ivt || ivt[0] !== 0xd1) {
+            errors.push({
+                code: 'missing-boot-data',
+                address: 0x60001000,
+                message: 'Teensy 4 image has no IVT / boot data at 0x60001000'
+            });
+        } else {
+            const bootDataPtr = readUint32LE(ivt, 16);
+            const bootData = readImageBytes(used, bootDataPtr, 8);
+            if (!bootData) {
+                errors.push({
+                    code: 'missing-boot-data',
+                    address: bootDataPtr,
+                    message: `Teensy 4 boot data pointer ${hex(bootDataPtr)} is not inside the image`
+                });
+            } else if (profile.flashSize && readUint32LE(bootData, 4) > profile.flashSize) {
+                warnings.push({
+                    code: 'boot-data-length',
+                    address: bootDataPtr,
+                    message: `Boot data length ${readUint32LE(bootData, 4)} exceeds ${profile.name} flash size`
+                });
+            }
+        }
+
+        // Secure mode: a locked board only runs images encrypted with its key
+        const { encrypted } = detectEncryptedImage(used);
+        if ((profile.secure || profile.locked) && encrypted === false) {
+            (profile.locked ? errors : warnings).push({
+                code: 'unencrypted-image',
+                message: profile.locked
+                    ? `${profile.name} is locked and only accepts encrypted EHEX images, this image is not encrypted`
+                    : `${profile.name} is in secure mode but this image is not encrypted; use the EHEX built with your key`
+            });
+        } else if (!profile.secure && !profile.locked && encrypted) {
+            warnings.push({
+                code: 'encrypted-image',
+                message: 'Image looks encrypted; it only runs on a Teensy 4 whose fuses hold the matching key'
+            });
+        }
+    }
+
+    // ARM stack pointer should be in this board's SRAM, reset vector in its flash
+    if (profile.family === 'kinetis' && family === 'kinetis') {
+        const vectors = readImageBytes(used, 0, 8);
+        const stackPointer = readUint32LE(vectors, 0);
+        const resetVector = readUint32LE(vectors, 4) & ~1;
+        if (profile.ramStart !== null && (stackPointer < profile.ramStart || stackPointer > profile.ramEnd)) {
+            errors.push({
+                code: 'vector-table-mismatch',
+                address: 0,
+                message: `Initial stack pointer ${hex(stackPointer)} is outside ${profile.name} RAM; image was built for another board`
+            });
+        }
+        if (profile.flashSize && resetVector >= profile.flashSize) {
+            errors.push({
+                code: 'reset-vector-range',
+                address: resetVector,
+                message: `Reset vector ${hex(resetVector)} is outside ${profile.name} flash`
+            });
+        }
+    }
+
+    // Boards of one family: the stack top, vector count or flash chip the image
+    // was built for names a different board
+    if (family === profile.family && errors.length === 0) {
+        const found = readBoardSignature(used, family);
+        for (const [field, value] of Object.entries(found)) {
+            if (profile[field] === null || value === null || value === profile[field]) continue;
+            const other = TEENSY_BOARD_PROFILES.find(p => p.family === family && p[field] === value);
+            if (other) {
+                errors.push({
+                    code: 'vector-table-mismatch',
+                    message: `Image was built for the ${other.name}, not the ${profile.name}`
+                });
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Firmware Inspection
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * SHA-256 of a byte array as a lowercase hex string (WebCrypto). Node 18 has
+ * no global `crypto`; there node:crypto's webcrypto is used.
+ * @private
+ */
+async function sha256Hex(bytes) {
+    let subtle = typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null;
+    if (!subtle && typeof process !== 'undefined' && process.versions && process.versions.node) {
+        subtle = (await import('node:crypto')).webcrypto.subtle;
+    }
+    if (!subtle) {
+        throw new Error('WebCrypto (crypto.subtle) is not available.');
+    }
+    const digest = await subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+let crc32Table = null;
+
+/**
+ * CRC-32 (IEEE 802.3, as in zlib / Ethernet: reflected polynomial 0xEDB88320,
+ * initial value and final XOR 0xFFFFFFFF). Pass the previous result as `crc`
+ * to continue over several chunks.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0]
+ * @returns {number} - unsigned 32-bit CRC
+ */
+export function crc32(bytes, crc = 0) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    crc = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Span of a block list from the first block to the last programmed (non-0xFF) byte.
+ * @private
+ * @returns {{ start: number, end: number }}
+ */
+function imageExtent(blocks, fallbackStart = 0) {
+    const start = blocks.length ? blocks[0].address : fallbackStart;
+    let end = start;
+    for (const block of blocks) {
+        for (let i = block.data.length - 1; i >= 0; i--) {
+            if (block.data[i] !== 0xff) {
+                end = Math.max(end, block.address + i + 1);
+                break;
+            }
+        }
+    }
+    return { start, end };
+}
+
+/**
+ * CRC-32 of the image as it sits in flash: from the first block to the last
+ * programmed byte, with gaps read as erased (0xFF). Firmware can compute the
+ * same value over `length` bytes of its own flash starting at `start`, which
+ * is what TeensyFlasher.verifyFirmware compares against.
+ *
+ * @param {Array<{address:number, data:Uint8Array}>} blocks - mainBlocks from buildBlocks
+ * @returns {{ crc: number, start: number, end: number, length: number }}
+ */
+export function firmwareCrc(blocks) {
+    const { start, end } = imageExtent(blocks);
+    return { crc: crc32(flattenBlocks(blocks, start, end)), start, end, length: end - start };
+}
+
+/**
+ * Merges sorted blocks into contiguous { start, end, size } regions (end exclusive).
+ * @private
+ */
+function blocksToRegions(blocks) {
+    const regions = [];
+    for (const block of blocks) {
+        const last = regions[regions.length - 1];
+        const end = block.address + block.data.length;
+        if (last && last.end === block.address) {
+            last.end = end;
+            last.size = last.end - last.start;
+        } else {
+            regions.push({ start: block.address, end, size: block.data.length });
+        }
+    }
+    return regions;
+}
+
+/**
+ * Copies blocks into one 0xFF-filled array covering [start, end).
+ * @private
+ */
+function flattenBlocks(blocks, start, end) {
+    const image = new Uint8Array(end - start).fill(0xff);
+    for (const block of blocks) {
+        const from = Math.max(block.address, start);
+        const to = Math.min(block.address + block.data.length, end);
+        if (from < to) {
+            image.set(block.data.subarray(from - block.address, to - block.address), from - start);
+        }
+    }
+    return image;
+}
+
+/**
+ * Reads the Teensy 4 image header: FlexSPI config block, IVT and boot data.
+ * Fields are null when the structure is missing.
+ * @private
+ */
+function readTeensy4Header(blocks) {
+    const header = { flexspiConfig: null, ivt: null, bootData: null };
+
+    const fcfb = readImageBytes(blocks, 0x60000000, 8);
+    if (fcfb && String.fromCharCode(...fcfb.subarray(0, 4)) === 'FCFB') {
+        header.flexspiConfig = { address: 0x60000000, tag: 'FCFB', version: readUint32LE(fcfb, 4) };
+    }
+
+    const ivt = readImageBytes(blocks, 0x60001000, 32);
+    if (ivt && ivt[0] === 0xd1) {
+        header.ivt = {
+            address: 0x60001000,
+            length: (ivt[1] << 8) | ivt[2],
+            version: ivt[3],
+            entry: readUint32LE(ivt, 4),
+            dcd: readUint32LE(ivt, 12),
+            bootData: readUint32LE(ivt, 16),
+            self: readUint32LE(ivt, 20),
+            csf: readUint32LE(ivt, 24)
+        };
+        const bootData = readImageBytes(blocks, header.ivt.bootData, 12);
+        if (bootData) {
+            header.bootData = {
+                address: header.ivt.bootData,
+                start: readUint32LE(bootData, 0),
+                length: readUint32LE(bootData, 4),
+                plugin: readUint32LE(bootData, 8)
+            };
+        }
+    }
+    return header;
+}
+
+/**
+ * Teensy 4 boot header and encryption report for inspect(), with the key hash
+ * read from the image's super root key table.
+ * @private
+ */
+async function teensy4Security(blocks) {
+    const encryption = detectEncryptedImage(blocks);
+    const srkTable = encryption.signature && encryption.signature.srkTable;
+    const table = srkTable ? readImageBytes(blocks, srkTable.address, srkTable.length) : null;
+    return {
+        ...readTeensy4Header(blocks),
+        encryption: { ...encryption, keyHash: table ? await srkTableHash(table) : null }
+    };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Firmware Patching
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Byte size and signedness of the numeric patch types.
+ * @private
+ */
+const PATCH_NUMBER_TYPES = {
+    u8: [1, false], u16: [2, false], u32: [4, false], u64: [8, false],
+    i8: [1, true], i16: [2, true], i32: [4, true], i64: [8, true],
+    f32: [4, null], f64: [8, null]
+};
+
+/**
+ * Checksum algorithms for patchBlocks: (bytes) => value, and the field size in bytes.
+ * @private
+ */
+const PATCH_CHECKSUMS = {
+    crc32: [bytes => crc32(bytes), 4],
+    // CRC-16/CCITT-FALSE: polynomial 0x1021, initial value 0xFFFF
+    crc16: [bytes => {
+        let crc = 0xffff;
+        for (const b of bytes) {
+            crc ^= b << 8;
+            for (let k = 0; k < 8; k++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        }
+        return crc;
+    }, 2],
+    sum8: [bytes => bytes.reduce((a, b) => a + b, 0) & 0xff, 1],
+    sum16: [bytes => bytes.reduce((a, b) => a + b, 0) & 0xffff, 2],
+    sum32: [bytes => bytes.reduce((a, b) => a + b, 0) >>> 0, 4],
+    xor8: [bytes => bytes.reduce((a, b) => a ^ b, 0), 1]
+};
+
+/**
+ * Encodes a patch value to bytes. `size` is the field size from the symbol or
+ * marker, used when the patch has no explicit length.
+ * @private
+ */
+function encodePatchValue(spec, size = null) {
+    const { value, endian = 'little' } = spec;
+    const type = spec.type || (typeof value === 'string' ? 'string'
+        : typeof value === 'bigint' ? 'u64'
+        : typeof value === 'number' ? 'u32' : 'bytes');
+    const length = spec.length ?? size;
+    const label = spec.name ? `'${spec.name}'` : type;
+    let bytes;
+
+    if (type in PATCH_NUMBER_TYPES) {
+        const [width, signed] = PATCH_NUMBER_TYPES[type];
+        const little = endian === 'little';
+        if (signed === null) {
+            bytes = new Uint8Array(width);
+            new DataView(bytes.buffer)[width === 4 ? 'setFloat32' : 'setFloat64'](0, Number(value), little);
+        } else {
+            if (typeof value === 'number' && !Number.isInteger(value)) {
+                throw new Error(`Patch ${label}: ${value} is not an integer.`);
+            }
+            const big = BigInt(value);
+            const bits = BigInt(width * 8);
+            const min = signed ? -(1n << (bits - 1n)) : 0n;
+            const max = signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+            if (big < min || big > max) {
+                throw new Error(`Patch ${label}: ${value} does not fit in ${type}.`);
+            }
+            // Write all 64 bits, then keep the low `width` bytes
+            const full = new Uint8Array(8);
+            new DataView(full.buffer).setBigUint64(0, BigInt.asUintN(64, big), little);
+            bytes = little ? full.slice(0, width) : full.slice(8 - width);
+        }
+    } else if (type === 'string') {
+        bytes = new TextEncoder().encode(String(value));
+        // Without a field size, C strings need their terminator
+        if (length === null) bytes = Uint8Array.from([...bytes, 0]);
+    } else if (type === 'mac') {
+        const parts = typeof value === 'string' ? value.split(/[:-]/).map(p => parseInt(p, 16)) : [...value];
+        if (parts.length !== 6 || parts.some(p => !(p >= 0 && p <= 0xff))) {
+            throw new Error(`Patch ${label}: '${value}' is not a MAC address.`);
+        }
+        bytes = Uint8Array.from(parts);
+    } else if (type === 'struct') {
+        const fields = spec.fields.map(field => field.type === 'pad'
+            ? new Uint8Array(field.length).fill(field.value ?? 0)
+            : encodePatchValue({ endian, ...field, name: field.name || spec.name }));
+        bytes = new Uint8Array(fields.reduce((sum, f) => sum + f.length, 0));
+        let at = 0;
+        for (const field of fields) {
+            bytes.set(field, at);
+            at += field.length;
+        }
+    } else if (type === 'bytes') {
+        bytes = Uint8Array.from(value);
+    } else {
+        throw new Error(`Patch ${label}: unknown type '${type}'.`);
+    }
+
+    if (length !== null) {
+        if (bytes.length > length) {
+            throw new Error(`Patch ${label}: ${bytes.length} bytes do not fit in ${length}.`);
+        }
+        if (bytes.length < length) {
+            const padded = new Uint8Array(length);
+            padded.set(bytes);
+            bytes = padded;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Encodes a checksum as an unsigned `width`-byte field. Numbers and BigInts are
+ * accepted; negative results are stored in two's complement.
+ * @private
+ */
+function encodeChecksumValue(value, width, endian = 'little', label = 'checksum') {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        throw new Error(`Checksum ${label}: ${value} is not an integer.`);
+    }
+    const big = BigInt(value);
+    const bits = BigInt(width * 8);
+    if (big < -(1n << (bits - 1n)) || big >= (1n << bits)) {
+        throw new Error(`Checksum ${label}: ${value} does not fit in ${width} bytes.`);
+    }
+    let rest = BigInt.asUintN(width * 8, big);
+    const bytes = new Uint8Array(width);
+    for (let i = 0; i < width; i++) {
+        bytes[i] = Number(rest & 0xffn);
+        rest >>= 8n;
+    }
+    return endian === 'big' ? bytes.reverse() : bytes;
+}
+
+/**
+ * Finds where a patch or checksum goes: `address`, a `symbol` from the ELF
+ * symbol table, or the unique occurrence of a `marker` pattern; plus `offset`.
+ * Returns the address and the natural field size (symbol size / marker length).
+ * @private
+ */
+function resolvePatchLocation(spec, image, symbols) {
+    const offset = spec.offset || 0;
+    const label = spec.name ? `'${spec.name}'` : 'patch';
+
+    if (typeof spec.address === 'number') {
+        return { address: spec.address + offset, size: null };
+    }
+    if (spec.symbol) {
+        const symbol = symbols.find(sym => sym.name === spec.symbol);
+        if (!symbol) {
+            throw new Error(`Patch ${label}: symbol '${spec.symbol}' not found.`);
+        }
+        // parseElf symbols carry their load address; other symbol lists give the address as value
+        let address = symbol.address;
+        if (address === undefined) {
+            address = symbol.type === 'func' ? (symbol.value & ~1) >>> 0 : symbol.value;
+        } else if (address === null) {
+            throw new Error(`Patch ${label}: symbol '${spec.symbol}' has no data in the image (e.g. it is in .bss).`);
+        }
+        return { address: address + offset, size: offset === 0 && symbol.size ? symbol.size : null };
+    }
+    if (spec.marker !== undefined) {
+        const pattern = typeof spec.marker === 'string' ? new TextEncoder().encode(spec.marker) : Uint8Array.from(spec.marker);
+        const found = [];
+        const data = image.data;
+        for (let i = data.indexOf(pattern[0]); i !== -1 && i <= data.length - pattern.length; i = data.indexOf(pattern[0], i + 1)) {
+            if (pattern.every((b, k) => data[i + k] === b)) found.push(i);
+        }
+        if (found.length !== 1) {
+            throw new Error(`Patch ${label}: marker found ${found.length} times, expected exactly once.`);
+        }
+        return { address: image.address + found[0] + offset, size: offset === 0 ? pattern.length : null };
+    }
+    throw new Error(`Patch ${label} needs an address, symbol or marker.`);
+}
+
+/**
+ * Writes per-device values into a copy of a block list, e.g. from buildBlocks:
+ *
+ *   const { blocks, applied } = patchBlocks(mainBlocks, [
+ *       { name: 'serial', symbol: 'g_serial', type: 'u32', value: 100234 },
+ *       { name: 'mac', marker: 'MACADDR!', type: 'mac', value: '02:00:00:12:34:56' },
+ *       { name: 'label', address: 0x60010000, type: 'string', value: 'Unit 7', length: 16 },
+ *       { name: 'cal', symbol: 'g_cal', type: 'struct', fields: [
+ *           { type: 'f32', value: 1.02 }, { type: 'i16', value: -12 }, { type: 'pad', length: 2 }] }
+ *   ], {
+ *       symbols: elf.symbols,
+ *       checksums: [{ name: 'calCrc', algorithm: 'crc32', over: 'cal', symbol: 'g_cal_crc' }]
+ *   });
+ *
+ * Patch fields:
+ *  - where:  address | symbol (needs options.symbols; parseElf symbols are written at
+ *            their load address, so .data variables patch their initial value in flash)
+ *            | marker (string or bytes, must occur exactly once), plus an optional offset
+ *  - type:   u8/u16/u32/u64, i8-i64, f32/f64 (endian: 'little' default or 'big'),
+ *            string (UTF-8), mac, bytes, or struct (fields: [...], with { type: 'pad', length })
+ *  - length: field size; shorter values are zero padded, longer ones are an error.
+ *            Defaults to the symbol size or marker length.
+ *
+ * Checksums run after all patches, in order, over `over` (a patch name,
+ * { address, length } or { symbol }) and are written like a patch.
+ * algorithm: crc32, crc16 (CCITT-FALSE), sum8, sum16, sum32, xor8, or a function
+ * (bytes) => number | bigint together with `size` in bytes.
+ *
+ * @param {Array<{address:number, data:Uint8Array}>} blocks - block-aligned list; not modified
+ * @param {object[]} patches
+ * @param {object} [options]
+ * @param {object[]} [options.symbols] - ELF symbols (parseElf / FirmwareFile.elfInfo().symbols)
+ * @param {object[]} [options.checksums]
+ * @returns {{ blocks: Array<{address:number, data:Uint8Array}>,
+ *             applied: Array<{ name: string|null, kind: 'patch'|'checksum', address: number,
+ *                              bytes: Uint8Array, previous: Uint8Array }> }}
+ */
+export function patchBlocks(blocks, patches, options = {}) {
+    const { symbols = [], checksums = [] } = options;
+    const blockSize = blocks.length ? blocks[0].data.length : 1024;
+    if (blocks.some(b => b.address % blockSize !== 0 || b.data.length !== blockSize)) {
+        throw new Error('patchBlocks needs block-aligned blocks of one size (as from buildBlocks).');
+    }
+
+    const blockMap = new Map(blocks.map(b => [b.address / blockSize, b.data.slice()]));
+    const read = (address, length) => {
+        const bytes = new Uint8Array(length).fill(0xff);
+        for (let i = 0; i < length; i++) {
+            const block = blockMap.get(Math.floor((address + i) / blockSize));
+            if (block) bytes[i] = block[(address + i) % blockSize];
+        }
+        return bytes;
+    };
+
+    // Markers are searched in the unpatched image
+    let image = null;
+    const imageFor = spec => {
+        if (spec.marker !== undefined && !image && blocks.length) {
+            const start = blocks[0].address;
+            const last = blocks[blocks.length - 1];
+            image = { address: start, data: flattenBlocks(blocks, start, last.address + blockSize) };
+        }
+        return image || { address: 0, data: new Uint8Array(0) };
+    };
+
+    const applied = [];
+    const write = (spec, kind, address, bytes) => {
+        const previous = read(address, bytes.length);
+        placeBytes(blockMap, blockSize, address, bytes);
+        applied.push({ name: spec.name ?? null, kind, address, bytes, previous });
+    };
+
+    for (const patch of patches) {
+        const { address, size } = resolvePatchLocation(patch, imageFor(patch), symbols);
+        write(patch, 'patch', address, encodePatchValue(patch, size));
+    }
+
+    for (const checksum of checksums) {
+        const label = checksum.name ? `'${checksum.name}'` : 'checksum';
+        const [compute, width] = typeof checksum.algorithm === 'function'
+            ? [checksum.algorithm, checksum.size || 4]
+            : PATCH_CHECKSUMS[checksum.algorithm] || [];
+        if (!compute) {
+            throw new Error(`Checksum ${label}: unknown algorithm '${checksum.algorithm}'.`);
+        }
+
+        let range = checksum.over;
+        if (typeof range === 'string') {
+            const target = applied.find(a => a.name === range);
+            if (!target) throw new Error(`Checksum ${label}: no patch named '${range}'.`);
+            range = { address: target.address, length: target.bytes.length };
+        } else if (range && range.symbol) {
+            const { address, size } = resolvePatchLocation({ name: checksum.name, symbol: range.symbol }, null, symbols);
+            range = { address, length: size };
+        }
+        if (!range || typeof range.address !== 'number' || !(range.length > 0)) {
+            throw new Error(`Checksum ${label} needs a range: a patch name, { address, length } or { symbol }.`);
+        }
+
+        const value = compute(read(range.address, range.length));
+        const { address } = resolvePatchLocation(checksum, imageFor(checksum), symbols);
+        write(checksum, 'checksum', address, encodeChecksumValue(value, width, checksum.endian, label));
+    }
+
+    return { blocks: finalizeBlocks(blockMap, blockSize, 0), applied };
+}
+
+/**
+ * patchBlocks for a buildBlocks result: patches the main image and re-validates
+ * it for the board, so the result can be passed straight to flashFirmware.
+ *
+ * @param {{ mainBlocks: object[], loaderBlocks: object[], board: object }} blocksObj
+ * @param {object[]} patches - see patchBlocks
+ * @param {object} [options] - see patchBlocks
+ * @returns {{ mainBlocks: object[], loaderBlocks: object[], board: object, validation: object, patches: object[] }}
+ */
+export function patchFirmware(blocksObj, patches, options = {}) {
+    const { blocks, applied } = patchBlocks(blocksObj.mainBlocks, patches, options);
+    return {
+        ...blocksObj,
+        mainBlocks: blocks,
+        validation: validateFirmwareBlocks(blocks, blocksObj.board || GENERIC_BOARD_PROFILE),
+        patches: applied
+    };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// FirmwareFile
+////////////////////////////////////////////////////////////////////////////////
+
+export class FirmwareFile {
+    /**
+     * @param {Uint8Array} fileData - The file data
+     * @param {string} filename     - The file name
+     * @param {object|string|number} [board] - Board profile, profile id ('teensy41'),
+     *                                HalfKay usage or product ID (0x0478, 0x0479, etc.)
+     */
+    constructor(fileData, filename, board) {
+        this.fileData = fileData;
+        this.filename = filename.toLowerCase();
+        this.board = getBoardProfile(board) || GENERIC_BOARD_PROFILE;
+        this.productId = typeof board === 'number' ? board : (this.board.productIds[0] || 0);
+        this.elf = null;
+        this.source = null;    // { url, sha256, version, notes, fromCache } for downloaded files
+    }
+
+    /**
+     * Downloads a firmware file (see loadFirmwareFromUrl) and wraps it.
+     *
+     * @param {string} url
+     * @param {object} [options] - see loadFirmwareFromUrl; options.board is passed to the constructor
+     * @returns {Promise<FirmwareFile>}
+     */
+    static async fromUrl(url, options = {}) {
+        const loaded = await loadFirmwareFromUrl(url, options);
+        const fw = new FirmwareFile(loaded.data, loaded.filename, options.board);
+        fw.source = loaded.source;
+        return fw;
+    }
+
+    /**
+     * Picks the build for a device or board from a release manifest (see
+     * loadFirmwareManifest), downloads it and checks its SHA-256.
+     *
+     * @param {object|string} manifest - a loaded manifest or its URL
+     * @param {HIDDevice|object|string|number} target - HalfKay device, or anything getBoardProfile accepts
+     * @param {object} [options] - see loadFirmwareFromUrl
+     * @param {boolean} [options.allowUnverified=false] - accept a build without a sha256
+     * @returns {Promise<FirmwareFile>}
+     * @throws {Error} if the manifest has no build for the board, or the build has
+     *                 no sha256 and options.allowUnverified is not set
+     */
+    static async fromManifest(manifest, target, options = {}) {
+        if (typeof manifest === 'string') {
+            manifest = await loadFirmwareManifest(manifest, options);
+        }
+        const build = selectManifestBuild(manifest, target);
+        if (!build) {
+            const profile = resolveTargetProfile(target);
+            throw new Error(`The manifest has no build for ${profile ? profile.name : 'this board'}.`);
+        }
+        if (!build.sha256 && !options.allowUnverified) {
+            throw new Error(`The manifest build for ${getBoardProfile(build.board).name} has no sha256; `
+                + 'pass allowUnverified to flash it unchecked.');
+        }
+
+        const fw = await FirmwareFile.fromUrl(build.url, {
+            ...options,
+            board: build.board,
+            filename: build.filename,
+            sha256: build.sha256
+        });
+        fw.source = { ...fw.source, version: build.version, notes: build.notes };
+        return fw;
+    }
+
+    /**
+     * Builds firmware blocks sized for the target board's profile.
+     * - .hex  => single parse, using the board's block size and address offset
+     * - .ehex => parse in two segments (boards with profile.ehex only)
+     * - .bin  => raw image loaded at options.baseAddress (default: start of the board's flash)
+     * - .elf  => PT_LOAD segments at their physical (load) addresses
+     *
+     * Returns: { mainBlocks, loaderBlocks, board, validation } where board is the
+     * profile the blocks were built for, so TeensyFlasher can send them the same way,
+     * and validation is the report from validate().
+     *
+     * @param {{ baseAddress?: number }|number} [options] - a number is taken as baseAddress
+     */
+    async buildBlocks(options = {}) {
+        const board = this.board;
+        const PAGE_SIZE = board.blockSize;
+        const baseAddress = this.resolveBaseAddress(options);
+
+        // .ehex is only understood by the Teensy 4.x bootloader
+        if (this.filename.endsWith('.ehex') && !board.ehex) {
+            throw new Error(`EHEX not supported on ${board.name}`);
+        }
+
+        const validation = await this.validate({ baseAddress });
+
+        // .hex => single parse
+        if (this.filename.endsWith('.hex')) {
+            const text = new TextDecoder().decode(this.fileData);
+            const mainBlocks = parseSingleHexSession(text, PAGE_SIZE, board.addressOffset);
+            return { mainBlocks, loaderBlocks: [], board, validation };
+        }
+
+        // .ehex => main flash image + RAM loader
+        if (this.filename.endsWith('.ehex')) {
+            const { mainBlocks, loaderBlocks } = await parseEhexFull(this.fileData, PAGE_SIZE, board.addressOffset);
+            return { mainBlocks, loaderBlocks, board, validation };
+        }
+
+        // .elf => loadable segments
+        if (this.filename.endsWith('.elf')) {
+            const mainBlocks = elfToBlocks(this.elfInfo(), PAGE_SIZE);
+            return { mainBlocks, loaderBlocks: [], board, validation };
+        }
+
+        // .bin => raw binary at the load address
+        const mainBlocks = binaryToBlocks(this.fileData, PAGE_SIZE, baseAddress);
+        return { mainBlocks, loaderBlocks: [], board, validation };
+    }
+
+    /**
+     * Describes the firmware as it will be flashed to the selected board.
+     *
+     * Returns:
+     *  - filename, format ('hex' | 'ehex' | 'elf' | 'bin'), board (profile id)
+     *  - regions:        contiguous { start, end, size } ranges of main blocks (end exclusive)
+     *  - loaderRegions:  same for the EHEX loader
+     *  - totalBytes:     bytes in all main blocks (including 0xFF padding)
+     *  - usedBytes:      bytes in main blocks that will actually be sent
+     *  - skippedBlocks:  addresses of all-0xFF blocks that TeensyFlasher will not send
+     *  - flash:          { size, used, free, percent } for the board (used = image end - flash start)
+     *  - imageStart / imageEnd: first and last+1 address of the effective image
+     *  - sha256:         hash of the effective image, i.e. the main image from its first
+     *                    block to its last non-0xFF byte, gaps filled with 0xFF
+     *  - crc32:          CRC-32 of the same bytes (see firmwareCrc)
+     *  - teensy4:        { flexspiConfig, ivt, bootData, encryption } on Teensy 4.x boards, else null;
+     *                    encryption is the detectEncryptedImage() result plus keyHash, the
+     *                    SRK_HASH fuse value of the key the image is signed for (null if unsigned)
+     *  - elf:            { entry, sizes } for .elf files, else null
+     *  - validation:     the validate() report
+     *
+     * @param {{ baseAddress?: number }|number} [options] - see buildBlocks
+     * @returns {Promise<object>}
+     */
+    async inspect(options = {}) {
+        const board = this.board;
+        const { mainBlocks, loaderBlocks, validation } = await this.buildBlocks(options);
+        const isBlank = b => b.data.every(x => x === 0xff);
+
+        const skippedBlocks = mainBlocks.filter((b, i) => i > 0 && isBlank(b)).map(b => b.address);
+        const sentBlocks = mainBlocks.filter((b, i) => i === 0 || !isBlank(b));
+
+        // Effective image: first block to last programmed byte
+        const { start: imageStart, end: imageEnd } = imageExtent(mainBlocks, board.addressOffset);
+        const image = flattenBlocks(mainBlocks, imageStart, imageEnd);
+        const sha256 = await sha256Hex(image);
+
+        let flash = null;
+        if (board.flashSize) {
+            const used = Math.max(0, imageEnd - board.addressOffset);
+            flash = {
+                size: board.flashSize,
+                used,
+                free: board.flashSize - used,
+                percent: Math.round(used * 1000 / board.flashSize) / 10
+            };
+        }
+
+        const format = ['ehex', 'hex', 'elf'].find(ext => this.filename.endsWith(`.${ext}`)) || 'bin';
+        const elf = format === 'elf' ? { entry: this.elfInfo().entry, sizes: this.elfInfo().sizes } : null;
+
+        return {
+            filename: this.filename,
+            format,
+            board: board.id,
+            regions: blocksToRegions(mainBlocks),
+            loaderRegions: blocksToRegions(loaderBlocks),
+            totalBytes: mainBlocks.reduce((sum, b) => sum + b.data.length, 0),
+            usedBytes: sentBlocks.reduce((sum, b) => sum + b.data.length, 0),
+            skippedBlocks,
+            flash,
+            imageStart,
+            imageEnd,
+            sha256,
+            crc32: crc32(image),
+            teensy4: board.family === 'imxrt' ? await teensy4Security(mainBlocks) : null,
+            elf,
+            validation
+        };
+    }
+
+    /**
+     * Returns the parsed ELF (see parseElf) for .elf files: entry point, segments,
+     * sections, symbols and text / data / bss sizes. The result is cached.
+     *
+     * @returns {object}
+     */
+    elfInfo() {
+        if (!this.filename.endsWith('.elf')) {
+            throw new Error(`${this.filename} is not an ELF file`);
+        }
+        if (!this.elf) {
+            this.elf = parseElf(this.fileData);
+        }
+        return this.elf;
+    }
+
+    /**
+     * Load address for .bin images: options.baseAddress, or the board's flash start.
+     * @private
+     * @throws {Error} if the address given is not a non-negative integer (e.g. NaN)
+     */
+    resolveBaseAddress(options) {
+        const address = typeof options === 'number' ? options : options && options.baseAddress;
+        if (address === undefined || address === null) return this.board.addressOffset;
+        if (!Number.isInteger(address) || address < 0) {
+            throw new Error(`Invalid base address ${String(address)}; expected a non-negative integer.`);
+        }
+        return address;
+    }
+
+    /**
+     * Validates the firmware against the selected board (see validateFirmwareBlocks).
+     * Unlike buildBlocks, data below the board's address offset is kept so it can
+     * be reported instead of silently dropped. For .ehex only the main image is checked.
+     *
+     * @param {{ baseAddress?: number }|number} [options] - load address for .bin images
+     * @returns {Promise<{ valid: boolean, errors: Array<object>, warnings: Array<object> }>}
+     */
+    async validate(options = {}) {
+        const board = this.board;
+        let blocks;
+
+        if (this.filename.endsWith('.hex')) {
+            const text = new TextDecoder().decode(this.fileData);
+            blocks = parseSingleHexSession(text, board.blockSize, 0);
+        } else if (this.filename.endsWith('.ehex')) {
+            blocks = (await parseEhexFull(this.fileData, board.blockSize, 0)).mainBlocks;
+        } else if (this.filename.endsWith('.elf')) {
+            blocks = elfToBlocks(this.elfInfo(), board.blockSize);
+        } else {
+            blocks = binaryToBlocks(this.fileData, board.blockSize, this.resolveBaseAddress(options));
+        }
+
+        return validateFirmwareBlocks(blocks, board);
+    }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Firmware Sources
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Thrown when downloaded firmware does not match the SHA-256 it was published with.
+ */
+export class FirmwareIntegrityError extends Error {
+    constructor(url, expected, actual) {
+        super(`SHA-256 mismatch for ${url}: expected ${expected}, got ${actual}`);
+        this.name = 'FirmwareIntegrityError';
+        this.url = url;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Stores downloaded firmware and manifests in IndexedDB so a page keeps
+ * working offline. Firmware is stored under its SHA-256 (so the same image is
+ * reused across URLs) and its URL, manifests only under their URL. Once more
+ * than `maxEntries` records are stored the oldest are deleted.
+ *
+ * Any object with the same get / put methods can be passed as `cache` to
+ * loadFirmwareFromUrl and loadFirmwareManifest instead.
+ */
+export class FirmwareCache {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dbName='teensy-loader']
+     * @param {string} [options.storeName='firmware']
+     * @param {IDBFactory} [options.indexedDB] - defaults to globalThis.indexedDB
+     * @param {number} [options.maxEntries=32] - records kept; a firmware download takes two
+     */
+    constructor({ dbName = 'teensy-loader', storeName = 'firmware', indexedDB = globalThis.indexedDB, maxEntries = 32 } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.indexedDB = indexedDB || null;
+        this.maxEntries = maxEntries;
+        this.db = null;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<{ data: Uint8Array, filename: string, url: string, sha256: string, storedAt: number }|null>}
+     */
+    async get(key) {
+        const record = await this.request('readonly', store => store.get(key));
+        return record || null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} record - { data, filename, url, sha256 }; storedAt is added
+     */
+    async put(key, record) {
+        await this.request('readwrite', store => store.put({ ...record, storedAt: Date.now() }, key));
+        await this.prune();
+    }
+
+    async delete(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+
+    /**
+     * Deletes the oldest records (by storedAt) beyond maxEntries.
+     */
+    async prune() {
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const stored = [];
+            const cursorRequest = store.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    stored.push({ key: cursor.key, storedAt: cursor.value.storedAt || 0 });
+                    cursor.continue();
+                    return;
+                }
+                stored.sort((a, b) => b.storedAt - a.storedAt);
+                for (const { key } of stored.slice(this.maxEntries)) store.delete(key);
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Runs one request in its own transaction.
+     * @private
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Opens (and on first use creates) the database.
+     * @private
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not available.');
+        }
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+}
+
+/**
+ * File name from the last path segment of a URL, without query or hash.
+ * A segment that isn't valid percent-encoding is used as it is.
+ * @private
+ */
+function filenameFromUrl(url) {
+    const path = String(url).split(/[?#]/)[0];
+    const segment = path.slice(path.lastIndexOf('/') + 1);
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        return segment;
+    }
+}
+
+/**
+ * Fetches a URL as bytes, throwing on HTTP errors.
+ * @private
+ */
+async function fetchBytes(url, fetchFn, signal) {
+    if (!fetchFn) {
+        throw new Error('fetch is not available.');
+    }
+    const response = await fetchFn(url, signal ? { signal } : undefined);
+    if (!response.ok) {
+        throw new Error(`Download of ${url} failed: HTTP ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Downloads firmware and checks its SHA-256 before it is handed to FirmwareFile.
+ *
+ * With a cache and a known sha256, a cached copy is used without going to the
+ * network. Otherwise the file is downloaded and stored; if the download fails,
+ * a copy cached under the same URL is used instead (offline use).
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.sha256] - expected hash (hex); the download is rejected if it differs
+ * @param {string} [options.filename] - name used to detect the format; defaults to the URL's
+ * @param {FirmwareCache|{get: Function, put: Function}} [options.cache]
+ * @param {typeof fetch} [options.fetch] - defaults to globalThis.fetch
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ data: Uint8Array, filename: string,
+ *                     source: { url: string, sha256: string, fromCache: boolean } }>}
+ * @throws {FirmwareIntegrityError} if the data does not match options.sha256
+ */
+export async function loadFirmwareFromUrl(url, options = {}) {
+    return downloadWithCache(url, options, true);
+}
+
+/**
+ * Does the work of loadFirmwareFromUrl. With cacheByHash false the download
+ * is only cached under its URL (manifests change under the same URL, their
+ * hash is of no use).
+ * @private
+ */
+async function downloadWithCache(url, options, cacheByHash) {
+    const {
+        sha256 = null,
+        filename = filenameFromUrl(url),
+        cache = null,
+        fetch: fetchFn = globalThis.fetch,
+        signal = null
+    } = options;
+    const expected = sha256 ? sha256.toLowerCase() : null;
+
+    const fromCache = async key => {
+        const record = cache ? await cache.get(key).catch(() => null) : null;
+        if (!record) return null;
+        const data = new Uint8Array(record.data);
+        const actual = await sha256Hex(data);
+        // A stale or corrupted entry is ignored rather than trusted
+        return !expected || actual === expected ? { data, actual } : null;
+    };
+
+    let cached = expected ? await fromCache(expected) : null;
+    let data = cached ? cached.data : null;
+    let actual = cached ? cached.actual : null;
+
+    if (!data) {
+        try {
+            data = await fetchBytes(url, fetchFn, signal);
+        } catch (err) {
+            cached = err.name === 'AbortError' ? null : await fromCache(url);
+            if (!cached) throw err;
+            ({ data, actual } = cached);
+        }
+    }
+
+    if (!actual) actual = await sha256Hex(data);
+    if (expected && actual !== expected) {
+        throw new FirmwareIntegrityError(url, expected, actual);
+    }
+
+    if (cache && !cached) {
+        const record = { data, filename, url, sha256: actual };
+        const keys = cacheByHash ? [actual, url] : [url];
+        await Promise.all(keys.map(key => cache.put(key, record))).catch(err => {
+            console.warn('Could not cache firmware:', err);
+        });
+    }
+
+    return { data, filename, source: { url, sha256: actual, fromCache: !!cached } };
+}
+
+/**
+ * Loads a release manifest listing one build per board:
+ *
+ *   {
+ *     "name": "My Product",
+ *     "builds": [
+ *       { "board": "teensy41", "url": "app-t41.hex", "version": "1.4.0",
+ *         "sha256": "9f2c...", "notes": "Fixes the LED timing." },
+ *       { "productId": "0x0483", "url": "app-t30.hex", "version": "1.4.0", "sha256": "..." }
+ *     ]
+ *   }
+ *
+ * `builds` may also be an object keyed by board id or product ID. Each build's
+ * board is given as `board`, `productId` or `usage` (anything getBoardProfile
+ * accepts); relative URLs are resolved against the manifest URL, which is
+ * itself resolved against the page (document.baseURI) when it is relative.
+ *
+ * The manifest itself is cached under its URL when options.cache is given, and
+ * is only read from the cache when the download fails. FirmwareFile.fromManifest
+ * refuses builds without a sha256 unless options.allowUnverified is set.
+ *
+ * @param {string} url
+ * @param {object} [options] - cache, fetch, signal as in loadFirmwareFromUrl
+ * @returns {Promise<{ name: string|null, url: string,
+ *                     builds: Array<{ board: string, url: string, filename: string,
+ *                                     version: string|null, sha256: string|null, notes: string|null }> }>}
+ */
+export async function loadFirmwareManifest(url, options = {}) {
+    const manifestUrl = resolveUrl(url, pageBaseUrl());
+    const { data } = await downloadWithCache(manifestUrl, { ...options, sha256: null }, false);
+    return parseFirmwareManifest(JSON.parse(new TextDecoder().decode(data)), manifestUrl);
+}
+
+/**
+ * Base URL of the page (document.baseURI, else location.href), or null outside a browser.
+ * @private
+ */
+function pageBaseUrl() {
+    return globalThis.document?.baseURI || globalThis.location?.href || null;
+}
+
+/**
+ * `url` made absolute against `base`. Left as it is when there is no absolute
+ * base to resolve it against (e.g. a relative URL under Node).
+ * @private
+ */
+function resolveUrl(url, base) {
+    try {
+        return new URL(url, base || undefined).href;
+    } catch (err) {
+        return url;
+    }
+}
+
+/**
+ * Normalizes a manifest object (see loadFirmwareManifest). Builds for unknown
+ * boards are dropped.
+ *
+ * @param {object} json
+ * @param {string} [baseUrl] - URL relative build URLs are resolved against
+ * @returns {object}
+ */
+export function parseFirmwareManifest(json, baseUrl = null) {
+    const entries = Array.isArray(json.builds)
+        ? json.builds.map(build => [build.board ?? build.productId ?? build.usage, build])
+        : Object.entries(json.builds || {});
+
+    const builds = [];
+    for (const [key, build] of entries) {
+        const boardKey = typeof key === 'string' && /^(0x)?[0-9a-f]+$/i.test(key) && !getBoardProfile(key)
+            ? parseInt(key, key.toLowerCase().startsWith('0x') ? 16 : 10)
+            : key;
+        const profile = getBoardProfile(boardKey);
+        if (!profile || !build.url) continue;
+
+        const url = baseUrl ? resolveUrl(build.url, baseUrl) : build.url;
+        builds.push({
+            board: profile.id,
+            url,
+            filename: build.filename || filenameFromUrl(url),
+            version: build.version ?? null,
+            sha256: build.sha256 ? build.sha256.toLowerCase() : null,
+            notes: build.notes ?? null
+        });
+    }
+    return { name: json.name ?? null, url: baseUrl, builds };
+}
+
+/**
+ * Profile of a manifest target: a HalfKay device or anything getBoardProfile accepts.
+ * @private
+ */
+function resolveTargetProfile(target) {
+    if (target && typeof target === 'object' && 'vendorId' in target) {
+        return getBoardProfileForDevice(target);
+    }
+    return getBoardProfile(target);
+}
+
+/**
+ * Finds the manifest build for a device or board.
+ *
+ * @param {object} manifest - from loadFirmwareManifest / parseFirmwareManifest
+ * @param {HIDDevice|object|string|number} target
+ * @returns {object|null}
+ */
+export function selectManifestBuild(manifest, target) {
+    const profile = resolveTargetProfile(target);
+    if (!profile) return null;
+    return manifest.builds.find(build => build.board === profile.id) || null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// TeensyFlasher
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Thrown by TeensyFlasher.flashFirmware when a transfer stops part way. The
+ * board is left partly programmed, usually still in (or back in) the
+ * bootloader, until it is flashed again from the start (TeensyFlasher.recoverFlash).
+ *
+ * reason:
+ *  - 'device-lost'        => the device disconnected (cable, hub reset, board reset)
+ *  - 'permission-revoked' => the page may no longer use the device (SecurityError); select it again
+ *  - 'report-rejected'    => the bootloader kept refusing a report
+ *  - 'timeout'            => the bootloader stopped answering
+ *  - 'open-failed'        => the device could not be opened; nothing was sent
+ *
+ * deviceState is 'present' (still enumerated), 'reappeared' (back as a new
+ * HalfKay device), 'gone' or 'unknown'. `device` is the device to flash again
+ * when it is known, `originalDevice` the one that failed. `address`,
+ * `blocksSent` and `totalBlocks` record where the transfer stopped.
+ */
+export class FlashInterruptedError extends Error {
+    constructor(reason, details = {}) {
+        const {
+            phase = null, address = null, blocksSent = 0, totalBlocks = 0,
+            deviceState = 'unknown', device = null, originalDevice = null, cause = null
+        } = details;
+        const where = address !== null
+            ? `Block upload failed at address=0x${address.toString(16)} (block ${blocksSent + 1} of ${totalBlocks})`
+            : `Flashing failed during ${phase || 'setup'}`;
+        const advice = reason === 'open-failed'
+            ? 'Nothing was sent; the board is unchanged.'
+            : 'The board is only partly programmed; flash it again to recover.';
+        super(`${where}: ${FLASH_INTERRUPTION_REASONS[reason]}. ${advice}`, { cause });
+        this.name = 'FlashInterruptedError';
+        this.reason = reason;
+        this.phase = phase;
+        this.address = address;
+        this.blocksSent = blocksSent;
+        this.totalBlocks = totalBlocks;
+        this.deviceState = deviceState;
+        this.device = device;
+        this.originalDevice = originalDevice;
+        this.recoverable = reason !== 'permission-revoked';
+    }
+}
+
+/**
+ * Descriptions of FlashInterruptedError reasons, used in its message.
+ * @private
+ */
+const FLASH_INTERRUPTION_REASONS = {
+    'device-lost': 'the Teensy disconnected',
+    'permission-revoked': 'access to the Teensy was revoked',
+    'report-rejected': 'the bootloader rejected the report',
+    'timeout': 'the bootloader stopped responding',
+    'open-failed': 'the Teensy could not be opened'
+};
+
+/**
+ * Finds the HalfKay device a board re-enumerated as: same serial number when the
+ * transport reports one, otherwise the only other HalfKay device of the same
+ * board type (ambiguous when several boards are in the bootloader => null).
+ * @private
+ * @param {HIDDevice[]} devices - from getDevices()
+ * @param {HIDDevice} original
+ * @param {object} profile
+ * @returns {HIDDevice|null}
+ */
+function findReplacementDevice(devices, original, profile) {
+    const candidates = devices.filter(device => {
+        if (device === original || !isHalfKayDevice(device)) return false;
+        const board = getBoardProfileForDevice(device);
+        return !board || profile.id === 'generic' || board.id === profile.id;
+    });
+    if (original && original.serialNumber) {
+        return candidates.find(device => device.serialNumber === original.serialNumber) || null;
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+export class TeensyFlasher {
+    /**
+     * @param {object} [transport] - Defaults to the browser's WebHID / Web Serial APIs
+     * @param {HID} [transport.hid] - Object shaped like navigator.hid
+     *        (getDevices, requestDevice, 'connect' / 'disconnect' events)
+     * @param {Serial} [transport.serial] - Object shaped like navigator.serial
+     *        (getPorts, requestPort, 'connect' / 'disconnect' events)
+     */
+    constructor(transport = {}) {
+        this.hid = transport.hid || null;
+        this.serial = transport.serial || null;
+    }
+
+    /**
+     * Flash the firmware onto the Teensy.
+     * 
+     * blocksObj.mainBlocks / blocksObj.loaderBlocks 
+     *   => arrays of { address, data } from parseSingleHexSession
+     * blocksObj.board
+     *   => board profile the blocks were built for (from FirmwareFile.buildBlocks).
+     *      If missing, the profile is resolved from the device.
+     * blocksObj.validation
+     *   => validation report from FirmwareFile.buildBlocks. If missing, the main
+     *      blocks are validated here. Fatal findings abort before the device is opened.
+     *
+     * After the reboot report is sent, the HID / serial transports are watched to
+     * confirm the board left the bootloader. If the board's serial port shows up and
+     * options.serialManager is given, the port is opened on it right away (only
+     * ports the user granted before can be seen). The port is matched by USB serial
+     * number; without one (browsers) it is the first Teensy port to appear after
+     * the HalfKay device went away.
+     * 
+     * @param {{ mainBlocks: Array<{address:number, data:Uint8Array}>, 
+     *           loaderBlocks: Array<{address:number, data:Uint8Array}>,
+     *           board?: object }} blocksObj
+     * @param {HIDDevice} device
+     * @param {(progress: number) => void} [progressCb]
+     * @param {object} [options]
+     * @param {number} [options.rebootTimeout=5000] - ms to wait for the board to reappear
+     * @param {SerialPortManager} [options.serialManager] - opened on the application's serial port
+     * @param {SerialOptions} [options.serialOptions] - passed to serialManager.openSerialPort
+     * @param {AbortSignal} [options.signal] - stops between blocks; the device is still closed
+     * @param {number} [options.reportTimeout=5000] - ms a block report may take before it counts as failed
+     * @param {number} [options.eraseTimeout=45000] - the same for the first block, which erases the chip
+     * @param {number} [options.reportRetries=5] - attempts per report before the flash fails
+     * @param {number} [options.recoveryAttempts=0] - times an interrupted flash is restarted from a
+     *        clean erase once the board is back in the bootloader (see recoverFlash)
+     * @param {number} [options.recoveryTimeout=10000] - ms to wait for the board to come back
+     * @param {(event: object) => void} [options.onEvent] - structured progress events, each with
+     *        `type` and `elapsed` (ms since start):
+     *          { type: 'phase', phase: 'open'|'erase'|'write'|'loader'|'reboot' }
+     *          { type: 'block', address, bytes, blocksSent, totalBlocks, bytesSent, totalBytes,
+     *            bytesPerSecond, eta }   (eta in ms, null until known)
+     *          { type: 'retry', attempt, maxRetries, address, error }
+     *          { type: 'interrupted', reason, phase, address, blocksSent, totalBlocks, deviceState }
+     *          { type: 'recovery', attempt, reason, address }
+     *          { type: 'done', outcome, blocksSent, bytesSent }
+     * @throws {FirmwareValidationError} if the image fails validation; nothing is sent
+     * @throws {FlashInterruptedError} if the transfer stopped part way and was not recovered
+     * @throws {Error} named 'AbortError' (or signal.reason) if options.signal is aborted
+     * @returns {Promise<{ outcome: 'rebooted'|'timed-out'|'unknown', serialPort: SerialPort|null, serialOpened: boolean }>}
+     */
+    async flashFirmware(blocksObj, device, progressCb, options = {}) {
+        if (!progressCb) progressCb = () => { };
+        const {
+            signal = null,
+            recoveryAttempts = 0,
+            recoveryTimeout = 10000,
+            onEvent = () => { }
+        } = options;
+
+        const { mainBlocks } = blocksObj;
+        const profile = blocksObj.board || getBoardProfileForDevice(device) || GENERIC_BOARD_PROFILE;
+
+        // Refuse to touch the board if the image doesn't fit it
+        const validation = blocksObj.validation || validateFirmwareBlocks(mainBlocks, profile);
+        if (!validation.valid) {
+            throw new FirmwareValidationError(validation);
+        }
+        if (signal && signal.aborted) throw abortError(signal);
+
+        const startTime = Date.now();
+        const emit = event => onEvent({ ...event, elapsed: Date.now() - startTime });
+
+        // An interrupted transfer is started over on the same or re-enumerated device
+        for (let recovery = 1; ; recovery++) {
+            try {
+                return await this.flashAttempt(blocksObj, device, profile, progressCb, options, emit);
+            } catch (err) {
+                if (!(err instanceof FlashInterruptedError) || !err.recoverable || recovery > recoveryAttempts) {
+                    throw err;
+                }
+                emit({ type: 'recovery', attempt: recovery, reason: err.reason, address: err.address });
+                const next = err.device || await this.waitForRecoveryDevice(err.originalDevice, profile,
+                    { timeout: recoveryTimeout, signal });
+                if (signal && signal.aborted) throw abortError(signal);
+                if (!next) throw err;
+                device = next;
+            }
+        }
+    }
+
+    /**
+     * Flashes an image that was interrupted (see FlashInterruptedError) again from
+     * the start, once the board is back in the bootloader: the device named by the
+     * error if it is still there, otherwise the same board when it re-enumerates.
+     * Writing the first block erases the chip again, so nothing of the broken
+     * transfer is kept.
+     *
+     * @param {FlashInterruptedError} error - from flashFirmware
+     * @param {object} blocksObj - See flashFirmware
+     * @param {(progress: number) => void} [progressCb]
+     * @param {object} [options] - See flashFirmware; recoveryTimeout bounds the wait
+     * @throws {Error} if access was revoked or the board doesn't come back in time
+     * @returns {Promise<object>} - The flashFirmware result
+     */
+    async recoverFlash(error, blocksObj, progressCb, options = {}) {
+        const { recoveryTimeout = 10000, signal = null } = options;
+        if (error.reason === 'permission-revoked') {
+            throw new Error('Access to the Teensy was revoked. Select it again, then flash again.');
+        }
+        const profile = blocksObj.board || getBoardProfileForDevice(error.originalDevice) || GENERIC_BOARD_PROFILE;
+        const device = await this.waitForRecoveryDevice(error.originalDevice, profile, { timeout: recoveryTimeout, signal });
+        if (signal && signal.aborted) throw abortError(signal);
+        if (!device) {
+            throw new Error('The Teensy did not come back in bootloader mode. Press its button, select it and flash again.');
+        }
+        return this.flashFirmware(blocksObj, device, progressCb, options);
+    }
+
+    /**
+     * One pass of flashFirmware over a single device: open, send, reboot, wait.
+     * Failures while opening or sending are turned into a FlashInterruptedError.
+     * @private
+     */
+    async flashAttempt(blocksObj, device, profile, progressCb, options, emit) {
+        const {
+            rebootTimeout = 5000,
+            serialManager = null,
+            serialOptions = { baudRate: 115200 },
+            signal = null,
+            reportTimeout = 5000,
+            eraseTimeout = 45000,
+            reportRetries = 5
+        } = options;
+        const { mainBlocks, loaderBlocks } = blocksObj;
+
+        // Progress bookkeeping shared by all events
+        const neededMain = this.neededBlocks(mainBlocks);
+        const neededLoader = this.neededBlocks(loaderBlocks);
+        const stats = {
+            startTime: Date.now(),
+            totalBlocks: neededMain.length + neededLoader.length,
+            totalBytes: [...neededMain, ...neededLoader].reduce((sum, b) => sum + b.data.length, 0),
+            blocksSent: 0,
+            bytesSent: 0
+        };
+        let phase = null;
+        const setPhase = next => {
+            phase = next;
+            emit({ type: 'phase', phase });
+        };
+
+        const hooks = {
+            signal,
+            profile,
+            reportTimeout,
+            eraseTimeout,
+            reportRetries,
+            onPhase: setPhase,
+            onRetry: (attempt, error, block) => emit({
+                type: 'retry', attempt, maxRetries: reportRetries, address: block.address, error
+            }),
+            onBlock: block => {
+                stats.blocksSent++;
+                stats.bytesSent += block.data.length;
+                const elapsed = Date.now() - stats.startTime;
+                const bytesPerSecond = elapsed > 0 ? stats.bytesSent * 1000 / elapsed : 0;
+                const remaining = stats.totalBytes - stats.bytesSent;
+                emit({
+                    type: 'block',
+                    address: block.address,
+                    bytes: block.data.length,
+                    blocksSent: stats.blocksSent,
+                    totalBlocks: stats.totalBlocks,
+                    bytesSent: stats.bytesSent,
+                    totalBytes: stats.totalBytes,
+                    bytesPerSecond,
+                    eta: bytesPerSecond > 0 ? remaining * 1000 / bytesPerSecond : null
+                });
+                progressCb(stats.blocksSent / stats.totalBlocks);
+            }
+        };
+
+        // The disconnect event often arrives after sendReport has already failed, so
+        // classifyInterruption reads this flag only after it has listed the devices
+        const hid = this.hid || browserHid();
+        const connection = { opened: false, disconnected: false };
+        const onDisconnect = event => {
+            if (event.device === device) connection.disconnected = true;
+        };
+        if (hid) hid.addEventListener('disconnect', onDisconnect);
+
+        let rebootWatch = null;
+        try {
+            // Attempt to open device
+            setPhase('open');
+            await device.open();
+            connection.opened = true;
+            try {
+                // 1) Send main (flash) blocks; the first one triggers the erase
+                await this.sendBlocks(mainBlocks, device, profile, hooks);
+
+                // 2) Send loader (RAM) blocks
+                if (loaderBlocks.length > 0) {
+                    setPhase('loader');
+                    await this.sendBlocks(loaderBlocks, device, profile, { ...hooks, onPhase: null, eraseTimeout: reportTimeout });
+                }
+
+                // 3) Final “magic” = 0xFF, 0xFF, 0xFF
+                if (signal && signal.aborted) throw abortError(signal);
+                setPhase('reboot');
+                rebootWatch = watchForReboot(device, {
+                    timeout: rebootTimeout,
+                    waitForSerial: !!serialManager,
+                    hid,
+                    serial: this.serial || browserSerial()
+                });
+                await sendReportWithRetries(device, encodeRebootReport(profile), reportRetries, null, reportTimeout);
+
+                // small delay
+                await sleep(100);
+            } catch (err) {
+                if (rebootWatch) rebootWatch.cancel();
+                throw err;
+            } finally {
+                await device.close().catch(() => { });
+            }
+        } catch (err) {
+            if (err.name === 'AbortError' || (signal && signal.aborted)) throw err;
+            const interrupted = await this.classifyInterruption(err, device, profile, {
+                hid, connection, phase,
+                blocksSent: stats.blocksSent,
+                totalBlocks: stats.totalBlocks
+            });
+            emit({
+                type: 'interrupted',
+                reason: interrupted.reason,
+                phase,
+                address: interrupted.address,
+                blocksSent: stats.blocksSent,
+                totalBlocks: stats.totalBlocks,
+                deviceState: interrupted.deviceState
+            });
+            throw interrupted;
+        } finally {
+            if (hid) hid.removeEventListener('disconnect', onDisconnect);
+        }
+
+        // 4) Wait for the board to come back as the new program
+        const { outcome, serialPort } = await rebootWatch.result;
+        let serialOpened = false;
+        if (serialPort && serialManager && !serialManager.serialPort) {
+            try {
+                await serialManager.openSerialPort(serialOptions, serialPort);
+                serialOpened = true;
+            } catch (err) {
+                console.warn('Could not open serial port after reboot:', err);
+            }
+        }
+
+        emit({ type: 'done', outcome, blocksSent: stats.blocksSent, bytesSent: stats.bytesSent });
+        return { outcome, serialPort, serialOpened };
+    }
+
+    /**
+     * Works out why a transfer stopped by looking at the error and at whether the
+     * device is still listed by the HID transport:
+     *  - a SecurityError                                          => 'permission-revoked'
+     *  - a disconnect event was seen, or the device is no longer
+     *    listed (gone or re-enumerated)                           => 'device-lost'
+     *  - open() failed on a device that is still there            => 'open-failed'
+     *  - the reports timed out                                    => 'timeout'
+     *  - otherwise the bootloader refused the report              => 'report-rejected'
+     * context.connection ({ opened, disconnected }) is shared with the disconnect
+     * listener and read after the device list is fetched, so late events count.
+     * @private
+     * @returns {Promise<FlashInterruptedError>}
+     */
+    async classifyInterruption(error, device, profile, context) {
+        const { hid, connection, phase, blocksSent, totalBlocks } = context;
+        const cause = error.cause || error;
+
+        let deviceState = 'unknown';
+        let replacement = null;
+        if (hid) {
+            try {
+                const devices = await hid.getDevices();
+                if (devices.includes(device)) {
+                    deviceState = 'present';
+                } else {
+                    replacement = findReplacementDevice(devices, device, profile);
+                    deviceState = replacement ? 'reappeared' : 'gone';
+                }
+            } catch (err) {
+                // The bus may be re-enumerating; leave the state unknown
+            }
+        }
+
+        let reason;
+        if (cause.name === 'SecurityError') {
+            reason = 'permission-revoked';
+        } else if (connection.disconnected || deviceState === 'reappeared' || deviceState === 'gone') {
+            reason = 'device-lost';
+        } else if (!connection.opened) {
+            reason = 'open-failed';
+        } else if (cause.name === 'TimeoutError') {
+            reason = 'timeout';
+        } else {
+            reason = 'report-rejected';
+        }
+
+        return new FlashInterruptedError(reason, {
+            phase,
+            address: error.block ? error.block.address : null,
+            blocksSent,
+            totalBlocks,
+            deviceState,
+            device: deviceState === 'present' ? device : replacement,
+            originalDevice: device,
+            cause
+        });
+    }
+
+    /**
+     * Waits until the board of `original` can be flashed again: the same device
+     * if it is still listed, otherwise its re-enumerated HalfKay device
+     * (see findReplacementDevice). Polls getDevices(); resolves null on timeout or abort.
+     * @private
+     */
+    async waitForRecoveryDevice(original, profile, { timeout = 10000, signal = null } = {}) {
+        const hid = this.hid || browserHid();
+        if (!hid) return null;
+        const deadline = Date.now() + timeout;
+        while (!(signal && signal.aborted)) {
+            try {
+                const devices = await hid.getDevices();
+                if (devices.includes(original)) return original;
+                const replacement = findReplacementDevice(devices, original, profile);
+                if (replacement) return replacement;
+            } catch (err) {
+                // getDevices can fail while the USB bus re-enumerates; keep polling
+            }
+            if (Date.now() >= deadline) break;
+            await sleep(Math.min(250, Math.max(0, deadline - Date.now())));
+        }
+        return null;
+    }
+
+    /**
+     * sendBlocks
+     * ----------
+     * Sends an array of { address, data } blocks via HID, skipping blocks that are fully 0xFF
+     * (except possibly the first). Report layout and delays come from the board profile.
+     * Stops between blocks with an AbortError once hooks.signal is aborted.
+     * A block that keeps failing throws an Error with the `block` and the last
+     * sendReport error as `cause`.
+     *
+     * @private
+     * @param {Array<{ address:number, data:Uint8Array }>} blocks
+     * @param {HIDDevice} device
+     * @param {object} profile - board profile (see TEENSY_BOARD_PROFILES)
+     * @param {object} [hooks]
+     * @param {AbortSignal} [hooks.signal]
+     * @param {number} [hooks.reportTimeout] - ms per report
+     * @param {number} [hooks.eraseTimeout] - ms for the first report
+     * @param {number} [hooks.reportRetries=5] - attempts per report
+     * @param {(phase: string) => void} [hooks.onPhase] - 'erase' before the first block, 'write' after it
+     * @param {(block: object) => void} [hooks.onBlock] - after each block is sent
+     * @param {(attempt: number, error: Error, block: object) => void} [hooks.onRetry]
+     */
+    async sendBlocks(blocks, device, profile, hooks = {}) {
+        const {
+            signal = null, onPhase = null, onBlock = null, onRetry = null,
+            reportTimeout = null, eraseTimeout = reportTimeout, reportRetries = 5
+        } = hooks;
+        const needed = this.neededBlocks(blocks);
+
+        let sentCount = 0;
+        for (const block of needed) {
+            if (signal && signal.aborted) throw abortError(signal);
+            if (onPhase && sentCount <= 1) onPhase(sentCount === 0 ? 'erase' : 'write');
+
+            const addr = block.address;
+            const report = encodeBlockReport(profile, addr, block.data);
+
+            let lastError = null;
+            const success = await sendReportWithRetries(device, report, reportRetries, (attempt, err) => {
+                lastError = err;
+                if (onRetry) onRetry(attempt, err, block);
+            }, sentCount === 0 ? eraseTimeout : reportTimeout);
             if (!success) {
-                throw new Error(`Block upload failed at address=0x${addr.toString(16)}`);
+                const err = new Error(`Block upload failed at address=0x${addr.toString(16)}`, { cause: lastError });
+                err.block = block;
+                throw err;
+            }
+
+            sentCount++;
+            if (onBlock) onBlock(block);
+
+            // Delay: long after first block (erase), short for subsequent
+            await sleep(sentCount === 1 ? profile.eraseDelay : profile.blockDelay);
+        }
+        return sentCount;
+    }
+
+    /**
+     * Confirms the running program is the image that was flashed. HalfKay cannot
+     * read flash back, so the firmware is asked over serial for the CRC-32 of its
+     * own flash and the answer is compared with firmwareCrc(blocksObj.mainBlocks).
+     *
+     * The firmware must answer the command with a line containing the CRC as hex,
+     * 0x-prefixed or as exactly 8 digits, e.g. "CRC32 0x1c291ca3". By default the command is
+     * "CRC32? <start as hex> <length>", covering the range firmwareCrc used.
+     *
+     * @param {{ mainBlocks: Array<{address:number, data:Uint8Array}> }} blocksObj - from buildBlocks
+     * @param {SerialPortManager} serialManager - with the program's port open in text mode
+     * @param {object} [options]
+     * @param {string|((range: {start:number, end:number, length:number}) => string)} [options.command]
+     * @param {RegExp|string|((line: string) => boolean)} [options.expect=/^CRC/i] - see sendCommand
+     * @param {number} [options.timeout=2000]
+     * @returns {Promise<{ verified: boolean, expected: number, reported: number|null,
+     *                     start: number, length: number, response: string }>}
+     */
+    async verifyFirmware(blocksObj, serialManager, options = {}) {
+        const {
+            command = ({ start, length }) => `CRC32? 0x${start.toString(16)} ${length}`,
+            expect = /^CRC/i,
+            timeout = 2000
+        } = options;
+        if (!serialManager || !serialManager.serialPort) {
+            throw new Error('verifyFirmware needs an open serial port to the running program.');
+        }
+
+        const { crc, start, end, length } = firmwareCrc(blocksObj.mainBlocks);
+        const text = typeof command === 'function' ? command({ start, end, length }) : command;
+        const response = await serialManager.sendCommand(text, { expect, timeout });
+
+        // The last 0x-prefixed or 8-digit hex number on the line is taken as the
+        // CRC, so words like "fade" or "add" after it are not
+        const numbers = response.match(/\b0x[0-9a-f]{1,8}\b|\b[0-9a-f]{8}\b/gi) || [];
+        const last = numbers.length ? numbers[numbers.length - 1] : null;
+        const reported = last === null ? null : parseInt(last.replace(/^0x/i, ''), 16) >>> 0;
+
+        return { verified: reported === crc, expected: crc, reported, start, length, response };
+    }
+
+    /**
+     * Erases the board without programming it: one all-0xFF block is written to
+     * the start of flash (HalfKay erases the whole chip on the first write), then
+     * the reboot report is sent. A blank board stays in, or returns to, the
+     * bootloader, so no reboot is waited for.
+     *
+     * @param {HIDDevice} device - Teensy in HalfKay mode
+     * @param {object} [options]
+     * @param {object|string} [options.board] - profile; defaults to the one reported by the device
+     * @param {AbortSignal} [options.signal] - checked before anything is sent
+     * @param {(event: object) => void} [options.onEvent] - 'phase' (open, erase, reboot)
+     *        and 'done' events as in flashFirmware; done has outcome 'erased'
+     * @returns {Promise<{ outcome: 'erased' }>}
+     */
+    async eraseFirmware(device, options = {}) {
+        const { board = null, signal = null, onEvent = () => { } } = options;
+        const profile = getBoardProfile(board) || getBoardProfileForDevice(device) || GENERIC_BOARD_PROFILE;
+        const startTime = Date.now();
+        const emit = event => onEvent({ ...event, elapsed: Date.now() - startTime });
+
+        if (signal && signal.aborted) throw abortError(signal);
+        emit({ type: 'phase', phase: 'open' });
+        await device.open();
+        try {
+            emit({ type: 'phase', phase: 'erase' });
+            const blank = new Uint8Array(profile.blockSize).fill(0xff);
+            const report = encodeBlockReport(profile, profile.addressOffset, blank);
+            if (!await sendReportWithRetries(device, report, 5)) {
+                throw new Error('Erase failed: the bootloader rejected the first block.');
+            }
+            await sleep(profile.eraseDelay);
+
+            emit({ type: 'phase', phase: 'reboot' });
+            await sendReportWithRetries(device, encodeRebootReport(profile), 5);
+            await sleep(100);
+        } finally {
+            await device.close().catch(() => { });
+        }
+
+        emit({ type: 'done', outcome: 'erased', blocksSent: 1, bytesSent: profile.blockSize });
+        return { outcome: 'erased' };
+    }
+
+    /**
+     * Reboots a running sketch into the HalfKay bootloader over USB serial
+     * (see SerialPortManager.rebootToBootloader) and waits for the bootloader
+     * to enumerate.
+     *
+     * The HalfKay device is only found if the user granted it once before
+     * (navigator.hid.requestDevice with TEENSY_DEVICE_FILTERS); otherwise null
+     * is returned and the page should call requestDevice itself.
+     *
+     * @param {SerialPortManager} serialManager - Manager used to send the reboot request
+     * @param {object} [options]
+     * @param {SerialPort} [options.port] - Port of the running sketch; defaults to the
+     *                                      manager's open port, or prompts the user
+     * @param {number} [options.timeout=5000] - ms to wait for the bootloader
+     * @returns {Promise<HIDDevice|null>}
+     */
+    async enterBootloader(serialManager, options = {}) {
+        const { port = null, timeout = 5000 } = options;
+
+        // Start listening before the reboot so the connect event isn't missed
+        const wait = waitForHalfKayDevice(timeout, this.hid || browserHid());
+        let rebooting = false;
+        try {
+            await serialManager.rebootToBootloader(port);
+            rebooting = true;
+        } finally {
+            // No reboot was sent: don't leave the listener and timers behind
+            if (!rebooting) wait.cancel();
+        }
+        return wait.result;
+    }
+
+    /**
+     * Reboots a running sketch into the bootloader and flashes it in one flow.
+     *
+     * @param {object} blocksObj - See flashFirmware
+     * @param {SerialPortManager} serialManager - See enterBootloader
+     * @param {(progress: number) => void} [progressCb]
+     * @param {object} [options] - Options for both enterBootloader and flashFirmware
+     * @returns {Promise<object>} - The flashFirmware result
+     */
+    async rebootAndFlash(blocksObj, serialManager, progressCb, options = {}) {
+        const device = await this.enterBootloader(serialManager, options);
+        if (!device) {
+            throw new Error('Teensy did not appear in bootloader mode. Select the device once via WebHID so it can be found automatically.');
+        }
+        return this.flashFirmware(blocksObj, device, progressCb, options);
+    }
+
+    /**
+     * neededBlocks
+     * ------------
+     * Returns the blocks that will actually be sent: those that aren't entirely 0xFF,
+     * plus block #0 which is always sent because it triggers the erase.
+     *
+     * @private
+     */
+    neededBlocks(blocks) {
+        return blocks.filter((b, i) => {
+            if (i === 0) return true;
+            return !b.data.every(x => x === 0xff);
+        });
+    }
+
+    /**
+     * countNeeded
+     * -----------
+     * Helper to count how many blocks aren't entirely 0xFF 
+     * (except you might choose to keep block #0).
+     *
+     * @private
+     */
+    countNeeded(blocks) {
+        return this.neededBlocks(blocks).length;
+    }
+}
+
+
+////////////////////////////////////////////////////////////////////////////////
+// Batch Flashing
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Flashes one firmware file to many boards in HalfKay mode at once, e.g. a
+ * fixture of boards on a USB hub. Blocks are built once per board type, devices
+ * are flashed with a concurrency limit, and failed boards are retried.
+ *
+ *   const batch = new BatchFlasher(new TeensyFlasher());
+ *   const devices = await batch.findDevices();
+ *   const summary = await batch.flashAll(firmwareFile, devices, {
+ *       concurrency: 4,
+ *       onUpdate: state => render(state)
+ *   });
+ *   console.log(formatBatchSummary(summary));
+ */
+export class BatchFlasher {
+    /**
+     * @param {TeensyFlasher} [flasher] - used for every device; its transport is
+     *        also used by findDevices()
+     */
+    constructor(flasher = new TeensyFlasher()) {
+        this.flasher = flasher;
+    }
+
+    /**
+     * All HalfKay devices the HID transport can see. In the browser these are
+     * the devices the user granted before (navigator.hid.getDevices()).
+     * @returns {Promise<HIDDevice[]>}
+     */
+    async findDevices() {
+        const hid = this.flasher.hid || browserHid();
+        if (!hid) {
+            throw new Error('WebHID is not available.');
+        }
+        return (await hid.getDevices()).filter(isHalfKayDevice);
+    }
+
+    /**
+     * Flashes `firmware` to every device.
+     *
+     * Each device gets a state object that is updated in place and passed to
+     * options.onUpdate whenever it changes:
+     *   { index, device, label, board, status, attempts, progress, outcome, error, elapsed }
+     * status goes 'pending' -> 'flashing' (-> 'retrying' -> 'flashing') -> 'done' | 'failed' | 'cancelled'.
+     * Images that fail validation, boards that can't be identified and boards
+     * whose permission was revoked are not retried.
+     *
+     * outcome is each board's own flashFirmware outcome: its reboot watch is keyed on
+     * its HalfKay device (and serial number), so one board leaving the bootloader or
+     * its sketch's port appearing never marks another board as rebooted.
+     *
+     * @param {FirmwareFile|{ fileData: Uint8Array, filename: string }} firmware
+     * @param {HIDDevice[]} [devices] - defaults to findDevices()
+     * @param {object} [options]
+     * @param {number} [options.concurrency=4] - boards flashed at the same time
+     * @param {number} [options.retries=1] - extra attempts for a board that failed
+     * @param {object} [options.buildOptions] - passed to FirmwareFile.buildBlocks (e.g. baseAddress)
+     * @param {object|string} [options.board] - force a board profile instead of detecting it
+     * @param {AbortSignal} [options.signal] - stops all boards between blocks
+     * @param {number} [options.rebootTimeout] - passed to flashFirmware
+     * @param {(state: object) => void} [options.onUpdate]
+     * @returns {Promise<{ results: object[], succeeded: number, failed: number, cancelled: number, elapsed: number }>}
+     */
+    async flashAll(firmware, devices = null, options = {}) {
+        const {
+            concurrency = 4,
+            retries = 1,
+            buildOptions = {},
+            board = null,
+            signal = null,
+            rebootTimeout = 5000,
+            onUpdate = () => { }
+        } = options;
+        if (!devices) devices = await this.findDevices();
+
+        const startTime = Date.now();
+        const builds = new Map();   // board id -> Promise of buildBlocks() result
+        const states = devices.map((device, index) => {
+            const profile = getBoardProfile(board) || getBoardProfileForDevice(device);
+            return {
+                index,
+                device,
+                label: device.path || `${device.productName || 'Teensy'} #${index + 1}`,
+                board: profile ? profile.id : null,
+                status: 'pending',
+                attempts: 0,
+                progress: 0,
+                outcome: null,
+                error: null,
+                elapsed: 0
+            };
+        });
+        const update = (state, changes) => {
+            Object.assign(state, changes, { elapsed: Date.now() - startTime });
+            onUpdate(state);
+        };
+
+        const blocksFor = profile => {
+            if (!builds.has(profile.id)) {
+                const build = new FirmwareFile(firmware.fileData, firmware.filename, profile).buildBlocks(buildOptions);
+                // A failed build is not kept, so retries build again
+                builds.set(profile.id, build.catch(err => {
+                    builds.delete(profile.id);
+                    throw err;
+                }));
+            }
+            return builds.get(profile.id);
+        };
+
+        const flashOne = async state => {
+            const profile = getBoardProfile(board) || getBoardProfileForDevice(state.device);
+            if (!profile) {
+                update(state, { status: 'failed', error: 'Unknown board' });
+                return;
+            }
+
+            for (let attempt = 1; attempt <= retries + 1; attempt++) {
+                if (signal && signal.aborted) {
+                    update(state, { status: 'cancelled' });
+                    return;
+                }
+                update(state, { status: 'flashing', attempts: attempt, progress: 0, error: null });
+                try {
+                    const blocks = await blocksFor(profile);
+                    const result = await this.flasher.flashFirmware(blocks, state.device,
+                        progress => update(state, { progress }),
+                        { signal, rebootTimeout });
+                    update(state, { status: 'done', progress: 1, outcome: result.outcome });
+                    return;
+                } catch (err) {
+                    if (err.name === 'AbortError' || (signal && signal.aborted)) {
+                        update(state, { status: 'cancelled', error: err.message });
+                        return;
+                    }
+                    const final = attempt > retries || err instanceof FirmwareValidationError
+                        || (err instanceof FlashInterruptedError && !err.recoverable);
+                    update(state, { status: final ? 'failed' : 'retrying', error: err.message });
+                    if (final) return;
+                    // A board that re-enumerated mid-transfer is retried on its new device
+                    if (err instanceof FlashInterruptedError && err.device) state.device = err.device;
+                }
+            }
+        };
+
+        // Simple worker pool: each worker takes the next pending device
+        let next = 0;
+        const worker = async () => {
+            while (next < states.length) {
+                await flashOne(states[next++]);
+            }
+        };
+        const workers = Math.max(1, Math.min(concurrency, states.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+
+        const count = status => states.filter(s => s.status === status).length;
+        return {
+            results: states,
+            succeeded: count('done'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            elapsed: Date.now() - startTime
+        };
+    }
+}
+
+/**
+ * Formats a BatchFlasher.flashAll summary as a plain text table, one row per device.
+ *
+ * @param {{ results: object[], succeeded: number, failed: number, cancelled: number, elapsed: number }} summary
+ * @returns {string}
+ */
+export function formatBatchSummary(summary) {
+    const rows = [['#', 'Device', 'Board', 'Status', 'Attempts', 'Outcome / error']];
+    for (const state of summary.results) {
+        rows.push([
+            String(state.index + 1),
+            state.label,
+            state.board || '?',
+            state.status,
+            String(state.attempts),
+            state.error || state.outcome || ''
+        ]);
+    }
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    const lines = rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd());
+    lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+    lines.push('', `${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.cancelled} cancelled `
+        + `in ${(summary.elapsed / 1000).toFixed(1)} s`);
+    return lines.join('\n') + '\n';
+}
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SerialPortManager
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Line terminators for SerialPortManager.lineEnding.
+ */
+export const SERIAL_LINE_ENDINGS = {
+    none: '',
+    lf: '\n',
+    cr: '\r',
+    crlf: '\r\n'
+};
+
+/**
+ * Formats bytes as space-separated hex, e.g. "0a ff 10".
+ * @private
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Check if a received line answers a command.
+ * `expect` may be null (any line), a RegExp, a string prefix or a predicate.
+ * @private
+ */
+function lineMatches(line, expect) {
+    if (expect === null || expect === undefined) return true;
+    if (expect instanceof RegExp) return expect.test(line);
+    if (typeof expect === 'function') return !!expect(line);
+    return line.startsWith(String(expect));
+}
+
+export class SerialPortManager {
+    /**
+     * @param {object} [transport]
+     * @param {Serial} [transport.serial] - Object shaped like navigator.serial; defaults to it
+     */
+    constructor(transport = {}) {
+        this.serial = transport.serial || null;
+        this.serialPort = null;
+        this.serialReader = null;
+        this.readLoop = null;
+        this.pipeClosed = null;
+        this.writeQueue = Promise.resolve();
+        this.commandQueue = Promise.resolve();
+        this.pendingCommand = null;
+        this.incompleteLine = '';
+        this.mode = 'text';
+        this.lineEnding = 'lf';
+        this.onData = null;
+        this.log = null;       // optional SerialLog; receives rx / tx / status entries
+    }
+
+    /**
+     * Opens a serial port and starts reading from it.
+     *
+     * In 'text' mode (default) incoming data is decoded as UTF-8 and onData receives
+     * one trimmed line at a time. In 'binary' mode onData receives raw Uint8Array chunks.
+     *
+     * @param {SerialOptions} [serialOptions]
+     * @param {SerialPort} [port] - An already granted port; prompts the user if omitted
+     * @param {{ mode?: 'text'|'binary' }} [options]
+     */
+    async openSerialPort(serialOptions = { baudRate: 115200 }, port = null, options = {}) {
+        if (this.serialPort) {
+            throw new Error('Serial port is already open.');
+        }
+        const { mode = 'text' } = options;
+        const selectedPort = port || await this.requestPort();
+        await selectedPort.open(serialOptions);
+        this.serialPort = selectedPort;
+        this.mode = mode;
+        this.incompleteLine = '';
+        this.logStatus(`serial opened (${mode}, ${serialOptions.baudRate} baud)`);
+
+        if (mode === 'binary') {
+            this.pipeClosed = null;
+            this.serialReader = this.serialPort.readable.getReader();
+        } else {
+            const textDecoder = new TextDecoderStream();
+            this.pipeClosed = this.serialPort.readable.pipeTo(textDecoder.writable).catch(() => { });
+            this.serialReader = textDecoder.readable.getReader();
+        }
+
+        const reader = this.serialReader;
+        this.readLoop = (async () => {
+            try {
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    if (mode === 'binary') {
+                        if (this.log) this.log.add('rx', bytesToHex(value));
+                        if (this.onData) this.onData(value);
+                    } else {
+                        this.processSerialData(value);
+                    }
+                }
+            } catch (err) {
+                console.error('Serial reading error:', err);
+            } finally {
+                this.flushIncompleteLine();
+            }
+        })();
+    }
+
+    /**
+     * Writes a string (UTF-8 encoded, sent as-is) or raw bytes to the open port.
+     * Writes are queued, so concurrent calls go out in call order.
+     *
+     * @param {string|Uint8Array} data
+     * @returns {Promise<void>}
+     */
+    write(data) {
+        if (!this.serialPort || !this.serialPort.writable) {
+            return Promise.reject(new Error('No serial port is open.'));
+        }
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const port = this.serialPort;
+        if (this.log) {
+            this.log.add('tx', typeof data === 'string' ? data.replace(/[\r\n]+$/, '') : bytesToHex(data));
+        }
+
+        const pending = this.writeQueue.then(async () => {
+            const writer = port.writable.getWriter();
+            try {
+                await writer.write(bytes);
+            } finally {
+                writer.releaseLock();
+            }
+        });
+        this.writeQueue = pending.catch(() => { });
+        return pending;
+    }
+
+    /**
+     * Writes a line of text followed by the configured line ending
+     * (this.lineEnding: 'lf', 'cr', 'crlf' or 'none').
+     *
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    writeLine(text) {
+        return this.write(text + SERIAL_LINE_ENDINGS[this.lineEnding]);
+    }
+
+    /**
+     * Sends a command line and resolves with the first received line that matches
+     * `expect`. Commands are queued, so only one waits for its response at a time;
+     * lines that don't match are passed to onData as usual.
+     *
+     *   const version = await serialManager.sendCommand('VERSION?', { expect: /^v\d+/, timeout: 2000 });
+     *
+     * @param {string} command - sent with writeLine (the configured line ending is appended)
+     * @param {object} [options]
+     * @param {RegExp|string|((line: string) => boolean)} [options.expect] - response matcher;
+     *        a string matches lines starting with it. Defaults to the next line.
+     * @param {number} [options.timeout=1000] - ms to wait for the response
+     * @returns {Promise<string>} - the matching line
+     */
+    sendCommand(command, options = {}) {
+        const { expect = null, timeout = 1000 } = options;
+
+        const run = () => new Promise((resolve, reject) => {
+            if (this.mode === 'binary') {
+                reject(new Error('sendCommand needs the port open in text mode.'));
+                return;
+            }
+
+            const pending = {
+                expect,
+                resolve: line => finish(() => resolve(line)),
+                reject: err => finish(() => reject(err))
+            };
+            const timer = setTimeout(() => {
+                pending.reject(new Error(`Command "${command}" timed out after ${timeout} ms`));
+            }, timeout);
+            const finish = settle => {
+                clearTimeout(timer);
+                if (this.pendingCommand === pending) this.pendingCommand = null;
+                settle();
+            };
+
+            // Register before writing so a fast response is not missed
+            this.pendingCommand = pending;
+            this.writeLine(command).catch(err => pending.reject(err));
+        });
+
+        const result = this.commandQueue.then(run);
+        this.commandQueue = result.catch(() => { });
+        return result;
+    }
+
+    /**
+     * Routes a received line to the waiting command, or to onData.
+     * @private
+     */
+    deliverLine(line) {
+        if (this.log) this.log.add('rx', line);
+        const pending = this.pendingCommand;
+        if (pending && lineMatches(line, pending.expect)) {
+            pending.resolve(line);
+            return;
+        }
+        if (this.onData) {
+            this.onData(line);
+        }
+    }
+
+    /**
+     * Adds a status entry to this.log, if one is attached.
+     * @private
+     */
+    logStatus(text) {
+        if (this.log) this.log.add('status', text);
+    }
+
+    /**
+     * Sets the DTR / RTS / break control signals (Web Serial setSignals).
+     *
+     * @param {{ dataTerminalReady?: boolean, requestToSend?: boolean, break?: boolean }} signals
+     */
+    async setSignals(signals) {
+        if (!this.serialPort) {
+            throw new Error('No serial port is open.');
+        }
+        await this.serialPort.setSignals(signals);
+    }
+
+    /**
+     * Asks a running Teensyduino sketch to reboot into the HalfKay bootloader by
+     * opening its USB serial port at 134 baud. No button press needed.
+     *
+     * If no port is given, the port currently open on this manager is closed and
+     * used; if none is open the user is prompted to pick one.
+     *
+     * @param {SerialPort} [port] - Serial port of the running sketch
+     */
+    async rebootToBootloader(port = null) {
+        let target = port || this.serialPort;
+        if (target && target === this.serialPort) {
+            await this.closeSerialPort();
+        }
+        if (!target) {
+            target = await this.requestPort();
+        }
+
+        await target.open({ baudRate: TEENSY_REBOOT_BAUD });
+        await sleep(100);
+        // The board usually disappears before the close completes
+        await target.close().catch(() => { });
+    }
+
+    /**
+     * Asks the serial transport for a port (the browser shows its picker).
+     * @private
+     * @returns {Promise<SerialPort>}
+     */
+    async requestPort() {
+        const serial = this.serial || browserSerial();
+        if (!serial) {
+            throw new Error('Web Serial is not available.');
+        }
+        return serial.requestPort();
+    }
+
+    processSerialData(dataChunk) {
+        this.incompleteLine += dataChunk;
+        const lines = this.incompleteLine.split(this.lineEnding === 'cr' ? '\r' : '\n');
+
+        for (let i = 0; i < lines.length - 1; i++) {
+            this.deliverLine(lines[i].trim());
+        }
+        this.incompleteLine = lines[lines.length - 1];
+    }
+
+    /**
+     * Delivers a trailing line that never got its terminator (e.g. on close).
+     * @private
+     */
+    flushIncompleteLine() {
+        const line = this.incompleteLine.trim();
+        this.incompleteLine = '';
+        if (line) {
+            this.deliverLine(line);
+        }
+    }
+
+    async closeSerialPort() {
+        if (!this.serialPort) {
+            throw new Error('No serial port is open.');
+        }
+        await this.writeQueue;
+        if (this.serialReader) {
+            await this.serialReader.cancel().catch(() => { });
+            await this.readLoop;
+            if (this.mode === 'binary') this.serialReader.releaseLock();
+            this.serialReader = null;
+        }
+        if (this.pipeClosed) {
+            await this.pipeClosed;
+            this.pipeClosed = null;
+        }
+        if (this.pendingCommand) {
+            this.pendingCommand.reject(new Error('Serial port closed.'));
+        }
+        await this.serialPort.close();
+        this.serialPort = null;
+        this.incompleteLine = '';
+        this.logStatus('serial closed');
+    }
+}
+
+/**
+ * Device filters to include multiple Teensy boards (2.x, 3.x, LC, 4.x and MicroMod).
+ * Boards in HalfKay mode are matched by the usage of their bootloader collection;
+ * the product ID entries are kept for pages that relied on them.
+ */
+export const TEENSY_DEVICE_FILTERS = [
+    ...TEENSY_BOARD_PROFILES.map(p => ({ vendorId: 0x16c0, usagePage: HALFKAY_USAGE_PAGE, usage: p.usage })),
+    { vendorId: 0x16c0, productId: 0x0478 }, // Teensy 4.0
+    { vendorId: 0x16c0, productId: 0x0479 }, // Teensy 4.1
+    { vendorId: 0x16c0, productId: 0x0477 }, // Teensy 3.6
+    { vendorId: 0x16c0, productId: 0x0474 }, // Teensy 3.5
+    { vendorId: 0x16c0, productId: 0x0484 }, // Teensy 3.1 / 3.2
+    { vendorId: 0x16c0, productId: 0x0483 }, // Teensy 3.0
+];
+
+////////////////////////////////////////////////////////////////////////////////
+// Device Discovery
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Keeps track of the Teensy boards the HID and serial transports can see.
+ *
+ * Every board is one entry, whether it shows up as a HalfKay device
+ * (bootloader) or as a running sketch's serial port / HID interface
+ * (application). Interfaces are matched by USB serial number, so a board keeps
+ * its entry and its board model when it moves between the two:
+ *   { key, serialNumber, mode, board, hidDevice, serialPort, productId, label }
+ * mode is 'bootloader' or 'application' and productId the USB product ID; both
+ * follow the interfaces the board has right now (the HID device's when there is
+ * one). board is the profile read from the HalfKay usage; in application mode
+ * it is the one last seen for that serial number (or given in
+ * options.knownBoards), or null.
+ *
+ * onEvent receives { type, device, previousMode }:
+ *  - 'connect'    => a board appeared; previousMode is the mode it was last seen in
+ *                    ('application' when a known board entered the bootloader), or null
+ *  - 'change'     => another interface of a connected board appeared or went away
+ *  - 'disconnect' => the board's last interface went away
+ *
+ * Browsers don't expose USB serial numbers through WebHID or Web Serial, so
+ * there every interface is its own entry. As a fallback, a board without a
+ * serial number that goes away is paired with the one that shows up in the
+ * other mode within options.handoffTimeout (a sketch rebooting into HalfKay, or
+ * HalfKay starting the flashed sketch): the new interface takes over the old
+ * entry's key, previousMode and board. This is only done when exactly one such
+ * board went away; when several reboot at once they get new entries and a
+ * sketch's model stays unknown. The Node transports report serial numbers.
+ *
+ *   const devices = new TeensyDeviceManager();
+ *   devices.onEvent = event => render(devices.getDevices());
+ *   await devices.start();
+ *   const [teensy] = await devices.requestDevice();
+ *   const blocks = await new FirmwareFile(data, name, teensy.board).buildBlocks();
+ */
+export class TeensyDeviceManager {
+    /**
+     * @param {object} [options]
+     * @param {HID} [options.hid] - defaults to navigator.hid
+     * @param {Serial} [options.serial] - defaults to navigator.serial
+     * @param {Map<string, string>|object} [options.knownBoards] - serial number => board id,
+     *        e.g. saved from a previous session's `knownBoards`
+     * @param {number} [options.handoffTimeout=5000] - ms within which a board without a
+     *        serial number that went away is paired with one appearing in the other mode
+     */
+    constructor(options = {}) {
+        const { hid = browserHid(), serial = browserSerial(), knownBoards = {}, handoffTimeout = 5000 } = options;
+        this.hid = hid;
+        this.serial = serial;
+        this.knownBoards = new Map(knownBoards instanceof Map ? knownBoards : Object.entries(knownBoards));
+        this.handoffTimeout = handoffTimeout;
+        this.devices = new Map();      // key => entry, connected boards only
+        this.lastModes = new Map();    // key => mode the board was in when it went away
+        this.departures = [];          // { key, mode, board, time } of boards without a serial number
+        this.anonymousKeys = new WeakMap();
+        this.nextAnonymousKey = 1;
+        this.listening = false;
+        this.onEvent = null;
+
+        this.handleHidConnect = event => this.addInterface('hid', event.device);
+        this.handleHidDisconnect = event => this.removeInterface('hid', event.device);
+        this.handleSerialConnect = event => this.addInterface('serial', event.port || event.target);
+        this.handleSerialDisconnect = event => this.removeInterface('serial', event.port || event.target);
+    }
+
+    /**
+     * Starts listening for connect / disconnect events and adds the devices
+     * that are already granted (getDevices() / getPorts()).
+     * @returns {Promise<object[]>} - the connected boards
+     */
+    async start() {
+        if (!this.listening) {
+            this.listening = true;
+            if (this.hid) {
+                this.hid.addEventListener('connect', this.handleHidConnect);
+                this.hid.addEventListener('disconnect', this.handleHidDisconnect);
             }
+            if (this.serial) {
+                this.serial.addEventListener('connect', this.handleSerialConnect);
+                this.serial.addEventListener('disconnect', this.handleSerialDisconnect);
+            }
+        }
+        await this.refresh();
+        return this.getDevices();
+    }
 
-            sentCount++;
-            if (incCb) incCb(1);
+    /**
+     * Stops listening. Known boards are kept.
+     */
+    stop() {
+        if (!this.listening) return;
+        this.listening = false;
+        if (this.hid) {
+            this.hid.removeEventListener('connect', this.handleHidConnect);
+            this.hid.removeEventListener('disconnect', this.handleHidDisconnect);
+        }
+        if (this.serial) {
+            this.serial.removeEventListener('connect', this.handleSerialConnect);
+            this.serial.removeEventListener('disconnect', this.handleSerialDisconnect);
+        }
+    }
 
-            // Delay: 1.5s after first block (erase), 5ms for subsequent
-            await sleep(sentCount === 1 ? 1500 : 5);
+    /**
+     * Adds every granted device and port the transports list right now.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (this.hid) {
+            for (const device of await this.hid.getDevices()) this.addInterface('hid', device);
+        }
+        if (this.serial) {
+            for (const port of await this.serial.getPorts()) this.addInterface('serial', port);
         }
-        return sentCount;
     }
 
     /**
-     * countNeeded
-     * -----------
-     * Helper to count how many blocks aren't entirely 0xFF 
-     * (except you might choose to keep block #0).
-     *
+     * The connected boards.
+     * @param {object} [filter]
+     * @param {string} [filter.mode] - only 'bootloader' or 'application' boards
+     * @returns {object[]}
+     */
+    getDevices({ mode = null } = {}) {
+        return [...this.devices.values()].filter(entry => !mode || entry.mode === mode);
+    }
+
+    /**
+     * The connected board with this serial number (either form), or null.
+     * @param {string} serialNumber
+     * @returns {object|null}
+     */
+    findBySerialNumber(serialNumber) {
+        const wanted = [normalizeTeensySerialNumber(serialNumber), normalizeTeensySerialNumber(serialNumber, true)];
+        return this.getDevices().find(entry => wanted.includes(entry.serialNumber)) || null;
+    }
+
+    /**
+     * The entry an HID device or serial port belongs to, or null.
+     * @param {HIDDevice|SerialPort} item
+     * @returns {object|null}
+     */
+    findByInterface(item) {
+        return this.getDevices().find(entry => entry.hidDevice === item || entry.serialPort === item) || null;
+    }
+
+    /**
+     * Asks the user for HID access to a Teensy (navigator.hid.requestDevice)
+     * and adds the chosen devices.
+     * @param {object[]} [filters=TEENSY_DEVICE_FILTERS]
+     * @returns {Promise<object[]>} - entries of the chosen devices
+     */
+    async requestDevice(filters = TEENSY_DEVICE_FILTERS) {
+        if (!this.hid) {
+            throw new Error('WebHID is not available.');
+        }
+        const devices = await this.hid.requestDevice({ filters });
+        return devices.map(device => this.addInterface('hid', device)).filter(Boolean);
+    }
+
+    /**
+     * Asks the user for a Teensy serial port (navigator.serial.requestPort) and adds it.
+     * @returns {Promise<object|null>} - entry of the chosen port
+     */
+    async requestPort() {
+        if (!this.serial) {
+            throw new Error('Web Serial is not available.');
+        }
+        const port = await this.serial.requestPort({ filters: [{ usbVendorId: TEENSY_VENDOR_ID }] });
+        return this.addInterface('serial', port);
+    }
+
+    /**
+     * Records an HID device or serial port and emits 'connect' or 'change'.
+     * Devices from other vendors are ignored.
      * @private
+     * @param {'hid'|'serial'} kind
+     * @param {HIDDevice|SerialPort} item
+     * @returns {object|null} - the board's entry
      */
-    countNeeded(blocks) {
-        return blocks.filter((b, i) => {
-            if (i === 0) return true;
-            return !b.data.every(x => x === 0xff);
-        }).length;
+    addInterface(kind, item) {
+        if (!item) return null;
+        const info = kind === 'serial' && item.getInfo ? item.getInfo() : {};
+        const vendorId = kind === 'hid' ? item.vendorId : info.usbVendorId;
+        if (vendorId !== TEENSY_VENDOR_ID) return null;
+
+        const bootloader = kind === 'hid' && isHalfKayDevice(item);
+        const serialNumber = normalizeTeensySerialNumber(
+            kind === 'hid' ? item.serialNumber : portSerialNumber(item), bootloader);
+        const departure = serialNumber || this.anonymousKeys.has(item)
+            ? null : this.takeDeparture(bootloader ? 'bootloader' : 'application');
+        if (departure) this.anonymousKeys.set(item, departure.key);
+        const key = serialNumber || this.anonymousKey(kind, item);
+
+        let entry = this.devices.get(key);
+        const isNew = !entry;
+        if (isNew) {
+            entry = {
+                key, serialNumber, mode: null, board: departure ? departure.board : null,
+                hidDevice: null, serialPort: null, productId: null, label: ''
+            };
+            this.devices.set(key, entry);
+        } else if (entry.hidDevice === item || entry.serialPort === item) {
+            return entry;
+        }
+
+        if (kind === 'hid') entry.hidDevice = item;
+        else entry.serialPort = item;
+        this.updateEntry(entry);
+
+        if (isNew) {
+            this.emit('connect', entry, { previousMode: this.lastModes.get(key) || null });
+        } else {
+            this.emit('change', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Forgets an HID device or serial port and emits 'change' or 'disconnect'.
+     * @private
+     */
+    removeInterface(kind, item) {
+        const entry = this.findByInterface(item);
+        if (!entry) return;
+        if (kind === 'hid' && entry.hidDevice === item) entry.hidDevice = null;
+        if (kind === 'serial' && entry.serialPort === item) entry.serialPort = null;
+
+        if (entry.hidDevice || entry.serialPort) {
+            this.updateEntry(entry);
+            this.emit('change', entry);
+            return;
+        }
+        this.devices.delete(entry.key);
+        this.lastModes.set(entry.key, entry.mode);
+        if (!entry.serialNumber) {
+            this.departures.push({ key: entry.key, mode: entry.mode, board: entry.board, time: Date.now() });
+        }
+        this.emit('disconnect', entry);
+    }
+
+    /**
+     * Sets mode, productId, board and label from the entry's current interfaces;
+     * the HID device wins over the serial port.
+     * @private
+     */
+    updateEntry(entry) {
+        const halfKayDevice = entry.hidDevice && isHalfKayDevice(entry.hidDevice) ? entry.hidDevice : null;
+        entry.mode = halfKayDevice ? 'bootloader' : 'application';
+        if (entry.hidDevice) {
+            entry.productId = entry.hidDevice.productId;
+        } else {
+            const info = entry.serialPort.getInfo ? entry.serialPort.getInfo() : {};
+            entry.productId = info.usbProductId ?? null;
+        }
+        entry.board = this.resolveBoard(entry, halfKayDevice);
+        entry.label = describeTeensyDevice(entry);
+    }
+
+    /**
+     * The one board without a serial number that went away within handoffTimeout
+     * in the mode other than `mode`, or null if there is none or several.
+     * @private
+     */
+    takeDeparture(mode) {
+        const now = Date.now();
+        this.departures = this.departures.filter(d => now - d.time <= this.handoffTimeout && !this.devices.has(d.key));
+        const candidates = this.departures.filter(d => d.mode !== mode);
+        if (candidates.length !== 1) return null;
+        this.departures = this.departures.filter(d => d !== candidates[0]);
+        return candidates[0];
+    }
+
+    /**
+     * Board model of an entry. A HalfKay device names its board through the
+     * usage of its collection, which is then remembered for the serial number.
+     * @private
+     */
+    resolveBoard(entry, halfKayDevice) {
+        if (halfKayDevice) {
+            const board = getBoardProfileForDevice(halfKayDevice);
+            if (board && entry.serialNumber) this.knownBoards.set(entry.serialNumber, board.id);
+            return board;
+        }
+        if (entry.serialNumber && this.knownBoards.has(entry.serialNumber)) {
+            return getBoardProfile(this.knownBoards.get(entry.serialNumber));
+        }
+        return entry.board;
+    }
+
+    /**
+     * Stable key for an interface without a serial number.
+     * @private
+     */
+    anonymousKey(kind, item) {
+        if (!this.anonymousKeys.has(item)) {
+            this.anonymousKeys.set(item, `${kind}-${this.nextAnonymousKey++}`);
+        }
+        return this.anonymousKeys.get(item);
+    }
+
+    /**
+     * @private
+     */
+    emit(type, device, extra = {}) {
+        if (this.onEvent) this.onEvent({ type, device, ...extra });
     }
 }
 
+/**
+ * Display name of a TeensyDeviceManager entry, e.g. "Teensy 4.1 #12345670 (bootloader)".
+ * @private
+ */
+function describeTeensyDevice(entry) {
+    const name = entry.board ? entry.board.name
+        : (entry.hidDevice && entry.hidDevice.productName) || 'Teensy';
+    const serial = entry.serialNumber ? ` #${entry.serialNumber}` : '';
+    return `${name}${serial} (${entry.mode})`;
+}
 
 ////////////////////////////////////////////////////////////////////////////////
-// SerialPortManager
+// Serial Log
 ////////////////////////////////////////////////////////////////////////////////
 
-export class SerialPortManager {
-    constructor() {
-        this.serialPort = null;
-        this.serialReader = null;
-        this.incompleteLine = '';
-        this.onData = null;
+/**
+ * Directions a SerialLog entry can have: data received from the board, data
+ * sent to it, and status messages from the page / library (including flash events).
+ */
+export const SERIAL_LOG_DIRECTIONS = ['rx', 'tx', 'status'];
+
+/**
+ * Turns a TeensyFlasher onEvent event into a log line. Block events return null,
+ * they would drown the log; phases, retries and the result are kept.
+ * @private
+ */
+function describeFlashEvent(event) {
+    switch (event.type) {
+        case 'phase':
+            return `flash: ${event.phase}`;
+        case 'retry':
+            return `flash: retry ${event.attempt}/${event.maxRetries} at 0x${event.address.toString(16)}: ${event.error}`;
+        case 'interrupted':
+            return `flash: interrupted (${event.reason}) during ${event.phase}`
+                + `${event.address !== null ? ` at 0x${event.address.toString(16)}` : ''}, device ${event.deviceState}`;
+        case 'recovery':
+            return `flash: recovery ${event.attempt} after ${event.reason}, restarting from a clean erase`;
+        case 'done':
+            return `flash: done (${event.outcome}), ${event.blocksSent} blocks, ${event.bytesSent} bytes in ${event.elapsed} ms`;
+        default:
+            return null;
     }
+}
 
-    async openSerialPort(serialOptions = { baudRate: 115200 }) {
-        if (this.serialPort) {
-            throw new Error('Serial port is already open.');
+/**
+ * Quotes a CSV field if it contains a comma, quote or line break.
+ * @private
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A bounded, in-memory log of serial traffic. Once `capacity` entries are stored
+ * the oldest are dropped. Attach it to a SerialPortManager (`serialManager.log = log`)
+ * to record received lines, writes and open/close; pass `log.addFlashEvent` to
+ * TeensyFlasher's onEvent to interleave the flash in the same log.
+ *
+ *   const log = new SerialLog({ capacity: 20000 });
+ *   log.addHighlight(/error|fault/i, 'error');
+ *   serialManager.log = log;
+ *   await flasher.flashFirmware(blocks, device, null, { onEvent: log.addFlashEvent });
+ *   download(log.export('csv'));
+ */
+export class SerialLog {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.capacity=10000] - entries kept before the oldest are dropped
+     * @param {() => number} [options.clock=Date.now] - host time source (ms since epoch)
+     */
+    constructor({ capacity = 10000, clock = Date.now } = {}) {
+        if (!(capacity > 0)) {
+            throw new Error('SerialLog capacity must be positive.');
         }
-        this.serialPort = await navigator.serial.requestPort();
-        await this.serialPort.open(serialOptions);
+        this.capacity = capacity;
+        this.clock = clock;
+        this.buffer = new Array(capacity);
+        this.start = 0;          // index of the oldest entry in buffer
+        this.size = 0;
+        this.dropped = 0;        // entries overwritten since the last clear()
+        this.highlights = [];    // { pattern: RegExp, name: string }
+        this.onEntry = null;     // optional (entry) => void, called for every new entry
 
-        const textDecoder = new TextDecoderStream();
-        this.serialPort.readable.pipeTo(textDecoder.writable);
-        this.serialReader = textDecoder.readable.getReader();
+        this.addFlashEvent = this.addFlashEvent.bind(this);
+    }
 
-        (async () => {
-            try {
-                while (true) {
-                    const { value, done } = await this.serialReader.read();
-                    if (done) break;
-                    this.processSerialData(value);
-                }
-            } catch (err) {
-                console.error('Serial reading error:', err);
-            }
-        })();
+    /**
+     * Appends an entry, dropping the oldest one if the log is full.
+     *
+     * @param {'rx'|'tx'|'status'} direction
+     * @param {string} text
+     * @returns {{ time: number, direction: string, text: string }}
+     */
+    add(direction, text) {
+        if (!SERIAL_LOG_DIRECTIONS.includes(direction)) {
+            throw new Error(`Unknown log direction '${direction}'.`);
+        }
+        const entry = { time: this.clock(), direction, text: String(text) };
+
+        if (this.size < this.capacity) {
+            this.buffer[(this.start + this.size) % this.capacity] = entry;
+            this.size++;
+        } else {
+            this.buffer[this.start] = entry;
+            this.start = (this.start + 1) % this.capacity;
+            this.dropped++;
+        }
+
+        if (this.onEntry) {
+            this.onEntry(this.decorate(entry));
+        }
+        return entry;
     }
 
-    processSerialData(dataChunk) {
-        this.incompleteLine += dataChunk;
-        const lines = this.incompleteLine.split('\n');
+    /**
+     * Records a TeensyFlasher onEvent event as a status entry (bound, so it can be
+     * passed as onEvent directly). Block progress events are skipped.
+     * @param {object} event
+     */
+    addFlashEvent(event) {
+        const text = describeFlashEvent(event);
+        if (text !== null) {
+            this.add('status', text);
+        }
+    }
 
-        for (let i = 0; i < lines.length - 1; i++) {
-            const line = lines[i].trim();
-            if (this.onData) {
-                this.onData(line);
-            }
+    /**
+     * Adds a highlight rule. Entries whose text matches carry `name` in their
+     * `highlights` array when read back.
+     *
+     * @param {RegExp|string} pattern - a string is matched literally
+     * @param {string} name
+     */
+    addHighlight(pattern, name) {
+        const regex = pattern instanceof RegExp
+            ? pattern
+            : new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.highlights.push({ pattern: regex, name });
+    }
+
+    /**
+     * Entries from oldest to newest, each with a `highlights` array.
+     *
+     * @param {object} [query]
+     * @param {RegExp} [query.include] - keep only entries whose text matches
+     * @param {RegExp} [query.exclude] - drop entries whose text matches
+     * @param {string|string[]} [query.direction] - keep only these directions
+     * @param {number} [query.since] - keep only entries at or after this time (ms)
+     * @returns {Array<{ time: number, direction: string, text: string, highlights: string[] }>}
+     */
+    entries(query = {}) {
+        const { include = null, exclude = null, direction = null, since = null } = query;
+        const directions = direction === null ? null : [].concat(direction);
+        const result = [];
+
+        for (let i = 0; i < this.size; i++) {
+            const entry = this.buffer[(this.start + i) % this.capacity];
+            if (directions && !directions.includes(entry.direction)) continue;
+            if (since !== null && entry.time < since) continue;
+            if (include && !testRegex(include, entry.text)) continue;
+            if (exclude && testRegex(exclude, entry.text)) continue;
+            result.push(this.decorate(entry));
         }
-        this.incompleteLine = lines[lines.length - 1];
+        return result;
     }
 
-    async closeSerialPort() {
-        if (!this.serialPort) {
-            throw new Error('No serial port is open.');
+    /**
+     * Serializes the (optionally filtered) log.
+     *   'text'  - "<ISO time> <direction> <text>" per line
+     *   'csv'   - time,direction,text,highlights with a header row
+     *   'jsonl' - one JSON object per line
+     *
+     * @param {'text'|'csv'|'jsonl'} [format='text']
+     * @param {object} [query] - same as entries()
+     * @returns {string}
+     */
+    export(format = 'text', query = {}) {
+        const entries = this.entries(query);
+        const iso = entry => new Date(entry.time).toISOString();
+
+        switch (format) {
+            case 'text':
+                return entries.map(e => `${iso(e)} ${e.direction.padEnd(6)} ${e.text}\n`).join('');
+            case 'csv':
+                return 'time,direction,text,highlights\n' + entries.map(e =>
+                    [iso(e), e.direction, e.text, e.highlights.join(';')].map(csvField).join(',') + '\n'
+                ).join('');
+            case 'jsonl':
+                return entries.map(e => JSON.stringify({ ...e, time: iso(e) }) + '\n').join('');
+            default:
+                throw new Error(`Unknown log export format '${format}'.`);
         }
-        if (this.serialReader) {
-            await this.serialReader.cancel();
-            this.serialReader = null;
+    }
+
+    /**
+     * Number of entries currently stored.
+     */
+    get length() {
+        return this.size;
+    }
+
+    /**
+     * Removes all entries (highlight rules are kept).
+     */
+    clear() {
+        this.buffer = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+        this.dropped = 0;
+    }
+
+    /**
+     * Copy of an entry with the names of the matching highlight rules.
+     * @private
+     */
+    decorate(entry) {
+        const highlights = this.highlights.filter(h => testRegex(h.pattern, entry.text)).map(h => h.name);
+        return { ...entry, highlights };
+    }
+}
+
+/**
+ * RegExp.test without the lastIndex side effect of global / sticky patterns.
+ * @private
+ */
+function testRegex(regex, text) {
+    regex.lastIndex = 0;
+    return regex.test(text);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Telemetry
+////////////////////////////////////////////////////////////////////////////////
+
+const TELEMETRY_NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const TELEMETRY_PAIR = /(?<![\w.])([A-Za-z_][\w.\-\[\]]*)\s*[:=]\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)(?![\w.])/g;
+
+/**
+ * Parses one line in the formats the Arduino Serial Plotter understands:
+ *   "21.5,40.2,1013"         -> unlabeled values (named from `labels`, or value1, value2, ...)
+ *   "21.5 40.2\t1013"        -> same, separated by spaces or tabs
+ *   "temp:21.5 humidity:40"  -> labeled values ("=" works too)
+ *   "temp,humidity,pressure" -> header line naming the columns of following unlabeled lines
+ * Anything else (log text) returns null. `values` has no prototype, so names like
+ * "constructor" or "__proto__" are ordinary series.
+ *
+ * @param {string} line
+ * @param {string[]|null} [labels] - names for unlabeled columns, from a previous header line
+ * @returns {{ values: Object<string, number> } | { header: string[] } | null}
+ */
+export function parseTelemetryLine(line, labels = null) {
+    const text = String(line).trim();
+    if (!text) return null;
+
+    if (/[:=]/.test(text)) {
+        const values = Object.create(null);
+        let found = false;
+        for (const [, name, value] of text.matchAll(TELEMETRY_PAIR)) {
+            values[name] = Number(value);
+            found = true;
         }
-        await this.serialPort.close();
-        this.serialPort = null;
-        this.incompleteLine = '';
+        return found ? { values } : null;
+    }
+
+    const tokens = text.split(/[\s,;]+/).filter(Boolean);
+    if (tokens.every(t => TELEMETRY_NUMBER.test(t))) {
+        const values = Object.create(null);
+        tokens.forEach((t, i) => {
+            const name = labels && i < labels.length ? labels[i] : `value${i + 1}`;
+            values[name] = Number(t);
+        });
+        return { values };
     }
+
+    // A header only counts if the line is comma / tab separated names
+    if (/[,\t]/.test(text)) {
+        const names = text.split(/\s*[,\t]\s*/);
+        if (names.every(n => /^[A-Za-z_][\w.\-\[\] ]*$/.test(n))) {
+            return { header: names };
+        }
+    }
+    return null;
 }
 
 /**
- * Device filters to include multiple Teensy boards (3.x and 4.x).
+ * Collects named numeric series from serial lines, keeping the newest
+ * `maxSamples` samples. Feed it from SerialPortManager.onData:
+ *
+ *   const telemetry = new TelemetryParser({ maxSamples: 2000 });
+ *   serialManager.onData = line => telemetry.parseLine(line);
+ *   telemetry.onSample = sample => redraw();
  */
-export const TEENSY_DEVICE_FILTERS = [
-    { vendorId: 0x16c0, productId: 0x0478 }, // Teensy 4.0
-    { vendorId: 0x16c0, productId: 0x0479 }, // Teensy 4.1
-    { vendorId: 0x16c0, productId: 0x0477 }, // Teensy 3.6
-    { vendorId: 0x16c0, productId: 0x0474 }, // Teensy 3.5
-    { vendorId: 0x16c0, productId: 0x0484 }, // Teensy 3.1 / 3.2
-    { vendorId: 0x16c0, productId: 0x0483 }, // Teensy 3.0
-];
+export class TelemetryParser {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSamples=1000] - samples kept before the oldest are dropped
+     * @param {() => number} [options.clock=Date.now] - host time source (ms since epoch)
+     */
+    constructor({ maxSamples = 1000, clock = Date.now } = {}) {
+        this.maxSamples = maxSamples;
+        this.clock = clock;
+        this.samples = [];       // { time, values: { name: number } }, oldest first
+        this.names = [];         // series names in order of first appearance
+        this.labels = null;      // column names from the last header line
+        this.onSample = null;    // optional (sample) => void
+    }
+
+    /**
+     * Parses a line and stores the sample if it holds numbers.
+     * @param {string} line
+     * @returns {{ time: number, values: Object<string, number> } | null} - the new sample
+     */
+    parseLine(line) {
+        const parsed = parseTelemetryLine(line, this.labels);
+        if (!parsed) return null;
+        if (parsed.header) {
+            this.labels = parsed.header;
+            return null;
+        }
+
+        const sample = { time: this.clock(), values: parsed.values };
+        for (const name of Object.keys(sample.values)) {
+            if (!this.names.includes(name)) this.names.push(name);
+        }
+        this.samples.push(sample);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.splice(0, this.samples.length - this.maxSamples);
+        }
+
+        if (this.onSample) {
+            this.onSample(sample);
+        }
+        return sample;
+    }
+
+    /**
+     * Points of one series, oldest first; samples without it are skipped.
+     * @param {string} name
+     * @param {number} [count] - only the newest `count` samples; 0 returns none
+     * @returns {Array<{ time: number, value: number }>}
+     */
+    series(name, count = this.samples.length) {
+        const points = [];
+        if (!(count > 0)) return points;
+        for (const sample of this.samples.slice(-count)) {
+            if (name in sample.values) {
+                points.push({ time: sample.time, value: sample.values[name] });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Exports the stored samples as CSV: an ISO time column and one column per
+     * series, empty where a sample has no value for it.
+     * @returns {string}
+     */
+    toCSV() {
+        const header = ['time', ...this.names].map(csvField).join(',') + '\n';
+        return header + this.samples.map(sample =>
+            [new Date(sample.time).toISOString(), ...this.names.map(n => n in sample.values ? sample.values[n] : '')]
+                .join(',') + '\n'
+        ).join('');
+    }
+
+    /**
+     * Drops all samples, series names and header labels.
+     */
+    clear() {
+        this.samples = [];
+        this.names = [];
+        this.labels = null;
+    }
+}
@@ -0,0 +1,151 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    BatchFlasher,
+    FirmwareFile,
+    TeensyFlasher,
+    formatBatchSummary,
+    getBoardProfile
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice, hexToFlashImage } from './MockHalfKayDevice.js';
+import { MockSerialPort } from './MockSerialPort.js';
+
+const HEX = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+
+function fastProfile(id) {
+    return { ...getBoardProfile(id), eraseDelay: 0, blockDelay: 0 };
+}
+
+/**
+ * HID transport stand-in exposing a fixed device list through getDevices().
+ */
+function fakeHid(devices) {
+    return {
+        getDevices: async () => devices,
+        addEventListener() { },
+        removeEventListener() { }
+    };
+}
+
+test('flashes every device with a concurrency limit', async () => {
+    const profile = fastProfile('teensy40');
+    const devices = Array.from({ length: 5 }, () => new MockHalfKayDevice(profile));
+    let open = 0;
+    let maxOpen = 0;
+    for (const device of devices) {
+        const { open: doOpen, close: doClose } = device;
+        device.open = async () => { await doOpen.call(device); maxOpen = Math.max(maxOpen, ++open); };
+        device.close = async () => { open--; await doClose.call(device); };
+    }
+
+    const batch = new BatchFlasher(new TeensyFlasher({ hid: fakeHid(devices) }));
+    const summary = await batch.flashAll(new FirmwareFile(HEX, 'blink.hex'), null, {
+        concurrency: 2, board: profile, rebootTimeout: 10
+    });
+
+    assert.equal(summary.succeeded, 5);
+    assert.equal(summary.failed, 0);
+    assert.equal(maxOpen, 2);
+    const expected = Buffer.from(hexToFlashImage(HEX.toString('latin1'), profile));
+    for (const device of devices) {
+        assert.ok(Buffer.from(device.flash).equals(expected));
+    }
+});
+
+test('retries a failed board and reports boards that keep failing', async () => {
+    const profile = fastProfile('teensy40');
+    // The first block fails all 5 report attempts once, then works
+    const flaky = new MockHalfKayDevice(profile, { failWhen: call => call < 5 });
+    const broken = new MockHalfKayDevice(profile, { failWhen: () => true });
+    const updates = [];
+
+    const summary = await new BatchFlasher(new TeensyFlasher()).flashAll(
+        new FirmwareFile(HEX, 'blink.hex'), [flaky, broken], {
+            board: profile, retries: 1, onUpdate: state => updates.push(`${state.index}:${state.status}`)
+        });
+
+    assert.deepEqual(summary.results.map(r => [r.status, r.attempts]), [['done', 2], ['failed', 2]]);
+    assert.ok(updates.includes('0:retrying'));
+    assert.match(summary.results[1].error, /Block upload failed/);
+
+    const table = formatBatchSummary(summary);
+    assert.match(table, /^#\s+Device\s+Board\s+Status/);
+    assert.match(table, /1 succeeded, 1 failed, 0 cancelled/);
+});
+
+test('builds blocks once per board type and fails unknown boards without retrying', async () => {
+    const t40 = fastProfile('teensy40');
+    const unknown = new MockHalfKayDevice(t40);
+    unknown.collections = [];
+    unknown.productId = 0x1234;
+    const devices = [new MockHalfKayDevice(t40), new MockHalfKayDevice(t40), unknown];
+
+    const firmware = { fileData: HEX, filename: 'blink.hex' };
+    let builds = 0;
+    const original = FirmwareFile.prototype.buildBlocks;
+    FirmwareFile.prototype.buildBlocks = async function (...args) {
+        builds++;
+        const blocks = await original.apply(this, args);
+        return { ...blocks, board: { ...blocks.board, eraseDelay: 0, blockDelay: 0 } };
+    };
+    try {
+        const summary = await new BatchFlasher(new TeensyFlasher()).flashAll(firmware, devices, { rebootTimeout: 10 });
+        assert.deepEqual(summary.results.map(r => r.status), ['done', 'done', 'failed']);
+        assert.equal(summary.results[2].error, 'Unknown board');
+        assert.equal(summary.results[2].attempts, 0);
+    } finally {
+        FirmwareFile.prototype.buildBlocks = original;
+    }
+    assert.equal(builds, 1);
+});
+
+test('builds again after a failed build instead of failing every retry', async () => {
+    const t40 = fastProfile('teensy40');
+    const devices = [new MockHalfKayDevice(t40), new MockHalfKayDevice(t40)];
+    let builds = 0;
+    const original = FirmwareFile.prototype.buildBlocks;
+    FirmwareFile.prototype.buildBlocks = async function (...args) {
+        if (++builds === 1) throw new Error('Source unavailable');
+        const blocks = await original.apply(this, args);
+        return { ...blocks, board: { ...blocks.board, eraseDelay: 0, blockDelay: 0 } };
+    };
+    try {
+        const summary = await new BatchFlasher(new TeensyFlasher()).flashAll(
+            { fileData: HEX, filename: 'blink.hex' }, devices, { concurrency: 1, retries: 1, rebootTimeout: 10 });
+        assert.deepEqual(summary.results.map(r => [r.status, r.attempts]), [['done', 2], ['done', 1]]);
+    } finally {
+        FirmwareFile.prototype.buildBlocks = original;
+    }
+    assert.equal(builds, 2);
+});
+
+test('reports each board rebooted only when its own device goes away', async () => {
+    const profile = fastProfile('teensy40');
+    const a = new MockHalfKayDevice(profile);
+    const b = new MockHalfKayDevice(profile);
+    a.serialNumber = '00000001';
+    b.serialNumber = '00000002';
+    const hid = new EventTarget();
+    hid.getDevices = async () => [a, b];
+    const serial = new EventTarget();
+
+    // Board A leaves the bootloader and its sketch's port appears; board B stays put
+    const send = a.sendReport.bind(a);
+    a.sendReport = async (reportId, data) => {
+        await send(reportId, data);
+        if (!a.rebooted) return;
+        setTimeout(() => {
+            const port = new MockSerialPort();
+            port.serialNumber = '10';
+            serial.dispatchEvent(Object.assign(new Event('connect'), { port }));
+            hid.dispatchEvent(Object.assign(new Event('disconnect'), { device: a }));
+        }, 0);
+    };
+
+    const summary = await new BatchFlasher(new TeensyFlasher({ hid, serial })).flashAll(
+        new FirmwareFile(HEX, 'blink.hex'), [a, b], { board: profile, rebootTimeout: 200 });
+
+    assert.deepEqual(summary.results.map(r => [r.status, r.outcome]), [['done', 'rebooted'], ['done', 'timed-out']]);
+});
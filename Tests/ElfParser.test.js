@@ -0,0 +1,198 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    FirmwareFile,
+    TeensyFlasher,
+    parseElf,
+    getBoardProfile
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice, hexToFlashImage } from './MockHalfKayDevice.js';
+
+/**
+ * Writes a minimal ELF32 little-endian ARM file.
+ * @param {{ entry: number, segments: Array<object>, sections: Array<object>, symbols: Array<object> }} spec
+ *   segments: { paddr, vaddr, data, memsz }
+ *   sections: { name, type, flags, addr, size, segment? } (segment = index of the data it points into)
+ *   symbols:  { name, value, size, info, section }
+ */
+function buildElf({ entry, segments, sections, symbols }) {
+    const chunks = [];
+    let offset = 52 + segments.length * 32;
+    const place = bytes => {
+        const at = offset;
+        chunks.push({ at, bytes });
+        offset += bytes.length;
+        return at;
+    };
+
+    const segOffsets = segments.map(seg => place(seg.data));
+
+    const strtab = [0];
+    const strIndex = name => {
+        const at = strtab.length;
+        strtab.push(...new TextEncoder().encode(name), 0);
+        return at;
+    };
+    const allSections = [{ name: '', type: 0, flags: 0, addr: 0, size: 0 }, ...sections];
+    const symtabIndex = allSections.length;
+    const symData = new Uint8Array(16 * (symbols.length + 1));
+    const symView = new DataView(symData.buffer);
+    symbols.forEach((sym, i) => {
+        const o = 16 * (i + 1);
+        symView.setUint32(o, strIndex(sym.name), true);
+        symView.setUint32(o + 4, sym.value, true);
+        symView.setUint32(o + 8, sym.size, true);
+        symData[o + 12] = sym.info;
+        symView.setUint16(o + 14, allSections.findIndex(s => s.name === sym.section), true);
+    });
+    allSections.push({ name: '.symtab', type: 2, flags: 0, addr: 0, size: symData.length, link: symtabIndex + 1, entsize: 16, bytes: symData });
+    allSections.push({ name: '.strtab', type: 3, flags: 0, addr: 0, size: 0, bytes: null });
+    allSections.push({ name: '.shstrtab', type: 3, flags: 0, addr: 0, size: 0, bytes: null });
+
+    const shstr = [0];
+    const nameIdx = allSections.map(sec => {
+        if (!sec.name) return 0;
+        const at = shstr.length;
+        shstr.push(...new TextEncoder().encode(sec.name), 0);
+        return at;
+    });
+    allSections[symtabIndex + 1].bytes = new Uint8Array(strtab);
+    allSections[symtabIndex + 2].bytes = new Uint8Array(shstr);
+
+    const secOffsets = allSections.map(sec => {
+        if (sec.bytes) {
+            sec.size = sec.bytes.length;
+            return place(sec.bytes);
+        }
+        return sec.segment !== undefined ? segOffsets[sec.segment] : 0;
+    });
+
+    const shoff = offset;
+    const out = new Uint8Array(shoff + allSections.length * 40);
+    const view = new DataView(out.buffer);
+    out.set([0x7f, 0x45, 0x4c, 0x46, 1, 1, 1]);
+    view.setUint16(16, 2, true);
+    view.setUint16(18, 40, true);
+    view.setUint32(20, 1, true);
+    view.setUint32(24, entry, true);
+    view.setUint32(28, 52, true);
+    view.setUint32(32, shoff, true);
+    view.setUint16(40, 52, true);
+    view.setUint16(42, 32, true);
+    view.setUint16(44, segments.length, true);
+    view.setUint16(46, 40, true);
+    view.setUint16(48, allSections.length, true);
+    view.setUint16(50, allSections.length - 1, true);
+
+    segments.forEach((seg, i) => {
+        const o = 52 + i * 32;
+        view.setUint32(o, 1, true);
+        view.setUint32(o + 4, segOffsets[i], true);
+        view.setUint32(o + 8, seg.vaddr, true);
+        view.setUint32(o + 12, seg.paddr, true);
+        view.setUint32(o + 16, seg.data.length, true);
+        view.setUint32(o + 20, seg.memsz ?? seg.data.length, true);
+        view.setUint32(o + 24, 5, true);
+    });
+    for (const { at, bytes } of chunks) out.set(bytes, at);
+    allSections.forEach((sec, i) => {
+        const o = shoff + i * 40;
+        view.setUint32(o, nameIdx[i], true);
+        view.setUint32(o + 4, sec.type, true);
+        view.setUint32(o + 8, sec.flags, true);
+        view.setUint32(o + 12, sec.addr, true);
+        view.setUint32(o + 16, secOffsets[i], true);
+        view.setUint32(o + 20, sec.size, true);
+        view.setUint32(o + 24, sec.link || 0, true);
+        view.setUint32(o + 36, sec.entsize || 0, true);
+    });
+    return out;
+}
+
+/**
+ * ELF equivalent of blink_slow_Teensy32.hex: the code as .text at 0, plus an
+ * 8-byte .data section that runs from RAM but is loaded right after .text.
+ */
+function blinkElf() {
+    const profile = getBoardProfile('teensy32');
+    const image = hexToFlashImage(readFileSync(new URL('../Firmware/blink_slow_Teensy32.hex', import.meta.url), 'latin1'), profile);
+    let end = image.length;
+    while (image[end - 1] === 0xff) end--;
+    const text = image.slice(0, end);
+    const data = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]);
+
+    const elf = buildElf({
+        entry: 0x1bd,
+        segments: [
+            { paddr: 0, vaddr: 0, data: text },
+            { paddr: text.length, vaddr: 0x1fff8000, data },
+            { paddr: 0x1fff8008, vaddr: 0x1fff8008, data: new Uint8Array(0), memsz: 64 }
+        ],
+        sections: [
+            { name: '.text', type: 1, flags: 0x6, addr: 0, size: text.length, segment: 0 },
+            { name: '.data', type: 1, flags: 0x3, addr: 0x1fff8000, size: 8, segment: 1 },
+            { name: '.bss', type: 8, flags: 0x3, addr: 0x1fff8008, size: 64 }
+        ],
+        symbols: [
+            { name: 'main', value: 0x400, size: 32, info: 0x12, section: '.text' },
+            { name: 'serial_number', value: 0x1fff8000, size: 8, info: 0x11, section: '.data' }
+        ]
+    });
+    const expected = image.slice();
+    expected.set(data, text.length);
+    return { elf, expected, textSize: text.length };
+}
+
+test('parseElf reads entry point, segments, sections, symbols and sizes', () => {
+    const { elf, textSize } = blinkElf();
+    const info = parseElf(elf);
+
+    assert.equal(info.machine, 'arm');
+    assert.equal(info.entry, 0x1bd);
+    assert.deepEqual(info.segments.map(s => [s.paddr, s.vaddr, s.filesz]), [
+        [0, 0, textSize], [textSize, 0x1fff8000, 8], [0x1fff8008, 0x1fff8008, 0]
+    ]);
+    assert.deepEqual(info.sections.map(s => s.name).slice(1, 4), ['.text', '.data', '.bss']);
+    assert.deepEqual(info.sizes, { text: textSize, data: 8, bss: 64 });
+
+    const serial = info.symbols.find(s => s.name === 'serial_number');
+    assert.deepEqual(serial, {
+        name: 'serial_number', value: 0x1fff8000, size: 8, type: 'object', bind: 'global', section: '.data',
+        address: textSize
+    });
+    assert.equal(info.symbols.find(s => s.name === 'main').address, 0x400);
+});
+
+test('parseElf rejects non-ELF and big-endian input', () => {
+    assert.throws(() => parseElf(new Uint8Array(64)), /Not an ELF file/);
+    const elf = blinkElf().elf;
+    elf[5] = 2;
+    assert.throws(() => parseElf(elf), /little-endian/);
+});
+
+test('parseElf rejects a symbol table without its string table', () => {
+    const elf = blinkElf().elf;
+    const view = new DataView(elf.buffer);
+    const symtabHeader = view.getUint32(32, true) + 4 * 40;
+    view.setUint32(symtabHeader + 24, 99, true);
+    assert.throws(() => parseElf(elf), /symbol table \(section 4\) links to section 99, which is not a string table/);
+
+    view.setUint32(symtabHeader + 24, 1, true);
+    assert.throws(() => parseElf(elf), /links to section 1/);
+});
+
+test('.elf images flash their load addresses byte-for-byte', async () => {
+    const profile = { ...getBoardProfile('teensy32'), eraseDelay: 0, blockDelay: 0 };
+    const { elf, expected } = blinkElf();
+    const fw = new FirmwareFile(elf, 'blink.elf', profile);
+    const blocks = await fw.buildBlocks();
+    const device = new MockHalfKayDevice(profile);
+
+    assert.equal(blocks.validation.valid, true);
+    await new TeensyFlasher().flashFirmware(blocks, device);
+
+    assert.ok(Buffer.from(device.flash).equals(Buffer.from(expected)));
+    assert.equal(fw.elfInfo().entry, 0x1bd);
+});
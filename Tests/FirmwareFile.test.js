@@ -0,0 +1,309 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    FirmwareFile,
+    TeensyFlasher,
+    binaryToBlocks,
+    buildEhex,
+    crc32,
+    detectEncryptedImage,
+    firmwareCrc,
+    getBoardProfile,
+    parseSingleHexSession
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice, hexToFlashImage } from './MockHalfKayDevice.js';
+
+function fastProfile(id) {
+    return { ...getBoardProfile(id), eraseDelay: 0, blockDelay: 0 };
+}
+
+/**
+ * Converts the expected flash image back into a raw .bin, trimmed of trailing 0xFF.
+ */
+function hexToBin(file, profile) {
+    const image = hexToFlashImage(readFileSync(new URL(`../Firmware/${file}`, import.meta.url), 'latin1'), profile);
+    let end = image.length;
+    while (end > 0 && image[end - 1] === 0xff) end--;
+    return image.slice(0, end);
+}
+
+test('binaryToBlocks aligns an unaligned base address and pads with 0xFF', () => {
+    const blocks = binaryToBlocks(new Uint8Array([1, 2, 3, 4, 5, 6]), 4, 0x102);
+
+    assert.deepEqual(blocks.map(b => b.address), [0x100, 0x104]);
+    assert.deepEqual([...blocks[0].data], [0xff, 0xff, 1, 2]);
+    assert.deepEqual([...blocks[1].data], [3, 4, 5, 6]);
+});
+
+test('.bin images produce { address, data } blocks at the board flash start', async () => {
+    const profile = fastProfile('teensy40');
+    const bin = hexToBin('blink_slow_Teensy40.hex', profile);
+    const { mainBlocks, validation } = await new FirmwareFile(bin, 'blink.bin', profile).buildBlocks();
+
+    assert.equal(mainBlocks[0].address, 0x60000000);
+    assert.ok(mainBlocks.every(b => b.data.length === profile.blockSize));
+    assert.equal(validation.valid, true);
+});
+
+test('.bin images honour an explicit base address', async () => {
+    const profile = fastProfile('teensy32');
+    const bin = new Uint8Array(16).fill(0xaa);
+
+    const { mainBlocks } = await new FirmwareFile(bin, 'cal.bin', profile).buildBlocks({ baseAddress: 0x3f000 });
+    assert.deepEqual(mainBlocks.map(b => b.address), [0x3f000]);
+
+    const legacy = await new FirmwareFile(bin, 'cal.bin', profile).buildBlocks(0x3f000);
+    assert.deepEqual(legacy.mainBlocks.map(b => b.address), [0x3f000]);
+
+    for (const baseAddress of [NaN, -1024, 1.5, '0x3f000']) {
+        await assert.rejects(new FirmwareFile(bin, 'cal.bin', profile).buildBlocks({ baseAddress }), /Invalid base address/);
+    }
+    await assert.rejects(new FirmwareFile(bin, 'cal.bin', profile).validate(NaN), /Invalid base address NaN/);
+});
+
+test('.bin images that do not fit the board flash are rejected', async () => {
+    const profile = fastProfile('teensylc');
+    const bin = hexToBin('blink_slow_TeensyLC.hex', profile);
+
+    const tooHigh = await new FirmwareFile(bin, 'blink.bin', profile).validate({ baseAddress: profile.flashSize - 512 });
+    assert.equal(tooHigh.valid, false);
+    assert.ok(tooHigh.errors.some(e => e.code === 'address-out-of-range'));
+
+    const big = new Uint8Array(profile.flashSize + 1024);
+    big.set(bin);
+    const tooBig = await new FirmwareFile(big, 'big.bin', profile).validate();
+    assert.ok(tooBig.errors.some(e => e.code === 'address-out-of-range' || e.code === 'image-too-large'));
+});
+
+test('.bin images flash byte-for-byte like the equivalent .hex', async () => {
+    for (const [id, file] of [['teensy32', 'blink_slow_Teensy32.hex'], ['teensy41', 'blink_slow_Teensy41.hex']]) {
+        const profile = fastProfile(id);
+        const bin = hexToBin(file, profile);
+        const blocks = await new FirmwareFile(bin, 'blink.bin', profile).buildBlocks();
+        const device = new MockHalfKayDevice(profile);
+
+        await new TeensyFlasher().flashFirmware(blocks, device);
+
+        const expected = hexToFlashImage(readFileSync(new URL(`../Firmware/${file}`, import.meta.url), 'latin1'), profile);
+        assert.ok(Buffer.from(device.flash).equals(Buffer.from(expected)), `${id} image matches`);
+    }
+});
+
+test('each bundled image is valid on its own board only', async () => {
+    const images = {
+        teensy2: 'Teensy2', teensypp2: 'Teensy2pp', teensy30: 'Teensy30', teensy32: 'Teensy32',
+        teensy35: 'Teensy35', teensylc: 'TeensyLC', teensy36: 'Teensy36',
+        teensy40: 'Teensy40', teensy41: 'Teensy41', teensymm: 'TeensyMM'
+    };
+    for (const [built, suffix] of Object.entries(images)) {
+        const hex = readFileSync(new URL(`../Firmware/blink_slow_${suffix}.hex`, import.meta.url));
+        for (const target of Object.keys(images)) {
+            const result = await new FirmwareFile(hex, 'blink.hex', getBoardProfile(target)).validate();
+            if (target === built) {
+                assert.deepEqual(result.errors, [], `${built} image on ${target}`);
+            } else {
+                assert.equal(result.valid, false, `${built} image must be rejected on ${target}`);
+            }
+        }
+    }
+});
+
+test('names the board a mismatched image was built for', async () => {
+    const hex = readFileSync(new URL('../Firmware/blink_slow_TeensyLC.hex', import.meta.url));
+    const result = await new FirmwareFile(hex, 'blink.hex', getBoardProfile('teensy32')).validate();
+    assert.deepEqual(result.errors.map(e => [e.code, e.message]), [
+        ['vector-table-mismatch', 'Image was built for the Teensy LC, not the Teensy 3.1 / 3.2']
+    ]);
+});
+
+test('inspect reports regions, flash usage and a SHA-256 of the effective image', async () => {
+    const { createHash } = await import('node:crypto');
+    const profile = fastProfile('teensy32');
+    const bin = hexToBin('blink_slow_Teensy32.hex', profile);
+    const fw = new FirmwareFile(bin, 'blink.bin', profile);
+
+    const info = await fw.inspect();
+
+    assert.equal(info.format, 'bin');
+    assert.equal(info.board, 'teensy32');
+    assert.deepEqual(info.regions, [{ start: 0, end: Math.ceil(bin.length / 1024) * 1024, size: Math.ceil(bin.length / 1024) * 1024 }]);
+    assert.equal(info.imageStart, 0);
+    assert.equal(info.imageEnd, bin.length);
+    assert.equal(info.flash.used, bin.length);
+    assert.equal(info.flash.free, profile.flashSize - bin.length);
+    assert.equal(info.sha256, createHash('sha256').update(bin).digest('hex'));
+    assert.equal(info.crc32, crc32(bin));
+    assert.equal(info.teensy4, null);
+});
+
+test('crc32 matches the standard check value and can be continued', () => {
+    const bytes = new TextEncoder().encode('123456789');
+    assert.equal(crc32(bytes), 0xcbf43926);
+    assert.equal(crc32(bytes.subarray(4), crc32(bytes.subarray(0, 4))), 0xcbf43926);
+});
+
+test('firmwareCrc covers the image up to its last programmed byte, gaps as 0xFF', () => {
+    const blocks = binaryToBlocks(new Uint8Array([1, 2, 0xff, 3, 0xff, 0xff]), 4, 0x1000);
+    const result = firmwareCrc(blocks);
+
+    assert.deepEqual({ ...result, crc: undefined }, { crc: undefined, start: 0x1000, end: 0x1004, length: 4 });
+    assert.equal(result.crc, crc32(new Uint8Array([1, 2, 0xff, 3])));
+});
+
+test('inspect lists the blank blocks that will be skipped', async () => {
+    const profile = fastProfile('teensy32');
+    const bin = new Uint8Array(3 * 1024).fill(0xff);
+    bin[0] = 1;
+    bin[2 * 1024] = 2;
+
+    const info = await new FirmwareFile(bin, 'gap.bin', profile).inspect();
+    assert.deepEqual(info.skippedBlocks, [1024]);
+    assert.equal(info.totalBytes, 3 * 1024);
+    assert.equal(info.usedBytes, 2 * 1024);
+});
+
+test('inspect reads the Teensy 4 FlexSPI config, IVT and boot data', async () => {
+    const profile = fastProfile('teensy40');
+    const hexData = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+    const info = await new FirmwareFile(hexData, 'blink.hex', profile).inspect();
+
+    assert.equal(info.teensy4.flexspiConfig.tag, 'FCFB');
+    assert.equal(info.teensy4.ivt.address, 0x60001000);
+    assert.equal(info.teensy4.ivt.self, 0x60001000);
+    assert.equal(info.teensy4.bootData.start, 0x60000000);
+    assert.ok(info.teensy4.bootData.length > 0 && info.teensy4.bootData.length <= profile.flashSize);
+    assert.equal(info.imageStart, 0x60000000);
+    assert.equal(info.teensy4.encryption.encrypted, false);
+});
+
+/**
+ * A HAB super root key table with two dummy public keys, as the secure build
+ * stores it after the CSF header.
+ */
+function srkTable() {
+    const key = fill => [0xe1, 0x00, 0x10, 0x00, ...new Array(12).fill(fill)];
+    return Uint8Array.from([0xd7, 0x00, 0x24, 0x43, ...key(0x21), ...key(0x42)]);
+}
+
+/**
+ * The Teensy 4.1 blink image with everything after the boot header replaced by
+ * random bytes. With signed set, the CSF space the IVT points at (0x60004c00)
+ * gets a CSF header and an SRK table, like a secure mode build.
+ */
+async function randomizedBlocks({ signed }) {
+    const { randomBytes } = await import('node:crypto');
+    const hexText = readFileSync(new URL('../Firmware/blink_slow_Teensy41.hex', import.meta.url), 'latin1');
+    return parseSingleHexSession(hexText, 1024, 0x60000000).map(block => {
+        const data = block.data.slice();
+        if (block.address >= 0x60002000) data.set(randomBytes(data.length));
+        if (signed && block.address === 0x60004c00) {
+            data.set([0xd4, 0x00, 0x40, 0x43]);
+            data.set(srkTable(), 0x40);
+        }
+        return { address: block.address, data };
+    });
+}
+
+/**
+ * The signed, encrypted-looking image as EHEX with a small RAM loader.
+ */
+async function encryptedLookingEhex() {
+    const blocks = await randomizedBlocks({ signed: true });
+    const loader = [{ address: 0x20200000, data: new Uint8Array(64).fill(0x11) }];
+    return { blocks, ehex: new TextEncoder().encode(buildEhex(blocks, loader)) };
+}
+
+test('detects encrypted Teensy 4 images from their boot header', async () => {
+    const { blocks } = await encryptedLookingEhex();
+    const result = detectEncryptedImage(blocks);
+    assert.equal(result.encrypted, true);
+    assert.ok(result.entropy > 7.5);
+    assert.equal(result.keyBlocks, false);
+    assert.deepEqual(result.signature, {
+        address: 0x60004c00, length: 0x40, version: 0x43,
+        srkTable: { address: 0x60004c40, length: 0x24, keys: 2 }
+    });
+
+    const compressed = detectEncryptedImage(await randomizedBlocks({ signed: false }));
+    assert.ok(compressed.entropy > 7.5);
+    assert.equal(compressed.encrypted, false, 'high entropy without a signature or key blocks is not encryption');
+
+    const withKeyBlocks = blocks.map(block => block.address === 0x60000400
+        ? { address: block.address, data: block.data.slice().fill(0x5a, 0, 0x100) }
+        : block);
+    assert.equal(detectEncryptedImage(withKeyBlocks).keyBlocks, true);
+    assert.equal(detectEncryptedImage(withKeyBlocks.slice(0, 5)).encrypted, true);
+
+    assert.equal(detectEncryptedImage(blocks.slice(0, 5)).encrypted, false, 'unsigned when the CSF is cut off');
+    assert.equal(detectEncryptedImage(blocks.slice(0, 4)).encrypted, null, 'no IVT');
+
+    // The SRK table is only looked for inside the image the boot data describes
+    const shortened = blocks.map(block => {
+        if (block.address !== 0x60001000) return block;
+        const data = block.data.slice();
+        const view = new DataView(data.buffer);
+        assert.equal(view.getUint32(0x10, true), 0x60001020, 'boot data right after the IVT');
+        view.setUint32(0x24, 0x4c40, true);
+        return { address: block.address, data };
+    });
+    assert.equal(detectEncryptedImage(shortened).signature.srkTable, null);
+});
+
+test('reads the key hash an encrypted image targets', async () => {
+    const { createHash } = await import('node:crypto');
+    const { ehex } = await encryptedLookingEhex();
+    const table = srkTable();
+    const digests = [table.subarray(4, 20), table.subarray(20, 36)].map(key => createHash('sha256').update(key).digest());
+    const expected = createHash('sha256').update(Buffer.concat(digests)).digest('hex');
+
+    const info = await new FirmwareFile(ehex, 'blink.ehex', fastProfile('teensy41')).inspect();
+    assert.equal(info.teensy4.encryption.keyHash, expected);
+
+    const plain = readFileSync(new URL('../Firmware/blink_slow_Teensy41.hex', import.meta.url));
+    const plainInfo = await new FirmwareFile(plain, 'blink.hex', fastProfile('teensy41')).inspect();
+    assert.equal(plainInfo.teensy4.encryption.signature, null, 'Teensyduino leaves the CSF space zeroed');
+    assert.equal(plainInfo.teensy4.encryption.keyHash, null);
+});
+
+test('checks encryption against the secure / locked state of the board', async () => {
+    const plain = readFileSync(new URL('../Firmware/blink_slow_Teensy41.hex', import.meta.url));
+    const t41 = fastProfile('teensy41');
+    const codes = findings => findings.map(f => f.code);
+
+    const locked = await new FirmwareFile(plain, 'blink.hex', { ...t41, secure: true, locked: true }).validate();
+    assert.equal(locked.valid, false);
+    assert.deepEqual(codes(locked.errors), ['unencrypted-image']);
+
+    const secure = await new FirmwareFile(plain, 'blink.hex', { ...t41, secure: true }).validate();
+    assert.equal(secure.valid, true);
+    assert.deepEqual(codes(secure.warnings), ['unencrypted-image']);
+
+    const { ehex } = await encryptedLookingEhex();
+    const onPlainBoard = await new FirmwareFile(ehex, 'blink.ehex', t41).validate();
+    assert.deepEqual(codes(onPlainBoard.warnings), ['encrypted-image']);
+    const onLockedBoard = await new FirmwareFile(ehex, 'blink.ehex', { ...t41, secure: true, locked: true }).validate();
+    assert.deepEqual([...onLockedBoard.errors, ...onLockedBoard.warnings], []);
+});
+
+test('refuses to send a plain image to a locked board', async () => {
+    const profile = { ...fastProfile('teensy40'), secure: true, locked: true };
+    const plain = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+    const blocks = await new FirmwareFile(plain, 'blink.hex', profile).buildBlocks();
+    const device = new MockHalfKayDevice(profile);
+
+    await assert.rejects(new TeensyFlasher().flashFirmware(blocks, device), /only accepts encrypted EHEX/);
+    assert.equal(device.calls, 0);
+});
+
+test('accepts .ehex on an unidentified board as earlier versions did', async () => {
+    const main = readFileSync(new URL('../Firmware/blink_slow_Teensy41.hex', import.meta.url), 'latin1');
+    const ehex = new TextEncoder().encode(`${main.trim()}\n:020000042020BA\n:0400000011111111B8\n:00000001FF\n`);
+
+    const generic = await new FirmwareFile(ehex, 'app.ehex').buildBlocks();
+    assert.equal(generic.board.id, 'generic');
+    assert.equal(generic.mainBlocks[0].address, 0x60000000);
+    assert.deepEqual(generic.loaderBlocks.map(b => b.address), [0x20200000]);
+    await assert.rejects(new FirmwareFile(ehex, 'app.ehex', 'teensy32').buildBlocks(), /EHEX not supported on Teensy 3.1 \/ 3.2/);
+});
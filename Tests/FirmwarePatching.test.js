@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    FirmwareFile,
+    TeensyFlasher,
+    binaryToBlocks,
+    crc32,
+    getBoardProfile,
+    patchBlocks,
+    patchFirmware
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice } from './MockHalfKayDevice.js';
+
+/**
+ * 4 KB image at 0x1000 in 1 KB blocks, holding a "SN:XXXXXXXX" placeholder at 0x1100.
+ */
+function sampleBlocks() {
+    const image = new Uint8Array(4096).fill(0);
+    image.set(new TextEncoder().encode('SN:XXXXXXXX'), 0x100);
+    return binaryToBlocks(image, 1024, 0x1000);
+}
+
+function bytesAt(blocks, address, length) {
+    const block = blocks.find(b => address >= b.address && address < b.address + b.data.length);
+    return [...block.data.subarray(address - block.address, address - block.address + length)];
+}
+
+const SYMBOLS = [
+    { name: 'g_serial', value: 0x1200, size: 4, type: 'object' },
+    { name: 'g_name', value: 0x1210, size: 8, type: 'object' },
+    { name: 'g_cal', value: 0x1400, size: 8, type: 'object' },
+    { name: 'g_cal_crc', value: 0x1408, size: 4, type: 'object' }
+];
+
+test('writes numbers at addresses and symbols without touching the input', () => {
+    const blocks = sampleBlocks();
+    const { blocks: patched, applied } = patchBlocks(blocks, [
+        { name: 'serial', symbol: 'g_serial', type: 'u32', value: 0x01020304 },
+        { address: 0x1300, type: 'u16', value: 0xabcd, endian: 'big' },
+        { address: 0x1302, type: 'i16', value: -2 },
+        { address: 0x1304, type: 'u64', value: 0x1122334455667788n },
+        { address: 0x130c, type: 'f32', value: 1.5 }
+    ], { symbols: SYMBOLS });
+
+    assert.deepEqual(bytesAt(patched, 0x1200, 4), [4, 3, 2, 1]);
+    assert.deepEqual(bytesAt(patched, 0x1300, 4), [0xab, 0xcd, 0xfe, 0xff]);
+    assert.deepEqual(bytesAt(patched, 0x1304, 8), [0x88, 0x77, 0x66, 0x55, 0x44, 0x33, 0x22, 0x11]);
+    assert.deepEqual(bytesAt(patched, 0x130c, 4), [0, 0, 0xc0, 0x3f]);
+    assert.deepEqual(bytesAt(blocks, 0x1200, 4), [0, 0, 0, 0], 'input blocks are unchanged');
+    assert.deepEqual(applied[0], {
+        name: 'serial', kind: 'patch', address: 0x1200,
+        bytes: Uint8Array.of(4, 3, 2, 1), previous: Uint8Array.of(0, 0, 0, 0)
+    });
+    assert.throws(() => patchBlocks(blocks, [{ address: 0x1000, type: 'u8', value: 256 }]), /does not fit in u8/);
+});
+
+test('replaces a marker with a string padded to the marker length', () => {
+    const { blocks } = patchBlocks(sampleBlocks(), [
+        { name: 'serial', marker: 'XXXXXXXX', type: 'string', value: 'A1234' },
+        { name: 'mac', address: 0x1110, type: 'mac', value: '02:00:00:ab:cd:ef' }
+    ]);
+
+    assert.deepEqual(bytesAt(blocks, 0x1100, 11), [...new TextEncoder().encode('SN:A1234'), 0, 0, 0]);
+    assert.deepEqual(bytesAt(blocks, 0x1110, 6), [2, 0, 0, 0xab, 0xcd, 0xef]);
+
+    assert.throws(() => patchBlocks(sampleBlocks(), [{ name: 'x', marker: 'NOPE', value: 'a' }]), /found 0 times/);
+    assert.throws(() => patchBlocks(sampleBlocks(), [{ name: 'x', marker: [0, 0], value: 'a' }]), /expected exactly once/);
+    assert.throws(() => patchBlocks(sampleBlocks(), [{ name: 'name', symbol: 'g_name', value: 'far too long' }],
+        { symbols: SYMBOLS }), /12 bytes do not fit in 8/);
+});
+
+test('writes a struct and a checksum over it', () => {
+    const { blocks, applied } = patchBlocks(sampleBlocks(), [{
+        name: 'cal', symbol: 'g_cal', type: 'struct',
+        fields: [{ type: 'i16', value: -12 }, { type: 'pad', length: 2 }, { type: 'u32', value: 1000 }]
+    }], {
+        symbols: SYMBOLS,
+        checksums: [
+            { name: 'calCrc', algorithm: 'crc32', over: 'cal', symbol: 'g_cal_crc' },
+            { name: 'sum', algorithm: 'sum8', over: { address: 0x1400, length: 8 }, address: 0x140c }
+        ]
+    });
+
+    const cal = Uint8Array.of(0xf4, 0xff, 0, 0, 0xe8, 0x03, 0, 0);
+    assert.deepEqual(bytesAt(blocks, 0x1400, 8), [...cal]);
+    const crc = crc32(cal);
+    assert.deepEqual(bytesAt(blocks, 0x1408, 4), [crc & 0xff, (crc >> 8) & 0xff, (crc >> 16) & 0xff, crc >>> 24]);
+    assert.deepEqual(bytesAt(blocks, 0x140c, 1), [cal.reduce((a, b) => a + b, 0) & 0xff]);
+    assert.deepEqual(applied.map(a => a.kind), ['patch', 'checksum', 'checksum']);
+});
+
+test('patches initialised RAM data at its load address', () => {
+    // parseElf symbols: g_cfg runs from RAM but its initial value is stored at 0x1600
+    const symbols = [
+        { name: 'g_cfg', value: 0x1fff8000, size: 4, type: 'object', address: 0x1600 },
+        { name: 'g_buffer', value: 0x1fff8100, size: 4, type: 'object', address: null }
+    ];
+    const { blocks, applied } = patchBlocks(sampleBlocks(), [
+        { name: 'cfg', symbol: 'g_cfg', type: 'u32', value: 7 }
+    ], { symbols });
+
+    assert.equal(applied[0].address, 0x1600);
+    assert.deepEqual(bytesAt(blocks, 0x1600, 4), [7, 0, 0, 0]);
+    assert.throws(() => patchBlocks(sampleBlocks(), [{ name: 'buf', symbol: 'g_buffer', type: 'u32', value: 1 }],
+        { symbols }), /no data in the image/);
+});
+
+test('writes custom checksums at their own width', () => {
+    const over = { address: 0x1400, length: 8 };
+    const { blocks } = patchBlocks(sampleBlocks(), [], {
+        checksums: [
+            { algorithm: () => 0x0102030405060708n, size: 8, over, address: 0x1500 },
+            { algorithm: () => 0xabcdef, size: 3, over, address: 0x1508, endian: 'big' },
+            { algorithm: () => -1, size: 2, over, address: 0x150c }
+        ]
+    });
+
+    assert.deepEqual(bytesAt(blocks, 0x1500, 8), [8, 7, 6, 5, 4, 3, 2, 1]);
+    assert.deepEqual(bytesAt(blocks, 0x1508, 3), [0xab, 0xcd, 0xef]);
+    assert.deepEqual(bytesAt(blocks, 0x150c, 2), [0xff, 0xff]);
+    assert.throws(() => patchBlocks(sampleBlocks(), [], {
+        checksums: [{ name: 'wide', algorithm: () => 0x10000, size: 2, over, address: 0x1500 }]
+    }), /Checksum 'wide': 65536 does not fit in 2 bytes/);
+});
+
+test('patchFirmware output flashes with the patched bytes', async () => {
+    const profile = { ...getBoardProfile('teensy40'), eraseDelay: 0, blockDelay: 0 };
+    const hex = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+    const built = await new FirmwareFile(hex, 'blink.hex', profile).buildBlocks();
+    const patched = patchFirmware(built, [{ address: 0x60001800, type: 'string', value: 'unit-42', length: 8 }]);
+
+    assert.equal(patched.validation.valid, true);
+    const device = new MockHalfKayDevice(profile);
+    await new TeensyFlasher().flashFirmware(patched, device);
+    assert.equal(new TextDecoder().decode(device.flash.subarray(0x1800, 0x1807)), 'unit-42');
+});
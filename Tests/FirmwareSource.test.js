@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+
+import {
+    FirmwareCache,
+    FirmwareFile,
+    FirmwareIntegrityError,
+    getBoardProfile,
+    loadFirmwareFromUrl,
+    parseFirmwareManifest,
+    selectManifestBuild
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice } from './MockHalfKayDevice.js';
+import { MockIndexedDB } from './MockIndexedDB.js';
+
+const T40 = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+const T32 = readFileSync(new URL('../Firmware/blink_slow_Teensy32.hex', import.meta.url));
+const sha = bytes => createHash('sha256').update(bytes).digest('hex');
+
+const MANIFEST = {
+    name: 'Blink',
+    builds: [
+        { board: 'teensy40', url: 'fw/blink-t40.hex', version: '1.0.0', sha256: sha(T40), notes: 'First release' },
+        { productId: '0x0484', url: 'https://cdn.example.com/blink-t32.hex', version: '1.0.0', sha256: sha(T32) },
+        { board: 'teensy99', url: 'nope.hex' }
+    ]
+};
+
+/**
+ * fetch stand-in serving a fixed set of URLs; `offline` makes every request fail.
+ */
+function fakeFetch(files) {
+    const fetchFn = async url => {
+        fetchFn.requests.push(url);
+        if (fetchFn.offline) throw new TypeError('Failed to fetch');
+        const body = files[url];
+        if (!body) return { ok: false, status: 404 };
+        return { ok: true, status: 200, arrayBuffer: async () => new Uint8Array(body).buffer };
+    };
+    fetchFn.requests = [];
+    fetchFn.offline = false;
+    return fetchFn;
+}
+
+/**
+ * In-memory cache with the FirmwareCache get / put interface.
+ */
+function memoryCache() {
+    const map = new Map();
+    return { map, get: async key => map.get(key) || null, put: async (key, record) => { map.set(key, record); } };
+}
+
+test('parses a manifest, resolving boards and relative URLs', () => {
+    const manifest = parseFirmwareManifest(MANIFEST, 'https://example.com/releases/manifest.json');
+
+    assert.equal(manifest.name, 'Blink');
+    assert.deepEqual(manifest.builds.map(b => [b.board, b.url, b.filename]), [
+        ['teensy40', 'https://example.com/releases/fw/blink-t40.hex', 'blink-t40.hex'],
+        ['teensy32', 'https://cdn.example.com/blink-t32.hex', 'blink-t32.hex']
+    ]);
+
+    const keyed = parseFirmwareManifest({ builds: { teensy41: { url: 'a.hex' }, '0x0483': { url: 'b.hex' } } });
+    assert.deepEqual(keyed.builds.map(b => b.board), ['teensy41', 'teensy30']);
+});
+
+test('selects the build for a HalfKay device', () => {
+    const manifest = parseFirmwareManifest(MANIFEST, 'https://example.com/manifest.json');
+    const device = new MockHalfKayDevice(getBoardProfile('teensy32'));
+
+    assert.equal(selectManifestBuild(manifest, device).board, 'teensy32');
+    assert.equal(selectManifestBuild(manifest, 'teensy41'), null);
+});
+
+test('fromManifest downloads, verifies and wraps the right image', async () => {
+    const fetchFn = fakeFetch({
+        'https://example.com/manifest.json': new TextEncoder().encode(JSON.stringify(MANIFEST)),
+        'https://example.com/fw/blink-t40.hex': T40
+    });
+    const device = new MockHalfKayDevice(getBoardProfile('teensy40'));
+
+    const fw = await FirmwareFile.fromManifest('https://example.com/manifest.json', device, { fetch: fetchFn });
+
+    assert.equal(fw.filename, 'blink-t40.hex');
+    assert.equal(fw.board.id, 'teensy40');
+    assert.deepEqual(fw.source, {
+        url: 'https://example.com/fw/blink-t40.hex', sha256: sha(T40), fromCache: false,
+        version: '1.0.0', notes: 'First release'
+    });
+    assert.ok((await fw.buildBlocks()).mainBlocks.length > 0);
+
+    await assert.rejects(FirmwareFile.fromManifest('https://example.com/manifest.json', 'teensy41', { fetch: fetchFn }),
+        /no build for Teensy 4.1/);
+});
+
+test('resolves a relative manifest URL against the page', async () => {
+    const fetchFn = fakeFetch({
+        'https://example.com/releases/manifest.json': new TextEncoder().encode(JSON.stringify(MANIFEST)),
+        'https://example.com/releases/fw/blink-t40.hex': T40
+    });
+    globalThis.location = { href: 'https://example.com/updater/index.html' };
+    try {
+        const fw = await FirmwareFile.fromManifest('/releases/manifest.json', 'teensy40', { fetch: fetchFn });
+        assert.equal(fw.source.url, 'https://example.com/releases/fw/blink-t40.hex');
+    } finally {
+        delete globalThis.location;
+    }
+
+    // Outside a browser a relative manifest URL is passed on unchanged
+    assert.equal(parseFirmwareManifest(MANIFEST, '/releases/manifest.json').builds[0].url, 'fw/blink-t40.hex');
+});
+
+test('fromManifest refuses builds without a sha256 unless told otherwise', async () => {
+    const manifest = parseFirmwareManifest({ builds: [{ board: 'teensy40', url: 'https://example.com/app.hex' }] });
+    const fetchFn = fakeFetch({ 'https://example.com/app.hex': T40 });
+
+    await assert.rejects(FirmwareFile.fromManifest(manifest, 'teensy40', { fetch: fetchFn }),
+        /build for Teensy 4.0 has no sha256/);
+    assert.equal(fetchFn.requests.length, 0);
+    const fw = await FirmwareFile.fromManifest(manifest, 'teensy40', { fetch: fetchFn, allowUnverified: true });
+    assert.equal(fw.source.sha256, sha(T40));
+});
+
+test('caches a manifest under its URL only', async () => {
+    const json = new TextEncoder().encode(JSON.stringify(MANIFEST));
+    const fetchFn = fakeFetch({ 'https://example.com/manifest.json': json, 'https://example.com/fw/blink-t40.hex': T40 });
+    const cache = memoryCache();
+
+    await FirmwareFile.fromManifest('https://example.com/manifest.json', 'teensy40', { fetch: fetchFn, cache });
+    assert.deepEqual([...cache.map.keys()].sort(),
+        ['https://example.com/fw/blink-t40.hex', 'https://example.com/manifest.json', sha(T40)].sort());
+});
+
+test('keeps file names that are not valid percent-encoding', async () => {
+    const fetchFn = fakeFetch({ 'https://example.com/100%.hex': T40, 'https://example.com/my%20app.hex?v=2': T40 });
+
+    assert.equal((await loadFirmwareFromUrl('https://example.com/100%.hex', { fetch: fetchFn })).filename, '100%.hex');
+    assert.equal((await loadFirmwareFromUrl('https://example.com/my%20app.hex?v=2', { fetch: fetchFn })).filename, 'my app.hex');
+});
+
+test('FirmwareCache deletes the oldest records beyond maxEntries', async t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now++);
+    const cache = new FirmwareCache({ indexedDB: new MockIndexedDB(), maxEntries: 3 });
+
+    for (const key of ['a', 'b', 'c', 'd']) await cache.put(key, { data: new Uint8Array([1]), url: key });
+    assert.equal(await cache.get('a'), null);
+    assert.equal((await cache.get('d')).storedAt, 1003);
+    assert.ok(await cache.get('b'));
+});
+
+test('rejects firmware whose hash does not match', async () => {
+    const fetchFn = fakeFetch({ 'https://example.com/app.hex': T32 });
+
+    await assert.rejects(loadFirmwareFromUrl('https://example.com/app.hex', { fetch: fetchFn, sha256: sha(T40) }),
+        err => err instanceof FirmwareIntegrityError && err.actual === sha(T32));
+    await assert.rejects(loadFirmwareFromUrl('https://example.com/missing.hex', { fetch: fetchFn }), /HTTP 404/);
+});
+
+test('serves cached firmware by hash and falls back to the cache when offline', async () => {
+    const fetchFn = fakeFetch({ 'https://example.com/app.hex': T40 });
+    const cache = memoryCache();
+
+    const first = await loadFirmwareFromUrl('https://example.com/app.hex', { fetch: fetchFn, cache });
+    assert.equal(first.source.fromCache, false);
+    assert.ok(cache.map.has(sha(T40)) && cache.map.has('https://example.com/app.hex'));
+
+    const byHash = await loadFirmwareFromUrl('https://example.com/app.hex', { fetch: fetchFn, cache, sha256: sha(T40) });
+    assert.equal(byHash.source.fromCache, true);
+    assert.equal(fetchFn.requests.length, 1, 'no second download');
+
+    fetchFn.offline = true;
+    const offline = await loadFirmwareFromUrl('https://example.com/app.hex', { fetch: fetchFn, cache });
+    assert.equal(offline.source.fromCache, true);
+    assert.ok(Buffer.from(offline.data).equals(T40));
+    await assert.rejects(loadFirmwareFromUrl('https://example.com/other.hex', { fetch: fetchFn, cache }), /Failed to fetch/);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseSingleHexSession,
+    parseEhexFull,
+    finalizeBlocks
+} from '../Teensy-Loader.js';
+
+/**
+ * Builds one Intel HEX record with a correct checksum.
+ */
+function record(type, address, bytes = []) {
+    const body = [bytes.length, (address >> 8) & 0xff, address & 0xff, type, ...bytes];
+    const sum = (0x100 - (body.reduce((a, b) => a + b, 0) & 0xff)) & 0xff;
+    return ':' + [...body, sum].map(b => b.toString(16).padStart(2, '0').toUpperCase()).join('');
+}
+
+const EOF = ':00000001FF';
+
+test('parseSingleHexSession places data records into padded blocks', () => {
+    const text = [record(0x00, 0x0000, [1, 2, 3, 4]), record(0x00, 0x0010, [5, 6]), EOF].join('\n');
+    const blocks = parseSingleHexSession(text, 64, 0);
+
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].address, 0);
+    assert.equal(blocks[0].data.length, 64);
+    assert.deepEqual([...blocks[0].data.subarray(0, 4)], [1, 2, 3, 4]);
+    assert.equal(blocks[0].data[4], 0xff);
+    assert.deepEqual([...blocks[0].data.subarray(0x10, 0x12)], [5, 6]);
+});
+
+test('parseSingleHexSession splits a record across block boundaries', () => {
+    const text = [record(0x00, 0x003e, [0xa, 0xb, 0xc, 0xd]), EOF].join('\n');
+    const blocks = parseSingleHexSession(text, 64, 0);
+
+    assert.deepEqual(blocks.map(b => b.address), [0, 64]);
+    assert.deepEqual([...blocks[0].data.subarray(62)], [0xa, 0xb]);
+    assert.deepEqual([...blocks[1].data.subarray(0, 2)], [0xc, 0xd]);
+});
+
+test('parseSingleHexSession applies extended linear and segment addresses', () => {
+    const linear = [record(0x04, 0, [0x60, 0x00]), record(0x00, 0x0400, [7]), EOF].join('\n');
+    const linearBlocks = parseSingleHexSession(linear, 1024, 0x60000000);
+    assert.equal(linearBlocks[0].address, 0x60000400);
+    assert.equal(linearBlocks[0].data[0], 7);
+
+    const segment = [record(0x02, 0, [0x10, 0x00]), record(0x00, 0x0004, [9]), EOF].join('\n');
+    const segmentBlocks = parseSingleHexSession(segment, 1024, 0);
+    assert.equal(segmentBlocks[0].address, 0x10000);
+    assert.equal(segmentBlocks[0].data[4], 9);
+});
+
+test('parseSingleHexSession drops data below the offset', () => {
+    const text = [record(0x00, 0x0000, [1]), record(0x04, 0, [0x60, 0x00]), record(0x00, 0, [2]), EOF].join('\n');
+    const blocks = parseSingleHexSession(text, 1024, 0x60000000);
+
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].address, 0x60000000);
+    assert.equal(blocks[0].data[0], 2);
+});
+
+test('parseSingleHexSession stops at the first EOF record', () => {
+    const text = [record(0x00, 0, [1]), EOF, record(0x00, 0x0800, [2])].join('\n');
+    const blocks = parseSingleHexSession(text, 1024, 0);
+    assert.deepEqual(blocks.map(b => b.address), [0]);
+});
+
+test('parseSingleHexSession rejects malformed lines', () => {
+    assert.throws(() => parseSingleHexSession('00000001FF', 1024, 0), /missing ':'/);
+    assert.throws(() => parseSingleHexSession(':0400000001020304F0', 1024, 0), /Checksum error/);
+    assert.throws(() => parseSingleHexSession(':04000000010203', 1024, 0), /Line length mismatch/);
+});
+
+test('finalizeBlocks returns blocks sorted by real address', () => {
+    const map = new Map([[3, new Uint8Array(4)], [0, new Uint8Array(4)], [1, new Uint8Array(4)]]);
+    const blocks = finalizeBlocks(map, 4, 0x100);
+    assert.deepEqual(blocks.map(b => b.address), [0x100, 0x104, 0x10c]);
+});
+
+test('parseEhexFull splits main and loader images at the first EOF', async () => {
+    const main = [record(0x04, 0, [0x60, 0x00]), record(0x00, 0, [0x46, 0x43, 0x46, 0x42]), EOF];
+    const loader = [record(0x04, 0, [0x20, 0x20]), record(0x00, 0, [0xaa]), EOF];
+    const data = new TextEncoder().encode([...main, ...loader].join('\n'));
+
+    const { mainBlocks, loaderBlocks } = await parseEhexFull(data, 1024);
+    assert.deepEqual(mainBlocks.map(b => b.address), [0x60000000]);
+    assert.deepEqual(loaderBlocks.map(b => b.address), [0x20200000]);
+    assert.equal(loaderBlocks[0].data[0], 0xaa);
+});
+
+test('parseEhexFull treats a file without EOF as a single main image', async () => {
+    const data = new TextEncoder().encode([record(0x04, 0, [0x60, 0x00]), record(0x00, 0, [1])].join('\n'));
+    const { mainBlocks, loaderBlocks } = await parseEhexFull(data, 1024);
+    assert.equal(mainBlocks.length, 1);
+    assert.equal(loaderBlocks.length, 0);
+});
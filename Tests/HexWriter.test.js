@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    binaryToHex,
+    blocksToHex,
+    buildEhex,
+    hexToBinary,
+    mergeHexImages,
+    parseEhexFull,
+    parseHexSegments,
+    parseSingleHexSession
+} from '../Teensy-Loader.js';
+
+const T40 = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url), 'latin1');
+
+test('round-trips a Teensy 4 image through blocksToHex', () => {
+    const blocks = parseSingleHexSession(T40, 1024, 0x60000000);
+    const hex = blocksToHex(blocks);
+
+    assert.ok(hex.startsWith(':020000046000'), 'starts with an Extended Linear Address record');
+    assert.ok(hex.endsWith(':00000001FF\n'));
+    // Blocks that only hold 0xFF have no records left, everything else comes back as-is
+    const blank = b => b.data.every(x => x === 0xff);
+    assert.deepEqual(parseSingleHexSession(hex, 1024, 0x60000000), blocks.filter(b => !blank(b)));
+    assert.deepEqual(parseSingleHexSession(blocksToHex(blocks, { skipBlank: false }), 1024, 0x60000000), blocks);
+});
+
+test('writes records of the requested length without crossing 64 KB boundaries', () => {
+    const data = Uint8Array.from({ length: 40 }, (_, i) => i);
+    const hex = binaryToHex(data, 0xfff0, { recordLength: 32, startAddress: 0x60001000 });
+
+    assert.equal(hex, [
+        ':10FFF000000102030405060708090A0B0C0D0E0F89',
+        ':020000040001F9',
+        ':18000000101112131415161718191A1B1C1D1E1F202122232425262754',
+        ':040000056000100087',
+        ':00000001FF',
+        ''
+    ].join('\n'));
+    assert.deepEqual(hexToBinary(hex), { address: 0xfff0, data });
+    assert.throws(() => binaryToHex(data, 0, { recordLength: 256 }), /Invalid record length/);
+});
+
+test('leaves out blank records unless asked to keep them', () => {
+    const data = new Uint8Array(48).fill(0xff);
+    data[40] = 1;
+    assert.equal(binaryToHex(data).split('\n').length, 3);
+    assert.equal(binaryToHex(data, 0, { skipBlank: false }).split('\n').length, 5);
+});
+
+test('assembles EHEX that parseEhexFull splits back into main and loader', async () => {
+    const main = [{ address: 0x60000000, data: Uint8Array.of(1, 2, 3, 4) }];
+    const loader = [{ address: 0x20200000, data: Uint8Array.of(0xaa, 0xbb) }];
+    const ehex = buildEhex(main, loader);
+
+    const { mainBlocks, loaderBlocks } = await parseEhexFull(new TextEncoder().encode(ehex), 1024);
+    assert.deepEqual([...mainBlocks[0].data.subarray(0, 4)], [1, 2, 3, 4]);
+    assert.equal(loaderBlocks[0].address, 0x20200000);
+    assert.deepEqual([...loaderBlocks[0].data.subarray(0, 2)], [0xaa, 0xbb]);
+});
+
+test('merges hex files and reports conflicting overlaps', () => {
+    const boot = binaryToHex(Uint8Array.of(1, 2, 3, 4), 0x0000);
+    const app = binaryToHex(Uint8Array.of(9, 9), 0x0010);
+    const calibration = binaryToHex(Uint8Array.of(3, 4, 5), 0x0002);
+
+    const merged = mergeHexImages([boot, app, calibration]);
+    assert.deepEqual(merged.map(s => [s.address, [...s.data]]), [[0, [1, 2, 3, 4, 5]], [0x10, [9, 9]]]);
+
+    const clash = binaryToHex(Uint8Array.of(7), 0x0001);
+    assert.throws(() => mergeHexImages([{ name: 'boot.hex', hex: boot }, { name: 'cal.hex', hex: clash }]),
+        /boot\.hex and cal\.hex overlap with different data at 0x1-0x1/);
+    assert.deepEqual([...mergeHexImages([boot, clash], { onOverlap: 'replace' })[0].data], [1, 7, 3, 4]);
+});
+
+test('parseHexSegments keeps exact ranges and the start address', () => {
+    const { segments, startAddress } = parseHexSegments(T40);
+    const blocks = parseSingleHexSession(T40, 1024, 0x60000000);
+
+    assert.equal(segments[0].address, 0x60000000);
+    assert.equal(startAddress, 0x60001000);
+    const binary = hexToBinary(T40, { end: blocks[blocks.length - 1].address + 1024 });
+    assert.deepEqual(binary.data, Uint8Array.from(blocks.flatMap(b => [...b.data])));
+});
@@ -0,0 +1,163 @@
+/**
+ * MockDom.js
+ *
+ * Just enough DOM for Teensy-Loader-Element.js under Node: an HTMLElement with
+ * attributes (calling attributeChangedCallback for observed ones) and an open
+ * shadow root whose innerHTML becomes flat nodes for the tags the element looks up.
+ * Call installMockDom() before importing the element module.
+ */
+
+/**
+ * CustomEvent for runtimes without one (Node 18).
+ */
+class MockCustomEvent extends Event {
+    constructor(type, options = {}) {
+        super(type, options);
+        this.detail = options.detail ?? null;
+    }
+}
+
+/**
+ * Attribute handling shared by shadow root nodes and the custom element.
+ */
+class MockAttributes extends EventTarget {
+    constructor(tagName, attributes = {}) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map(Object.entries(attributes));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        this.attributes.set(name, String(value));
+        this.attributeChanged(name, oldValue, String(value));
+    }
+
+    removeAttribute(name) {
+        const oldValue = this.getAttribute(name);
+        this.attributes.delete(name);
+        this.attributeChanged(name, oldValue, null);
+    }
+
+    toggleAttribute(name, force = !this.hasAttribute(name)) {
+        if (force) this.setAttribute(name, '');
+        else this.removeAttribute(name);
+        return force;
+    }
+
+    attributeChanged(name, oldValue, newValue) {
+        const observed = this.constructor.observedAttributes || [];
+        if (observed.includes(name) && this.attributeChangedCallback) {
+            this.attributeChangedCallback(name, oldValue, newValue);
+        }
+    }
+
+    contains(node) {
+        return node === this;
+    }
+}
+
+/**
+ * A node of the shadow root with the properties the element sets or reads.
+ */
+export class MockNode extends MockAttributes {
+    constructor(tagName = 'div', attributes = {}) {
+        super(tagName, attributes);
+        this.textContent = '';
+        this.hidden = this.attributes.has('hidden');
+        this.disabled = this.attributes.has('disabled');
+        this.value = this.attributes.has('value') ? Number(this.attributes.get('value')) : '';
+        this.accept = '';
+        this.files = [];
+        this.clicks = 0;
+        this.scrollTop = 0;
+        this.scrollHeight = 0;
+        this.dataset = {};
+        for (const [name, value] of this.attributes) {
+            if (name.startsWith('data-')) this.dataset[name.slice(5)] = value;
+        }
+    }
+
+    click() {
+        this.clicks++;
+        this.dispatchEvent(new Event('click'));
+    }
+}
+
+/**
+ * Shadow root: innerHTML is split into one node per opening tag; querySelector
+ * supports '[part]', 'tag[attr="value"]' and '.class'.
+ */
+export class MockShadowRoot extends EventTarget {
+    constructor(host) {
+        super();
+        this.host = host;
+        this.nodes = [];
+    }
+
+    set innerHTML(html) {
+        const markup = html.replace(/<style>[\s\S]*?<\/style>/g, '');
+        this.nodes = [...markup.matchAll(/<([a-z][\w-]*)([^>]*)>/g)].map(([, tag, attributeText]) => {
+            const attributes = {};
+            for (const [, name, value] of attributeText.matchAll(/([\w-]+)(?:="([^"]*)")?/g)) {
+                attributes[name] = value ?? '';
+            }
+            return new MockNode(tag, attributes);
+        });
+    }
+
+    querySelectorAll(selector) {
+        const match = /^([a-z]*)(?:\[([\w-]+)(?:="([^"]*)")?\])?$/.exec(selector);
+        const className = selector.startsWith('.') ? selector.slice(1) : null;
+        return this.nodes.filter(node => {
+            if (className) return (node.getAttribute('class') || '').split(' ').includes(className);
+            const [, tag, name, value] = match;
+            if (tag && node.tagName !== tag.toUpperCase()) return false;
+            if (name && !node.hasAttribute(name)) return false;
+            return value === undefined || node.getAttribute(name) === value;
+        });
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+export class MockHTMLElement extends MockAttributes {
+    constructor() {
+        super('teensy-flasher');
+        this.shadowRoot = null;
+        this.isConnected = false;
+    }
+
+    attachShadow() {
+        this.shadowRoot = new MockShadowRoot(this);
+        return this.shadowRoot;
+    }
+}
+
+/**
+ * Defines HTMLElement, document and (where missing) CustomEvent on globalThis.
+ */
+export function installMockDom() {
+    globalThis.HTMLElement = MockHTMLElement;
+    globalThis.CustomEvent ??= MockCustomEvent;
+    globalThis.document = { baseURI: 'https://example.com/updater/' };
+}
+
+/**
+ * Attaches an element the way the browser does when it is inserted.
+ */
+export function connect(element) {
+    element.isConnected = true;
+    element.connectedCallback();
+    return element;
+}
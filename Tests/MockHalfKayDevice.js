@@ -0,0 +1,127 @@
+/**
+ * MockHalfKayDevice.js
+ *
+ * A simulated Teensy in HalfKay bootloader mode, implementing the WebHID
+ * HIDDevice interface used by TeensyFlasher. Reports are decoded with the
+ * board profile's header layout into an in-memory flash image that tests can
+ * compare byte-for-byte against the input firmware.
+ *
+ * Also contains a small reference Intel HEX reader, written independently of
+ * Teensy-Loader.js, to produce the expected image.
+ */
+
+export class MockHalfKayDevice {
+    /**
+     * @param {object} profile - Board profile (see TEENSY_BOARD_PROFILES)
+     * @param {object} [options]
+     * @param {(call: number, data: Uint8Array) => boolean} [options.failWhen]
+     *        Return true to make the sendReport call with that index (0-based) throw.
+     */
+    constructor(profile, { failWhen = null } = {}) {
+        this.profile = profile;
+        this.failWhen = failWhen;
+
+        this.vendorId = 0x16c0;
+        this.productId = 0x0478;
+        this.productName = `Mock ${profile.name}`;
+        this.collections = [{ usagePage: 0xff9c, usage: profile.usage }];
+
+        this.flash = new Uint8Array(profile.flashSize).fill(0xff);
+        this.opened = false;
+        this.erased = false;
+        this.rebooted = false;
+        this.calls = 0;        // sendReport calls, including failed ones
+        this.writes = [];      // { address, length } for every block accepted
+        this.errors = [];      // protocol errors seen by the "bootloader"
+        this.openCount = 0;
+        this.closeCount = 0;
+    }
+
+    async open() {
+        if (this.rebooted) throw new Error('Device is gone');
+        this.opened = true;
+        this.openCount++;
+    }
+
+    async close() {
+        this.opened = false;
+        this.closeCount++;
+    }
+
+    /**
+     * Decodes one HalfKay report: address header + block data, or the
+     * 0xFF 0xFF 0xFF reboot request.
+     * @param {number} reportId
+     * @param {Uint8Array} data
+     */
+    async sendReport(reportId, data) {
+        const call = this.calls++;
+        if (!this.opened) throw new Error('Device is not open');
+        if (this.failWhen && this.failWhen(call, data)) {
+            throw new Error(`Injected failure on report ${call}`);
+        }
+
+        const { headerSize, blockSize, addressBytes, addressShift } = this.profile;
+        if (reportId !== 0 || data.length !== headerSize + blockSize) {
+            this.errors.push(`Bad report: id ${reportId}, ${data.length} bytes`);
+            throw new Error('Report rejected');
+        }
+
+        let headerAddr = 0;
+        for (let i = 0; i < addressBytes; i++) {
+            headerAddr += data[i] * 2 ** (8 * i);
+        }
+        if (data[0] === 0xff && data[1] === 0xff && data[2] === 0xff) {
+            this.rebooted = true;
+            return;
+        }
+
+        const address = headerAddr * 2 ** addressShift;
+        if (address % blockSize !== 0 || address + blockSize > this.flash.length) {
+            this.errors.push(`Write outside flash at 0x${address.toString(16)}`);
+            throw new Error('Report rejected');
+        }
+
+        // Like HalfKay, the first write erases the whole chip
+        if (!this.erased) {
+            this.flash.fill(0xff);
+            this.erased = true;
+        }
+        this.flash.set(data.subarray(headerSize), address);
+        this.writes.push({ address, length: blockSize });
+    }
+}
+
+/**
+ * Builds the expected flash contents of a board from Intel HEX text.
+ * Addresses are made relative to profile.addressOffset.
+ *
+ * @param {string} hexText
+ * @param {object} profile
+ * @returns {Uint8Array}
+ */
+export function hexToFlashImage(hexText, profile) {
+    const image = new Uint8Array(profile.flashSize).fill(0xff);
+    let base = 0;
+
+    for (const raw of hexText.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+        const bytes = Buffer.from(line.slice(1), 'hex');
+        const length = bytes[0];
+        const address = (bytes[1] << 8) | bytes[2];
+        const type = bytes[3];
+        const payload = bytes.subarray(4, 4 + length);
+
+        if (type === 0x00) {
+            image.set(payload, base + address - profile.addressOffset);
+        } else if (type === 0x01) {
+            break;
+        } else if (type === 0x02) {
+            base = ((payload[0] << 8) | payload[1]) * 16;
+        } else if (type === 0x04) {
+            base = ((payload[0] << 8) | payload[1]) * 0x10000;
+        }
+    }
+    return image;
+}
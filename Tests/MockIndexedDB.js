@@ -0,0 +1,88 @@
+/**
+ * MockIndexedDB.js
+ *
+ * An in-memory IDBFactory stand-in with the parts FirmwareCache uses: open()
+ * with onupgradeneeded, one object store per database, get / put / delete /
+ * clear / openCursor requests and a transaction oncomplete once they are done.
+ * Requests complete on a later macrotask, like the real thing.
+ */
+
+export class MockIndexedDB {
+    constructor() {
+        this.databases = new Map();   // name => MockDatabase
+    }
+
+    open(name) {
+        const request = {};
+        setTimeout(() => {
+            let db = this.databases.get(name);
+            const created = !db;
+            if (created) {
+                db = new MockDatabase();
+                this.databases.set(name, db);
+            }
+            request.result = db;
+            if (created && request.onupgradeneeded) request.onupgradeneeded();
+            request.onsuccess();
+        }, 0);
+        return request;
+    }
+}
+
+class MockDatabase {
+    constructor() {
+        this.stores = new Map();      // store name => Map<key, value>
+    }
+
+    createObjectStore(name) {
+        this.stores.set(name, new Map());
+    }
+
+    transaction(name) {
+        return new MockTransaction(this.stores.get(name));
+    }
+}
+
+class MockTransaction {
+    constructor(records) {
+        this.records = records;
+        this.pending = 0;
+        this.oncomplete = null;
+        this.onerror = null;
+    }
+
+    objectStore() {
+        const records = this.records;
+        return {
+            get: key => this.request(() => records.get(key)),
+            put: (value, key) => this.request(() => records.set(key, value) && key),
+            delete: key => this.request(() => records.delete(key) && undefined),
+            clear: () => this.request(() => records.clear()),
+            openCursor: () => this.cursor([...records])
+        };
+    }
+
+    /**
+     * Runs `operation` on a later tick and reports its result through the request.
+     */
+    request(operation, request = {}) {
+        this.pending++;
+        setTimeout(() => {
+            request.result = operation();
+            if (request.onsuccess) request.onsuccess();
+            if (--this.pending === 0 && this.oncomplete) this.oncomplete();
+        }, 0);
+        return request;
+    }
+
+    cursor(entries) {
+        const request = {};
+        let index = 0;
+        const step = () => {
+            if (index >= entries.length) return null;
+            const [key, value] = entries[index++];
+            return { key, value, continue: () => this.request(step, request) };
+        };
+        return this.request(step, request);
+    }
+}
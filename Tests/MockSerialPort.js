@@ -0,0 +1,62 @@
+/**
+ * MockSerialPort.js
+ *
+ * A Web Serial SerialPort stand-in for tests. Bytes pushed with receive()
+ * come out of `readable`; bytes written to `writable` are collected in `written`.
+ */
+
+export class MockSerialPort {
+    constructor(info = { usbVendorId: 0x16c0, usbProductId: 0x0483 }) {
+        this.info = info;
+        this.readable = null;
+        this.writable = null;
+        this.written = [];
+        this.signals = [];
+        this.openOptions = null;
+        this.controller = null;
+        this.onWrite = null;   // optional (text) => void, e.g. to answer commands
+    }
+
+    getInfo() {
+        return { ...this.info };
+    }
+
+    async open(options) {
+        if (this.readable) throw new Error('Port is already open');
+        this.openOptions = options;
+        this.readable = new ReadableStream({
+            start: controller => { this.controller = controller; }
+        });
+        this.writable = new WritableStream({
+            write: chunk => {
+                this.written.push(new Uint8Array(chunk));
+                if (this.onWrite) this.onWrite(new TextDecoder().decode(chunk));
+            }
+        });
+    }
+
+    async close() {
+        if (this.readable && this.readable.locked) throw new Error('Readable is locked');
+        this.readable = null;
+        this.writable = null;
+    }
+
+    async setSignals(signals) {
+        this.signals.push(signals);
+    }
+
+    /**
+     * Simulates data arriving from the device.
+     * @param {string|Uint8Array} data
+     */
+    receive(data) {
+        this.controller.enqueue(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+    }
+
+    /**
+     * Everything written so far, decoded as text.
+     */
+    writtenText() {
+        return this.written.map(chunk => new TextDecoder().decode(chunk)).join('');
+    }
+}
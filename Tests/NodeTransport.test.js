@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NodeHidTransport } from '../Teensy-Loader-Node.js';
+
+/**
+ * node-hid stand-in: devicesAsync() lists `infos`.
+ */
+function fakeHid(infos) {
+    return { infos, devicesAsync: async () => [...infos] };
+}
+
+const halfKayInfo = { path: '/dev/hidraw1', vendorId: 0x16c0, productId: 0x0478, usagePage: 0xff9c, usage: 0x24, serialNumber: '00123456' };
+const keyboardInfo = { path: '/dev/hidraw2', vendorId: 0x16c0, productId: 0x0482 };
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('reports a listed device that goes away before the first poll', async () => {
+    const HID = fakeHid([halfKayInfo]);
+    const hid = new NodeHidTransport(HID);
+    const [device] = await hid.getDevices();
+
+    const disconnected = [];
+    const onDisconnect = event => disconnected.push(event.device);
+    hid.addEventListener('disconnect', onDisconnect);
+    HID.infos.length = 0;   // rebooted right after the listener was added
+    await settle();
+    hid.removeEventListener('disconnect', onDisconnect);
+
+    assert.deepEqual(disconnected, [device]);
+});
+
+test('requestDevice does not match devices that lack a filtered property', async () => {
+    const hid = new NodeHidTransport(fakeHid([halfKayInfo, keyboardInfo]));
+
+    const devices = await hid.requestDevice({ filters: [{ vendorId: 0x16c0, usagePage: 0xff9c }] });
+    assert.deepEqual(devices.map(d => d.path), ['/dev/hidraw1']);
+    assert.equal((await hid.requestDevice({ filters: [{ vendorId: 0x16c0 }] })).length, 2);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SerialLog, SerialPortManager } from '../Teensy-Loader.js';
+import { MockSerialPort } from './MockSerialPort.js';
+
+/**
+ * Clock that advances one second per call, starting at 2024-01-01T00:00:00Z.
+ */
+function steppingClock() {
+    let now = Date.UTC(2024, 0, 1);
+    return () => (now += 1000) - 1000;
+}
+
+test('drops the oldest entries once capacity is reached', () => {
+    const log = new SerialLog({ capacity: 3 });
+    for (let i = 1; i <= 5; i++) log.add('rx', `line ${i}`);
+
+    assert.equal(log.length, 3);
+    assert.equal(log.dropped, 2);
+    assert.deepEqual(log.entries().map(e => e.text), ['line 3', 'line 4', 'line 5']);
+});
+
+test('filters by pattern and direction and applies highlight rules', () => {
+    const log = new SerialLog();
+    log.addHighlight(/error/i, 'error');
+    log.add('status', 'flash: write');
+    log.add('rx', 'boot ok');
+    log.add('rx', 'ERROR: sensor missing');
+    log.add('tx', 'RESET');
+
+    assert.deepEqual(log.entries({ direction: 'rx' }).map(e => e.text), ['boot ok', 'ERROR: sensor missing']);
+    assert.deepEqual(log.entries({ include: /o/, exclude: /boot/ }).map(e => e.text), ['ERROR: sensor missing']);
+    assert.deepEqual(log.entries().map(e => e.highlights), [[], [], ['error'], []]);
+});
+
+test('exports text, CSV and JSON Lines', () => {
+    const log = new SerialLog({ clock: steppingClock() });
+    log.add('rx', 'temp=21,5');
+    log.add('tx', 'say "hi"');
+
+    assert.equal(log.export('text'),
+        '2024-01-01T00:00:00.000Z rx     temp=21,5\n'
+        + '2024-01-01T00:00:01.000Z tx     say "hi"\n');
+    assert.equal(log.export('csv'),
+        'time,direction,text,highlights\n'
+        + '2024-01-01T00:00:00.000Z,rx,"temp=21,5",\n'
+        + '2024-01-01T00:00:01.000Z,tx,"say ""hi""",\n');
+    assert.deepEqual(log.export('jsonl').trim().split('\n').map(line => JSON.parse(line)), [
+        { time: '2024-01-01T00:00:00.000Z', direction: 'rx', text: 'temp=21,5', highlights: [] },
+        { time: '2024-01-01T00:00:01.000Z', direction: 'tx', text: 'say "hi"', highlights: [] }
+    ]);
+    assert.throws(() => log.export('xml'), /Unknown log export format/);
+});
+
+test('records flash events as status entries, skipping block progress', () => {
+    const log = new SerialLog();
+    const onEvent = log.addFlashEvent;
+    onEvent({ type: 'phase', phase: 'erase', elapsed: 0 });
+    onEvent({ type: 'block', address: 0, blocksSent: 1, elapsed: 5 });
+    onEvent({ type: 'retry', attempt: 1, maxRetries: 5, address: 0x400, error: 'stall', elapsed: 9 });
+    onEvent({ type: 'done', outcome: 'rebooted', blocksSent: 2, bytesSent: 2048, elapsed: 120 });
+
+    assert.deepEqual(log.entries().map(e => [e.direction, e.text]), [
+        ['status', 'flash: erase'],
+        ['status', 'flash: retry 1/5 at 0x400: stall'],
+        ['status', 'flash: done (rebooted), 2 blocks, 2048 bytes in 120 ms']
+    ]);
+});
+
+test('SerialPortManager logs received lines, writes and open / close', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    const log = new SerialLog();
+    manager.log = log;
+    port.onWrite = text => {
+        if (text === 'VERSION?\n') setTimeout(() => port.receive('v1.2\n'), 5);
+    };
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    assert.equal(await manager.sendCommand('VERSION?'), 'v1.2');
+    await manager.closeSerialPort();
+
+    assert.deepEqual(log.entries().map(e => [e.direction, e.text]), [
+        ['status', 'serial opened (text, 115200 baud)'],
+        ['tx', 'VERSION?'],
+        ['rx', 'v1.2'],
+        ['status', 'serial closed']
+    ]);
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SerialPortManager } from '../Teensy-Loader.js';
+import { MockSerialPort } from './MockSerialPort.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('delivers trimmed lines and flushes a partial line on close', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    const lines = [];
+    manager.onData = line => lines.push(line);
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    port.receive('hello\r\nwor');
+    port.receive('ld\r\npartial');
+    await tick();
+    assert.deepEqual(lines, ['hello', 'world']);
+
+    await manager.closeSerialPort();
+    assert.deepEqual(lines, ['hello', 'world', 'partial']);
+    assert.equal(manager.serialPort, null);
+    assert.equal(port.readable, null, 'port was closed');
+});
+
+test('splits on carriage returns when lineEnding is cr', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    const lines = [];
+    manager.onData = line => lines.push(line);
+    manager.lineEnding = 'cr';
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    port.receive('a\rb\r');
+    await tick();
+    await manager.closeSerialPort();
+    assert.deepEqual(lines, ['a', 'b']);
+});
+
+test('writes strings, bytes and lines with the chosen terminator', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    manager.lineEnding = 'crlf';
+    await Promise.all([
+        manager.write('AT'),
+        manager.write(new Uint8Array([0x01, 0x02])),
+        manager.writeLine('VERSION?')
+    ]);
+    await manager.closeSerialPort();
+
+    assert.equal(port.writtenText(), 'AT\x01\x02VERSION?\r\n');
+});
+
+test('passes control signals to the port', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    await manager.setSignals({ dataTerminalReady: false, requestToSend: true });
+    await manager.closeSerialPort();
+
+    assert.deepEqual(port.signals, [{ dataTerminalReady: false, requestToSend: true }]);
+});
+
+test('binary mode delivers raw chunks', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    const chunks = [];
+    manager.onData = chunk => chunks.push(chunk);
+
+    await manager.openSerialPort({ baudRate: 115200 }, port, { mode: 'binary' });
+    port.receive(new Uint8Array([0x00, 0xff, 0x0a]));
+    await tick();
+    await manager.closeSerialPort();
+
+    assert.equal(chunks.length, 1);
+    assert.ok(chunks[0] instanceof Uint8Array);
+    assert.deepEqual([...chunks[0]], [0x00, 0xff, 0x0a]);
+    assert.equal(port.readable, null, 'port was closed');
+});
+
+test('write fails when no port is open', async () => {
+    await assert.rejects(new SerialPortManager().write('x'), /No serial port is open/);
+});
+
+test('sendCommand resolves with the matching response and routes other lines to onData', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    const unsolicited = [];
+    manager.onData = line => unsolicited.push(line);
+    port.onWrite = text => {
+        if (text === 'VERSION?\n') setTimeout(() => port.receive('tick 1\nv2.3.1\n'), 5);
+    };
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    const version = await manager.sendCommand('VERSION?', { expect: /^v\d+/ });
+    await manager.closeSerialPort();
+
+    assert.equal(version, 'v2.3.1');
+    assert.deepEqual(unsolicited, ['tick 1']);
+});
+
+test('sendCommand queues concurrent commands in order', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    const order = [];
+    port.onWrite = text => {
+        order.push(text.trim());
+        const answer = { 'A?': 'A=1', 'B?': 'B=2' }[text.trim()];
+        setTimeout(() => port.receive(`${answer}\n`), 5);
+    };
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    const [a, b] = await Promise.all([
+        manager.sendCommand('A?', { expect: 'A=' }),
+        manager.sendCommand('B?', { expect: 'B=' })
+    ]);
+    await manager.closeSerialPort();
+
+    assert.deepEqual([a, b], ['A=1', 'B=2']);
+    assert.deepEqual(order, ['A?', 'B?']);
+});
+
+test('sendCommand rejects on timeout and the next command still runs', async () => {
+    const port = new MockSerialPort();
+    const manager = new SerialPortManager();
+    port.onWrite = text => {
+        if (text === 'PING\n') setTimeout(() => port.receive('PONG\n'), 5);
+    };
+
+    await manager.openSerialPort({ baudRate: 115200 }, port);
+    await assert.rejects(manager.sendCommand('SELFTEST', { expect: 'OK', timeout: 30 }), /timed out/);
+    assert.equal(await manager.sendCommand('PING'), 'PONG');
+    await manager.closeSerialPort();
+});
@@ -0,0 +1,229 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    TeensyDeviceManager,
+    FirmwareFile,
+    normalizeTeensySerialNumber,
+    getBoardProfile
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice } from './MockHalfKayDevice.js';
+import { MockSerialPort } from './MockSerialPort.js';
+
+/**
+ * navigator.hid / navigator.serial stand-in: a device list plus plug() / unplug()
+ * that dispatch connect / disconnect events like the browser does.
+ */
+class FakeTransport extends EventTarget {
+    constructor(property, items = []) {
+        super();
+        this.property = property;
+        this.items = [...items];
+        this.requested = [];
+    }
+
+    async getDevices() {
+        return [...this.items];
+    }
+
+    async getPorts() {
+        return [...this.items];
+    }
+
+    async requestDevice() {
+        return this.requested;
+    }
+
+    plug(item) {
+        this.items.push(item);
+        this.fire('connect', item);
+    }
+
+    unplug(item) {
+        this.items = this.items.filter(other => other !== item);
+        this.fire('disconnect', item);
+    }
+
+    fire(type, item) {
+        const event = new Event(type);
+        event[this.property] = item;
+        this.dispatchEvent(event);
+    }
+}
+
+function halfKay(id, serialNumber) {
+    const device = new MockHalfKayDevice(getBoardProfile(id));
+    device.serialNumber = serialNumber;
+    return device;
+}
+
+function sketchPort(serialNumber) {
+    const port = new MockSerialPort();
+    port.serialNumber = serialNumber;
+    return port;
+}
+
+test('normalizes HalfKay and sketch serial numbers to the same value', () => {
+    assert.equal(normalizeTeensySerialNumber('00123456', true), String(0x123456 * 10));
+    assert.equal(normalizeTeensySerialNumber('00A1B2C3', true), String(0xa1b2c3));
+    assert.equal(normalizeTeensySerialNumber('0x01000000', true), String(0x01000000));
+    assert.equal(normalizeTeensySerialNumber('12345670'), '12345670');
+    assert.equal(normalizeTeensySerialNumber(''), null);
+    assert.equal(normalizeTeensySerialNumber(undefined, true), null);
+});
+
+test('lists granted devices and resolves their board models', async () => {
+    const hid = new FakeTransport('device', [halfKay('teensy41', '00123456'), { vendorId: 0x046d, productId: 1 }]);
+    const serial = new FakeTransport('port', [sketchPort('9876540')]);
+    const manager = new TeensyDeviceManager({ hid, serial });
+
+    const devices = await manager.start();
+    manager.stop();
+
+    assert.equal(devices.length, 2);
+    const [boot, app] = devices;
+    assert.equal(boot.mode, 'bootloader');
+    assert.equal(boot.board.id, 'teensy41');
+    assert.equal(boot.serialNumber, String(0x123456 * 10));
+    assert.equal(boot.label, `Teensy 4.1 #${0x123456 * 10} (bootloader)`);
+    assert.equal(app.mode, 'application');
+    assert.equal(app.board, null, 'a sketch alone does not name its board');
+    assert.equal(manager.getDevices({ mode: 'bootloader' }).length, 1);
+});
+
+test('follows a board from its sketch into the bootloader and back by serial number', async () => {
+    const hid = new FakeTransport('device');
+    const serial = new FakeTransport('port');
+    const manager = new TeensyDeviceManager({ hid, serial, knownBoards: { 11930460: 'teensymm' } });
+    const events = [];
+    manager.onEvent = event => events.push([event.type, event.device.mode, event.previousMode ?? null]);
+    await manager.start();
+
+    const port = sketchPort('11930460');          // 0x123456 * 10
+    serial.plug(port);
+    assert.equal(manager.findByInterface(port).board.id, 'teensymm', 'model from a previous session');
+
+    // 134 baud reboot: the sketch goes away and HalfKay shows up
+    serial.unplug(port);
+    const bootloader = halfKay('teensy40', '00123456');
+    hid.plug(bootloader);
+    const entry = manager.findBySerialNumber('11930460');
+    assert.equal(entry.hidDevice, bootloader);
+    assert.equal(entry.board.id, 'teensy40');
+
+    // Flashed: back to the sketch, which now inherits the model
+    hid.unplug(bootloader);
+    const again = sketchPort('11930460');
+    serial.plug(again);
+    manager.stop();
+
+    assert.equal(manager.findByInterface(again).board.id, 'teensy40');
+    assert.equal(manager.knownBoards.get('11930460'), 'teensy40');
+    assert.deepEqual(events, [
+        ['connect', 'application', null],
+        ['disconnect', 'application', null],
+        ['connect', 'bootloader', 'application'],
+        ['disconnect', 'bootloader', null],
+        ['connect', 'application', 'bootloader']
+    ]);
+});
+
+test('merges interfaces of one board and keeps unnamed devices apart', async () => {
+    const hid = new FakeTransport('device');
+    const serial = new FakeTransport('port');
+    const manager = new TeensyDeviceManager({ hid, serial });
+    const events = [];
+    manager.onEvent = event => events.push(event.type);
+    await manager.start();
+
+    const rawHid = { vendorId: 0x16c0, productId: 0x0486, productName: 'Teensyduino RawHID', serialNumber: '5550' };
+    const port = sketchPort('5550');
+    hid.plug(rawHid);
+    serial.plug(port);
+    assert.equal(manager.getDevices().length, 1);
+    serial.unplug(port);
+    assert.equal(manager.findBySerialNumber('5550').hidDevice, rawHid);
+
+    // Without serial numbers (browsers) every interface is its own board
+    hid.plug(halfKay('teensy32'));
+    hid.plug(halfKay('teensy32'));
+    manager.stop();
+
+    assert.deepEqual(events, ['connect', 'change', 'change', 'connect', 'connect']);
+    assert.deepEqual(manager.getDevices().map(d => d.key), ['5550', 'hid-1', 'hid-2']);
+});
+
+test('keeps mode and product ID with the interfaces a board has left', async () => {
+    const hid = new FakeTransport('device');
+    const serial = new FakeTransport('port');
+    const manager = new TeensyDeviceManager({ hid, serial });
+    await manager.start();
+
+    const port = sketchPort('5550');
+    const rawHid = { vendorId: 0x16c0, productId: 0x0486, productName: 'Teensyduino RawHID', serialNumber: '5550' };
+    serial.plug(port);
+    hid.plug(rawHid);
+    assert.equal(manager.findBySerialNumber('5550').productId, 0x0486);
+    hid.unplug(rawHid);
+    manager.stop();
+
+    const entry = manager.findBySerialNumber('5550');
+    assert.equal(entry.productId, 0x0483, 'back to the serial port\'s product ID');
+    assert.equal(entry.mode, 'application');
+});
+
+test('pairs boards without serial numbers across a reboot', async () => {
+    const hid = new FakeTransport('device');
+    const serial = new FakeTransport('port');
+    const manager = new TeensyDeviceManager({ hid, serial });
+    const events = [];
+    manager.onEvent = event => events.push([event.type, event.device.key, event.previousMode ?? null]);
+    await manager.start();
+
+    // Browser: no serial numbers on either side
+    const port = sketchPort();
+    serial.plug(port);
+    serial.unplug(port);
+    const bootloader = halfKay('teensy41');
+    hid.plug(bootloader);
+    assert.equal(manager.findByInterface(bootloader).key, 'serial-1');
+
+    hid.unplug(bootloader);
+    const again = sketchPort();
+    serial.plug(again);
+    assert.equal(manager.findByInterface(again).board.id, 'teensy41', 'the sketch inherits the model');
+
+    // Two boards going away at once can't be told apart
+    const other = sketchPort();
+    serial.plug(other);
+    serial.unplug(again);
+    serial.unplug(other);
+    const next = halfKay('teensy40');
+    hid.plug(next);
+    manager.stop();
+
+    assert.equal(manager.findByInterface(next).key, 'hid-3');
+    assert.deepEqual(events.slice(0, 5), [
+        ['connect', 'serial-1', null],
+        ['disconnect', 'serial-1', null],
+        ['connect', 'serial-1', 'application'],
+        ['disconnect', 'serial-1', null],
+        ['connect', 'serial-1', 'bootloader']
+    ]);
+});
+
+test('requested devices come back with a profile FirmwareFile can build for', async () => {
+    const hid = new FakeTransport('device');
+    hid.requested = [halfKay('teensy40', '00000001')];
+    const manager = new TeensyDeviceManager({ hid, serial: null });
+
+    const [teensy] = await manager.requestDevice();
+    const hex = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+    const blocks = await new FirmwareFile(hex, 'blink.hex', teensy.board).buildBlocks();
+
+    assert.equal(teensy.board.id, 'teensy40');
+    assert.equal(blocks.board.id, 'teensy40');
+    assert.equal(blocks.validation.valid, true);
+    await assert.rejects(new TeensyDeviceManager({ hid: null, serial: null }).requestDevice(), /WebHID/);
+});
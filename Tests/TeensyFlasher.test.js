@@ -0,0 +1,507 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    FirmwareFile,
+    TeensyFlasher,
+    SerialPortManager,
+    FirmwareValidationError,
+    FlashInterruptedError,
+    crc32,
+    TEENSY_BOARD_PROFILES,
+    getBoardProfile,
+    getBoardProfileForDevice
+} from '../Teensy-Loader.js';
+import { MockHalfKayDevice, hexToFlashImage } from './MockHalfKayDevice.js';
+import { MockSerialPort } from './MockSerialPort.js';
+
+const BLINK_FILES = {
+    teensy2: 'blink_slow_Teensy2.hex',
+    teensypp2: 'blink_slow_Teensy2pp.hex',
+    teensy30: 'blink_slow_Teensy30.hex',
+    teensy32: 'blink_slow_Teensy32.hex',
+    teensy35: 'blink_slow_Teensy35.hex',
+    teensylc: 'blink_slow_TeensyLC.hex',
+    teensy36: 'blink_slow_Teensy36.hex',
+    teensy40: 'blink_slow_Teensy40.hex',
+    teensy41: 'blink_slow_Teensy41.hex',
+    teensymm: 'blink_slow_TeensyMM.hex'
+};
+
+function readBlink(id) {
+    return readFileSync(new URL(`../Firmware/${BLINK_FILES[id]}`, import.meta.url));
+}
+
+/**
+ * Profile copy without erase / block delays so the suite runs quickly.
+ */
+function fastProfile(id) {
+    return { ...getBoardProfile(id), eraseDelay: 0, blockDelay: 0 };
+}
+
+async function buildBlink(id) {
+    const profile = fastProfile(id);
+    const blocks = await new FirmwareFile(readBlink(id), BLINK_FILES[id], profile).buildBlocks();
+    return { profile, blocks };
+}
+
+for (const { id } of TEENSY_BOARD_PROFILES) {
+    test(`flashes ${BLINK_FILES[id]} byte-for-byte onto a mock ${id}`, async () => {
+        const { profile, blocks } = await buildBlink(id);
+        const device = new MockHalfKayDevice(profile);
+
+        await new TeensyFlasher().flashFirmware(blocks, device);
+
+        const expected = hexToFlashImage(readBlink(id).toString('latin1'), profile);
+        assert.deepEqual(device.errors, []);
+        assert.ok(device.rebooted, 'reboot report was sent');
+        assert.equal(device.opened, false, 'device was closed');
+        assert.ok(Buffer.from(device.flash).equals(Buffer.from(expected)), 'flash image matches the hex file');
+    });
+}
+
+test('mock device resolves to its board profile', () => {
+    for (const profile of TEENSY_BOARD_PROFILES) {
+        assert.equal(getBoardProfileForDevice(new MockHalfKayDevice(profile)).id, profile.id);
+    }
+});
+
+test('encodes addresses near the top of Teensy 4.x flash without truncation errors', async () => {
+    const profile = fastProfile('teensymm');
+    const lastBlock = 0x60000000 + profile.flashSize - profile.blockSize;
+    const data = new Uint8Array(profile.blockSize).fill(0x5a);
+    const blocks = {
+        mainBlocks: [{ address: 0x60000000, data: new Uint8Array(profile.blockSize) }, { address: lastBlock, data }],
+        loaderBlocks: [],
+        board: profile,
+        validation: { valid: true, errors: [], warnings: [] }
+    };
+    const device = new MockHalfKayDevice(profile);
+
+    await new TeensyFlasher().flashFirmware(blocks, device);
+
+    assert.deepEqual(device.writes.map(w => w.address), [0, profile.flashSize - profile.blockSize]);
+    assert.equal(device.flash[profile.flashSize - 1], 0x5a);
+});
+
+test('retries failed reports and reports each retry', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const device = new MockHalfKayDevice(profile, { failWhen: call => call === 1 || call === 2 });
+    const retries = [];
+
+    await new TeensyFlasher().flashFirmware(blocks, device, null, {
+        onEvent: event => { if (event.type === 'retry') retries.push(event.attempt); }
+    });
+
+    assert.deepEqual(retries, [1, 2]);
+    const expected = hexToFlashImage(readBlink('teensy40').toString('latin1'), profile);
+    assert.ok(Buffer.from(device.flash).equals(Buffer.from(expected)));
+});
+
+test('reportRetries sets the attempts per report and the maxRetries it reports', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const device = new MockHalfKayDevice(profile, { failWhen: call => call === 1 || call === 2 });
+    const retries = [];
+
+    await assert.rejects(new TeensyFlasher().flashFirmware(blocks, device, null, {
+        reportRetries: 2,
+        onEvent: event => { if (event.type === 'retry') retries.push([event.attempt, event.maxRetries]); }
+    }), /Block upload failed at address=0x/);
+
+    assert.deepEqual(retries, [[1, 2], [2, 2]]);
+});
+
+test('gives up after repeated failures and still closes the device', async () => {
+    const { profile, blocks } = await buildBlink('teensy32');
+    const device = new MockHalfKayDevice(profile, { failWhen: call => call >= 3 });
+
+    await assert.rejects(new TeensyFlasher().flashFirmware(blocks, device), /Block upload failed at address=0x/);
+    assert.equal(device.opened, false);
+    assert.equal(device.rebooted, false);
+});
+
+/**
+ * navigator.hid stand-in listing `devices`; unplug() removes one and, unless
+ * `silent`, dispatches 'disconnect' like a pulled cable.
+ */
+class FakeHid extends EventTarget {
+    constructor(devices) {
+        super();
+        this.devices = devices;
+    }
+
+    async getDevices() {
+        return [...this.devices];
+    }
+
+    unplug(device, { silent = false } = {}) {
+        this.devices = this.devices.filter(d => d !== device);
+        if (silent) return;
+        const event = new Event('disconnect');
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+}
+
+/**
+ * Web Serial stand-in: plug() announces a port like navigator.serial does.
+ */
+class FakeSerial extends EventTarget {
+    plug(port) {
+        const event = new Event('connect');
+        event.port = port;
+        this.dispatchEvent(event);
+    }
+}
+
+/**
+ * Runs `onReboot` once the device has taken the reboot report.
+ */
+function afterReboot(device, onReboot) {
+    const send = device.sendReport.bind(device);
+    device.sendReport = async (reportId, data) => {
+        await send(reportId, data);
+        if (device.rebooted) setTimeout(onReboot, 0);
+    };
+}
+
+test('attributes a reboot only to the flashed device and its own serial port', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const device = new MockHalfKayDevice(profile);
+    device.serialNumber = '00123456';
+    const hid = new FakeHid([device]);
+    const serial = new FakeSerial();
+    const other = new MockHalfKayDevice(profile);
+    const otherPort = new MockSerialPort();
+    otherPort.serialNumber = '5550';
+    const ownPort = new MockSerialPort();
+    ownPort.serialNumber = String(0x123456 * 10);
+    afterReboot(device, () => {
+        serial.plug(new MockSerialPort({}));   // no vendor ID, no serial number
+        serial.plug(otherPort);
+        hid.unplug(other);
+        serial.plug(ownPort);
+    });
+    const serialManager = new SerialPortManager();
+
+    const result = await new TeensyFlasher({ hid, serial }).flashFirmware(blocks, device, null, {
+        serialManager,
+        rebootTimeout: 1000
+    });
+    await serialManager.closeSerialPort();
+
+    assert.equal(result.outcome, 'rebooted');
+    assert.equal(result.serialOpened, true);
+    assert.equal(ownPort.openOptions.baudRate, 115200);
+    assert.equal(otherPort.openOptions, null);
+});
+
+test('another board coming back does not count as a reboot', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const device = new MockHalfKayDevice(profile);
+    device.serialNumber = '00000001';
+    const other = new MockHalfKayDevice(profile);
+    const hid = new FakeHid([device, other]);
+    const serial = new FakeSerial();
+    const port = new MockSerialPort();
+    port.serialNumber = '5550';
+    afterReboot(device, () => {
+        hid.unplug(other);
+        serial.plug(port);
+    });
+
+    const result = await new TeensyFlasher({ hid, serial }).flashFirmware(blocks, device, null, { rebootTimeout: 50 });
+    assert.equal(result.outcome, 'timed-out');
+});
+
+test('enterBootloader stops waiting for HalfKay when the reboot request fails', async () => {
+    const hid = new FakeHid([]);
+    const listeners = [];
+    hid.addEventListener = (type, listener) => listeners.push(listener);
+    hid.removeEventListener = (type, listener) => listeners.splice(listeners.indexOf(listener), 1);
+    const serialManager = { rebootToBootloader: async () => { throw new Error('No port selected'); } };
+    const flasher = new TeensyFlasher({ hid });
+
+    await assert.rejects(flasher.enterBootloader(serialManager, { timeout: 60000 }), /No port selected/);
+    assert.equal(listeners.length, 0, 'connect listener removed');
+
+    // A reboot that goes through finds the bootloader
+    const device = new MockHalfKayDevice(fastProfile('teensy40'));
+    serialManager.rebootToBootloader = async () => { hid.devices.push(device); };
+    assert.equal(await flasher.enterBootloader(serialManager, { timeout: 1000 }), device);
+    assert.equal(listeners.length, 0);
+});
+
+test('records where a transfer stopped and why', async () => {
+    const { profile, blocks } = await buildBlink('teensy32');
+    const device = new MockHalfKayDevice(profile, { failWhen: call => call >= 3 });
+    const flasher = new TeensyFlasher({ hid: new FakeHid([device]) });
+    const events = [];
+
+    const err = await flasher.flashFirmware(blocks, device, null, {
+        onEvent: event => { if (event.type === 'interrupted') events.push(event); }
+    }).catch(e => e);
+
+    assert.ok(err instanceof FlashInterruptedError);
+    assert.equal(err.reason, 'report-rejected');
+    assert.equal(err.deviceState, 'present');
+    assert.equal(err.device, device);
+    assert.equal(err.address, device.writes.length * profile.blockSize);
+    assert.equal(err.blocksSent, 3);
+    assert.equal(err.phase, 'write');
+    assert.equal(err.recoverable, true);
+    assert.match(err.cause.message, /Injected failure/);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].address, err.address);
+});
+
+test('restarts from a clean erase on the re-enumerated device after a disconnect', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const replacement = new MockHalfKayDevice(profile);
+    const hid = new FakeHid([]);
+    let lost = false;
+    const device = new MockHalfKayDevice(profile, {
+        failWhen: call => {
+            if (call === 4 && !lost) {
+                lost = true;
+                hid.unplug(device);
+                hid.devices.push(replacement);   // the hub resets and the board comes back
+            }
+            return lost;
+        }
+    });
+    hid.devices.push(device);
+    const events = [];
+
+    await new TeensyFlasher({ hid }).flashFirmware(blocks, device, null, {
+        recoveryAttempts: 1,
+        rebootTimeout: 10,
+        onEvent: event => { if (event.type === 'interrupted' || event.type === 'recovery') events.push(event); }
+    });
+
+    assert.deepEqual(events.map(e => [e.type, e.reason]), [['interrupted', 'device-lost'], ['recovery', 'device-lost']]);
+    assert.equal(events[0].deviceState, 'reappeared');
+    assert.equal(replacement.writes[0].address, 0, 'the recovery starts with the erasing block');
+    const expected = hexToFlashImage(readBlink('teensy40').toString('latin1'), profile);
+    assert.ok(Buffer.from(replacement.flash).equals(Buffer.from(expected)));
+    assert.ok(replacement.rebooted);
+});
+
+test('does not try to recover a device whose permission was revoked', async () => {
+    const { profile, blocks } = await buildBlink('teensy41');
+    const device = new MockHalfKayDevice(profile);
+    const send = device.sendReport.bind(device);
+    device.sendReport = (reportId, data) => {
+        if (device.calls < 2) return send(reportId, data);
+        device.calls++;
+        const err = new Error('Access denied');
+        err.name = 'SecurityError';
+        return Promise.reject(err);
+    };
+    const flasher = new TeensyFlasher({ hid: new FakeHid([device]) });
+    const recoveries = [];
+
+    const err = await flasher.flashFirmware(blocks, device, null, {
+        recoveryAttempts: 3,
+        onEvent: event => { if (event.type === 'recovery') recoveries.push(event); }
+    }).catch(e => e);
+
+    assert.equal(err.reason, 'permission-revoked');
+    assert.equal(err.recoverable, false);
+    assert.deepEqual(recoveries, []);
+    await assert.rejects(flasher.recoverFlash(err, blocks), /revoked/);
+});
+
+test('counts a disconnect event that arrives after the report failed as a lost device', async () => {
+    const { profile, blocks } = await buildBlink('teensy41');
+    const hid = new FakeHid([]);
+    // The device list updates at once, the event only after sendReport has rejected
+    hid.getDevices = async () => {
+        const devices = [...hid.devices];
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return devices;
+    };
+    const device = new MockHalfKayDevice(profile, {
+        failWhen: call => {
+            if (call === 2) {
+                hid.devices = [];
+                setTimeout(() => hid.unplug(device), 5);
+            }
+            return call >= 2;
+        }
+    });
+    hid.devices.push(device);
+
+    const err = await new TeensyFlasher({ hid }).flashFirmware(blocks, device).catch(e => e);
+
+    assert.equal(err.reason, 'device-lost');
+    assert.equal(err.deviceState, 'gone');
+    assert.equal(err.recoverable, true);
+});
+
+test('a device that vanishes without a disconnect event is lost, not revoked', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const hid = new FakeHid([]);
+    const device = new MockHalfKayDevice(profile, {
+        failWhen: call => {
+            if (call === 1) hid.unplug(device, { silent: true });
+            return call >= 1;
+        }
+    });
+    hid.devices.push(device);
+
+    const err = await new TeensyFlasher({ hid }).flashFirmware(blocks, device).catch(e => e);
+
+    assert.equal(err.reason, 'device-lost');
+    assert.equal(err.recoverable, true);
+});
+
+test('reports a device that cannot be opened without claiming it was partly programmed', async () => {
+    const { profile, blocks } = await buildBlink('teensy32');
+    const device = new MockHalfKayDevice(profile);
+    device.open = async () => { throw new Error('Failed to open the device.'); };
+
+    const err = await new TeensyFlasher({ hid: new FakeHid([device]) }).flashFirmware(blocks, device).catch(e => e);
+
+    assert.equal(err.reason, 'open-failed');
+    assert.equal(err.phase, 'open');
+    assert.equal(err.blocksSent, 0);
+    assert.match(err.message, /Nothing was sent/);
+    assert.doesNotMatch(err.message, /partly programmed/);
+});
+
+test('classifies a bootloader that stops answering as a timeout', async () => {
+    const { profile, blocks } = await buildBlink('teensylc');
+    const device = new MockHalfKayDevice(profile);
+    const send = device.sendReport.bind(device);
+    device.sendReport = (reportId, data) => device.calls >= 2 ? new Promise(() => { }) : send(reportId, data);
+
+    const err = await new TeensyFlasher({ hid: new FakeHid([device]) })
+        .flashFirmware(blocks, device, null, { reportTimeout: 10 }).catch(e => e);
+
+    assert.equal(err.reason, 'timeout');
+    assert.equal(err.cause.name, 'TimeoutError');
+    assert.equal(device.opened, false);
+});
+
+test('recoverFlash reflashes a board that is still in the bootloader', async () => {
+    const { profile, blocks } = await buildBlink('teensy36');
+    let failing = true;
+    const device = new MockHalfKayDevice(profile, { failWhen: call => failing && call >= 6 });
+    const flasher = new TeensyFlasher({ hid: new FakeHid([device]) });
+
+    const err = await flasher.flashFirmware(blocks, device).catch(e => e);
+    failing = false;
+    const result = await flasher.recoverFlash(err, blocks, null, { rebootTimeout: 10 });
+
+    assert.equal(result.outcome, 'timed-out');
+    assert.ok(device.rebooted);
+    const expected = hexToFlashImage(readBlink('teensy36').toString('latin1'), profile);
+    assert.ok(Buffer.from(device.flash).equals(Buffer.from(expected)));
+});
+
+test('stops between blocks when aborted', async () => {
+    const { profile, blocks } = await buildBlink('teensy41');
+    const device = new MockHalfKayDevice(profile);
+    const controller = new AbortController();
+
+    await assert.rejects(new TeensyFlasher().flashFirmware(blocks, device, null, {
+        signal: controller.signal,
+        onEvent: event => { if (event.type === 'block' && event.blocksSent === 2) controller.abort(); }
+    }), { name: 'AbortError' });
+
+    assert.equal(device.writes.length, 2);
+    assert.equal(device.opened, false);
+    assert.equal(device.rebooted, false);
+});
+
+test('refuses to flash an image built for another board', async () => {
+    const profile = fastProfile('teensy32');
+    const blocks = await new FirmwareFile(readBlink('teensy40'), BLINK_FILES.teensy40, profile).buildBlocks();
+    const device = new MockHalfKayDevice(profile);
+
+    await assert.rejects(new TeensyFlasher().flashFirmware(blocks, device), FirmwareValidationError);
+    assert.equal(device.calls, 0);
+    assert.equal(device.openCount, 0);
+});
+
+test('erases the board with a single blank block and reboots', async () => {
+    const profile = fastProfile('teensy41');
+    const device = new MockHalfKayDevice(profile);
+    device.flash.fill(0x42);
+    const phases = [];
+
+    const result = await new TeensyFlasher().eraseFirmware(device, {
+        board: profile,
+        onEvent: event => { if (event.type === 'phase') phases.push(event.phase); }
+    });
+
+    assert.equal(result.outcome, 'erased');
+    assert.deepEqual(phases, ['open', 'erase', 'reboot']);
+    assert.deepEqual(device.writes, [{ address: 0, length: profile.blockSize }]);
+    assert.ok(device.flash.every(b => b === 0xff), 'flash is blank');
+    assert.ok(device.rebooted);
+    assert.equal(device.opened, false);
+});
+
+/**
+ * A serial port whose "firmware" answers CRC32? <start> <length> from a flash image;
+ * `reply` turns the CRC (8 hex digits) into the answer line.
+ */
+function crcAnsweringPort(image, profile, reply = hex => `CRC32 0x${hex}`) {
+    const port = new MockSerialPort();
+    port.onWrite = text => {
+        const match = /^CRC32\? 0x([0-9a-f]+) (\d+)\n$/.exec(text);
+        if (!match) return;
+        const start = parseInt(match[1], 16) - profile.addressOffset;
+        const crc = crc32(image.subarray(start, start + Number(match[2])));
+        setTimeout(() => port.receive(`${reply(crc.toString(16).padStart(8, '0'))}\n`), 5);
+    };
+    return port;
+}
+
+test('verifies the running image against a CRC reported over serial', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const device = new MockHalfKayDevice(profile);
+    await new TeensyFlasher().flashFirmware(blocks, device);
+
+    const serialManager = new SerialPortManager();
+    await serialManager.openSerialPort({ baudRate: 115200 }, crcAnsweringPort(device.flash, profile));
+    const good = await new TeensyFlasher().verifyFirmware(blocks, serialManager);
+
+    device.flash[0x2000] ^= 0x01;
+    const bad = await new TeensyFlasher().verifyFirmware(blocks, serialManager);
+    await serialManager.closeSerialPort();
+
+    assert.equal(good.verified, true);
+    assert.equal(good.reported, good.expected);
+    assert.equal(good.start, 0x60000000);
+    assert.equal(bad.verified, false);
+    assert.notEqual(bad.reported, bad.expected);
+});
+
+test('takes only a 0x-prefixed or 8-digit hex number from the reply as the CRC', async () => {
+    const { profile, blocks } = await buildBlink('teensy40');
+    const device = new MockHalfKayDevice(profile);
+    await new TeensyFlasher().flashFirmware(blocks, device);
+
+    const verify = async reply => {
+        const serialManager = new SerialPortManager();
+        await serialManager.openSerialPort({ baudRate: 115200 }, crcAnsweringPort(device.flash, profile, reply));
+        const result = await new TeensyFlasher().verifyFirmware(blocks, serialManager);
+        await serialManager.closeSerialPort();
+        return result;
+    };
+
+    assert.equal((await verify(hex => `CRC32 ${hex} ok, fade`)).verified, true);
+    assert.equal((await verify(hex => `crc 0x${hex.replace(/^0+/, '')} done`)).verified, true);
+    const words = await verify(() => 'crc ok, fade');
+    assert.equal(words.reported, null);
+    assert.equal(words.verified, false);
+});
+
+test('verifyFirmware needs an open serial port', async () => {
+    const { blocks } = await buildBlink('teensy32');
+    await assert.rejects(new TeensyFlasher().verifyFirmware(blocks, new SerialPortManager()), /open serial port/);
+});
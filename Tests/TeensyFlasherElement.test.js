@@ -0,0 +1,212 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { getBoardProfile, TEENSY_BOARD_PROFILES } from '../Teensy-Loader.js';
+import { MockHalfKayDevice, hexToFlashImage } from './MockHalfKayDevice.js';
+import { installMockDom, connect } from './MockDom.js';
+
+installMockDom();
+const { TeensyFlasherElement } = await import('../Teensy-Loader-Element.js');
+
+const HEX = readFileSync(new URL('../Firmware/blink_slow_Teensy40.hex', import.meta.url));
+
+function fastProfile(id) {
+    return { ...getBoardProfile(id), eraseDelay: 0, blockDelay: 0 };
+}
+
+/**
+ * navigator.hid stand-in whose plug() announces a device like the browser does.
+ */
+class FakeHid extends EventTarget {
+    constructor() {
+        super();
+        this.devices = [];
+    }
+
+    async getDevices() {
+        return [...this.devices];
+    }
+
+    plug(device) {
+        this.devices.push(device);
+        const event = new Event('connect');
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+}
+
+/**
+ * A connected element with its device discovery on `hid` (none by default) and
+ * every event it emits recorded as [type, detail].
+ */
+function createElement(attributes = {}, hid = null) {
+    const element = new TeensyFlasherElement();
+    for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+    element.deviceManager.hid = hid;
+    element.deviceManager.serial = null;
+    element.events = [];
+    for (const type of ['teensy-firmware-load', 'teensy-device-select', 'teensy-flash-start',
+        'teensy-flash-progress', 'teensy-flash-success', 'teensy-flash-error']) {
+        element.addEventListener(type, event => element.events.push([type, event.detail]));
+    }
+    return connect(element);
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Waits until `condition()` holds (downloads are hashed before they are used).
+ */
+async function waitFor(condition, what) {
+    for (let i = 0; i < 100 && !condition(); i++) await settle();
+    assert.ok(condition(), what);
+}
+
+/**
+ * fetch stand-in whose responses are released by the test: respond(url, bytes)
+ * waits for the request and answers it.
+ */
+function deferredFetch() {
+    const pending = new Map();
+    const fetchFn = url => new Promise(resolve => pending.set(url, resolve));
+    fetchFn.respond = async (url, body) => {
+        await waitFor(() => pending.has(url), `${url} requested`);
+        const resolve = pending.get(url);
+        pending.delete(url);
+        resolve({ ok: true, status: 200, arrayBuffer: async () => new Uint8Array(body).buffer });
+    };
+    fetchFn.requested = url => pending.has(url);
+    return fetchFn;
+}
+
+test('reads its configuration from attributes', () => {
+    const element = createElement({ boards: 'teensy40, TEENSY41', 'baud-rate': '9600' });
+    assert.deepEqual(element.allowedBoards.map(p => p.id), ['teensy40', 'teensy41']);
+    assert.equal(element.baudRate, 9600);
+    assert.equal(element.accept, '.hex,.ehex,.bin,.elf');
+    assert.equal(element.fileInput.accept, '.hex,.ehex,.bin,.elf');
+    assert.equal(element.getAttribute('state'), 'idle');
+
+    element.removeAttribute('boards');
+    element.setAttribute('accept', '.bin');
+    assert.equal(element.allowedBoards, TEENSY_BOARD_PROFILES);
+    assert.equal(element.fileInput.accept, '.bin');
+
+    element.disabled = true;
+    assert.equal(element.parts['select-button'].disabled, true);
+    assert.equal(element.parts['drop-zone'].getAttribute('aria-disabled'), 'true');
+    element.parts['drop-zone'].click();
+    assert.equal(element.fileInput.clicks, 0, 'a disabled element does not open the picker');
+    element.disabled = false;
+    element.parts['drop-zone'].click();
+    assert.equal(element.fileInput.clicks, 1);
+});
+
+test('only takes files matching accept', async () => {
+    const element = createElement({ accept: '.hex, .ehex' });
+    assert.equal(await element.loadFile({ name: 'notes.txt', data: new Uint8Array(4) }), null);
+    assert.equal(element.getAttribute('state'), 'error');
+    assert.match(element.parts.status.textContent, /notes\.txt is not a supported firmware file/);
+
+    const firmware = await element.loadFile({ name: 'BLINK.HEX', data: HEX });
+    assert.equal(firmware.filename, 'blink.hex');
+    assert.equal(element.parts['file-name'].textContent, `blink.hex (${HEX.length} bytes)`);
+    assert.deepEqual(element.events.map(([type]) => type), ['teensy-firmware-load']);
+    assert.equal(element.parts['flash-button'].disabled, true, 'no board selected yet');
+});
+
+test('reports files that can not be read', async () => {
+    const element = createElement();
+    element.fileInput.files = [{ name: 'app.hex', arrayBuffer: async () => { throw new Error('File was removed'); } }];
+    element.fileInput.dispatchEvent(new Event('change'));
+    await settle();
+
+    assert.equal(element.getAttribute('state'), 'error');
+    assert.equal(element.parts.status.textContent, 'File was removed');
+    assert.equal(element.events[0][0], 'teensy-flash-error');
+});
+
+test('selects a board entering the bootloader and flashes it', async () => {
+    const hid = new FakeHid();
+    const element = createElement({ boards: 'teensy40' }, hid);
+    await settle();
+    await element.loadFile({ name: 'blink.hex', data: HEX });
+
+    hid.plug(new MockHalfKayDevice(getBoardProfile('teensy36')));
+    assert.equal(element.device, null, 'boards outside `boards` are not picked up');
+    hid.plug(new MockHalfKayDevice(getBoardProfile('teensy40')));
+    assert.equal(element.device.board.id, 'teensy40');
+    assert.equal(element.getAttribute('state'), 'ready');
+    assert.equal(element.parts['flash-button'].disabled, false);
+
+    // Flash onto a board whose profile has no delays
+    const profile = fastProfile('teensy40');
+    const device = new MockHalfKayDevice(profile);
+    element.useDevice({ ...element.device, board: profile, hidDevice: device });
+    element.events.length = 0;
+    const result = await element.flash();
+
+    assert.equal(result.outcome, 'unknown');
+    assert.equal(element.getAttribute('state'), 'done');
+    assert.equal(element.parts.progress.value, 1);
+    assert.equal(element.parts['cancel-button'].hidden, true);
+    assert.deepEqual(device.flash, hexToFlashImage(HEX.toString('latin1'), profile));
+    const types = element.events.map(([type]) => type);
+    assert.equal(types[0], 'teensy-flash-start');
+    assert.ok(types.includes('teensy-flash-progress'));
+    assert.equal(types.at(-1), 'teensy-flash-success');
+    assert.equal(element.events.at(-1)[1].filename, 'blink.hex');
+});
+
+test('refuses to flash a board outside `boards`', async () => {
+    const element = createElement({ boards: 'teensy41' });
+    await element.loadFile({ name: 'blink.hex', data: HEX });
+    const device = new MockHalfKayDevice(fastProfile('teensy40'));
+    element.useDevice({ key: 'hid-1', mode: 'bootloader', board: fastProfile('teensy40'), hidDevice: device, label: 'Teensy 4.0' });
+    assert.equal(element.getAttribute('state'), 'error');
+
+    assert.equal(await element.flash(), null);
+    assert.equal(device.writes.length, 0);
+    assert.deepEqual(element.events.at(-1)[0], 'teensy-flash-error');
+});
+
+test('drops the old image when firmware-url changes and ignores superseded downloads', async () => {
+    const originalFetch = globalThis.fetch;
+    const fetchFn = globalThis.fetch = deferredFetch();
+    try {
+        const element = createElement({ 'firmware-url': 'v1/app.hex' });
+        await fetchFn.respond('https://example.com/updater/v1/app.hex', HEX);
+        await waitFor(() => element.firmware, 'v1 loaded');
+        assert.equal(element.firmware.filename, 'app.hex');
+
+        // A new URL clears the old image while it downloads; the slower old
+        // download (v2) must not win over the newer one (v3)
+        element.setAttribute('firmware-url', 'v2/app.hex');
+        assert.equal(element.firmware, null);
+        assert.equal(element.parts['flash-button'].disabled, true);
+        element.setAttribute('firmware-url', 'v3/other.hex');
+        await fetchFn.respond('https://example.com/updater/v3/other.hex', HEX);
+        await waitFor(() => element.firmware, 'v3 loaded');
+        await fetchFn.respond('https://example.com/updater/v2/app.hex', HEX);
+        for (let i = 0; i < 20; i++) await settle();
+        assert.equal(element.firmware.filename, 'other.hex');
+        assert.equal(element.events.filter(([type]) => type === 'teensy-firmware-load').length, 2, 'v2 is dropped');
+
+        // A failing checksum leaves nothing to flash
+        element.setAttribute('sha256', '0'.repeat(64));
+        assert.equal(element.firmware, null);
+        await fetchFn.respond('https://example.com/updater/v3/other.hex', HEX);
+        await waitFor(() => element.getAttribute('state') === 'error', 'checksum failure reported');
+        assert.equal(element.firmware, null);
+        assert.equal(element.events.at(-1)[1].error.name, 'FirmwareIntegrityError');
+
+        // A manifest is resolved when flashing; nothing is downloaded up front
+        element.setAttribute('firmware-url', 'releases/manifest.json');
+        assert.equal(fetchFn.requested('https://example.com/updater/releases/manifest.json'), false);
+        assert.equal(element.firmware, null);
+        assert.equal(element.parts['file-name'].textContent, 'Drop a firmware file here or click to choose one');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { getBoardProfile } from '../Teensy-Loader.js';
+import { loadFirmware, parseBaseAddress } from '../Teensy-Loader-CLI.js';
+
+const CLI = fileURLToPath(new URL('../Teensy-Loader-CLI.js', import.meta.url));
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 10000 });
+}
+
+test('lists every input format and --base-address in the usage text', () => {
+    const { status, stdout } = run('--help');
+    assert.equal(status, 0);
+    assert.match(stdout, /Flash a \.hex, \.ehex, \.elf or \.bin file/);
+    assert.match(stdout, /--base-address <addr>/);
+});
+
+test('rejects a malformed --base-address before looking for a board', () => {
+    const { status, stderr } = run('flash', 'app.bin', '--base-address', '0x60zz');
+    assert.equal(status, 1);
+    assert.match(stderr, /Invalid --base-address '0x60zz'/);
+
+    assert.equal(parseBaseAddress('0x60001000'), 0x60001000);
+    assert.equal(parseBaseAddress('4096'), 4096);
+    assert.equal(parseBaseAddress(undefined), null);
+});
+
+test('builds a .bin at the --base-address load address', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'teensy-loader-'));
+    try {
+        const file = join(dir, 'app.bin');
+        writeFileSync(file, new Uint8Array(2048).fill(0x5a));
+        const board = getBoardProfile('teensy41');
+
+        const atDefault = await loadFirmware(file, board);
+        assert.equal(atDefault.mainBlocks[0].address, 0x60000000);
+        const moved = await loadFirmware(file, board, { 'base-address': '0x60001000' });
+        assert.deepEqual(moved.mainBlocks.map(b => b.address), [0x60001000, 0x60001400]);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
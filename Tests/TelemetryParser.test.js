@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TelemetryParser, parseTelemetryLine } from '../Teensy-Loader.js';
+
+/**
+ * Parsed values have no prototype; build the expected ones the same way.
+ */
+function values(object) {
+    return { values: Object.assign(Object.create(null), object) };
+}
+
+test('parses unlabeled values separated by commas, spaces or tabs', () => {
+    assert.deepEqual(parseTelemetryLine('21.5,40,-3e2'), values({ value1: 21.5, value2: 40, value3: -300 }));
+    assert.deepEqual(parseTelemetryLine('1 2\t3'), values({ value1: 1, value2: 2, value3: 3 }));
+    assert.deepEqual(parseTelemetryLine('1,2', ['a', 'b']), values({ a: 1, b: 2 }));
+});
+
+test('parses labeled key:value and key=value pairs', () => {
+    assert.deepEqual(parseTelemetryLine('temp:21.5, humidity: 40 rpm=1200'),
+        values({ temp: 21.5, humidity: 40, rpm: 1200 }));
+    assert.deepEqual(parseTelemetryLine('accel.x:-0.25\taccel.y:.5'), values({ 'accel.x': -0.25, 'accel.y': 0.5 }));
+});
+
+test('recognizes header lines and ignores log text', () => {
+    assert.deepEqual(parseTelemetryLine('temp,humidity'), { header: ['temp', 'humidity'] });
+    assert.equal(parseTelemetryLine('Booting firmware v1.2'), null);
+    assert.equal(parseTelemetryLine('Error: sensor missing'), null);
+    assert.equal(parseTelemetryLine(''), null);
+});
+
+test('TelemetryParser names columns from a header and keeps a rolling window', () => {
+    let now = 0;
+    const telemetry = new TelemetryParser({ maxSamples: 3, clock: () => now++ });
+    const seen = [];
+    telemetry.onSample = sample => seen.push(sample.values);
+
+    telemetry.parseLine('temp,humidity');
+    telemetry.parseLine('hello');
+    for (let i = 1; i <= 4; i++) telemetry.parseLine(`${20 + i},${40 + i}`);
+    telemetry.parseLine('rpm:900');
+
+    assert.equal(seen.length, 5);
+    assert.deepEqual(telemetry.names, ['temp', 'humidity', 'rpm']);
+    assert.deepEqual(telemetry.series('temp'), [{ time: 2, value: 23 }, { time: 3, value: 24 }]);
+    assert.deepEqual(telemetry.series('rpm', 1), [{ time: 4, value: 900 }]);
+    assert.deepEqual(telemetry.series('rpm', 0), []);
+});
+
+test('TelemetryParser treats prototype names as ordinary series', () => {
+    const telemetry = new TelemetryParser({ clock: () => 0 });
+    telemetry.parseLine('__proto__:1 constructor:2');
+    telemetry.parseLine('a:3');
+
+    assert.deepEqual(telemetry.names, ['__proto__', 'constructor', 'a']);
+    assert.deepEqual(telemetry.series('__proto__'), [{ time: 0, value: 1 }]);
+    assert.deepEqual(telemetry.series('toString'), []);
+    assert.equal(telemetry.toCSV().split('\n')[2], '1970-01-01T00:00:00.000Z,,,3');
+});
+
+test('TelemetryParser exports samples as CSV', () => {
+    let now = Date.UTC(2024, 0, 1);
+    const telemetry = new TelemetryParser({ clock: () => now++ });
+    telemetry.parseLine('a:1 b:2');
+    telemetry.parseLine('b:3');
+
+    assert.equal(telemetry.toCSV(),
+        'time,a,b\n'
+        + '2024-01-01T00:00:00.000Z,1,2\n'
+        + '2024-01-01T00:00:00.001Z,,3\n');
+});